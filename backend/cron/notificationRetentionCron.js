@@ -0,0 +1,12 @@
+const cron = require('node-cron');
+const notifications = require('../services/notifications');
+
+// Daily at 03:30: drop read notifications older than NOTIFICATION_RETENTION_DAYS
+cron.schedule('30 3 * * *', async () => {
+  try {
+    const deleted = await notifications.pruneRead();
+    console.log(`[NotificationRetentionCron] deleted=${deleted}`);
+  } catch (err) {
+    console.error('[NotificationRetentionCron] error:', err);
+  }
+});
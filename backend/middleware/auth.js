@@ -1,6 +1,7 @@
 // backend/middleware/auth.js
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const sessions = require("../services/sessions");
 
 const JWT_SECRET = process.env.JWT_SECRET;
 
@@ -17,21 +18,6 @@ if (JWT_SECRET.length < 32) {
   process.exit(1);
 }
 
-// Cache for verified tokens (optional, for performance)
-// This prevents repeated DB lookups for the same token
-const tokenCache = new Map();
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
-
-// Clean up expired cache entries every 10 minutes
-setInterval(() => {
-  const now = Date.now();
-  for (const [token, data] of tokenCache.entries()) {
-    if (now - data.timestamp > CACHE_TTL) {
-      tokenCache.delete(token);
-    }
-  }
-}, 10 * 60 * 1000);
-
 async function authMiddleware(req, res, next) {
   try {
     // Extract Authorization header
@@ -54,13 +40,6 @@ async function authMiddleware(req, res, next) {
       });
     }
 
-    // Check token cache first (optional optimization)
-    const cached = tokenCache.get(token);
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-      req.user = cached.user;
-      return next();
-    }
-
     // Verify JWT token
     let payload;
     try {
@@ -103,6 +82,26 @@ async function authMiddleware(req, res, next) {
       });
     }
 
+    // Access tokens live for minutes but the session can be revoked at any
+    // time (logout, "log out everywhere", refresh token reuse)
+    let active;
+    try {
+      active = await sessions.isActive(payload.sid, userId);
+    } catch (dbErr) {
+      console.error("❌ Session lookup error in auth middleware:", dbErr);
+      return res.status(500).json({
+        message: "Server error during authentication",
+        code: "DB_ERROR",
+      });
+    }
+
+    if (!active) {
+      return res.status(401).json({
+        message: "Session has been revoked",
+        code: "SESSION_REVOKED",
+      });
+    }
+
     // Fetch user from database
     let user;
     try {
@@ -131,12 +130,6 @@ async function authMiddleware(req, res, next) {
       });
     }
 
-    // Store user in cache (optional optimization)
-    tokenCache.set(token, {
-      user: user,
-      timestamp: Date.now(),
-    });
-
     // Attach user to request object
     // Convert lean object back to Mongoose document-like object
     req.user = {
@@ -145,12 +138,14 @@ async function authMiddleware(req, res, next) {
       userId: user._id,
       username: user.username,
       email: user.email,
+      emailVerified: !!user.emailVerified,
       displayName: user.displayName,
       avatarUrl: user.avatarUrl,
       bio: user.bio,
       followersCount: user.followersCount || 0,
       followingCount: user.followingCount || 0,
     };
+    req.sessionId = payload.sid;
 
     // Log successful authentication (optional)
     if (process.env.NODE_ENV === "development") {
@@ -203,23 +198,6 @@ async function optionalAuth(req, res, next) {
   return authMiddleware(req, res, next);
 }
 
-// Export cache stats for monitoring
-function getCacheStats() {
-  return {
-    size: tokenCache.size,
-    ttl: CACHE_TTL,
-    entries: tokenCache.size,
-  };
-}
-
-// Clear cache manually if needed
-function clearCache() {
-  tokenCache.clear();
-  console.log("🗑️ Auth token cache cleared");
-}
-
 module.exports = authMiddleware;
 module.exports.requireAdmin = requireAdmin;
 module.exports.optionalAuth = optionalAuth;
-module.exports.getCacheStats = getCacheStats;
-module.exports.clearCache = clearCache;
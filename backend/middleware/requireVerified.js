@@ -0,0 +1,15 @@
+// backend/middleware/requireVerified.js
+// Goes after `auth`. With REQUIRE_EMAIL_VERIFICATION=true, users who have not
+// confirmed their email yet can't create content.
+const { mustVerifyEmail } = require("../services/accounts");
+
+function requireVerified(req, res, next) {
+  if (!mustVerifyEmail(req.user)) return next();
+
+  return res.status(403).json({
+    message: "Please verify your email address first",
+    code: "EMAIL_NOT_VERIFIED",
+  });
+}
+
+module.exports = requireVerified;
@@ -0,0 +1,200 @@
+// backend/middleware/upload.js
+const { Readable } = require("stream");
+const multer = require("multer");
+const sharp = require("sharp");
+const storage = require("../services/storage");
+
+const MAX_UPLOAD_BYTES =
+  parseInt(process.env.MAX_UPLOAD_BYTES) || 25 * 1024 * 1024; // 25MB
+
+const ALLOWED_MIME_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  "video/mp4",
+  "video/webm",
+  "video/quicktime",
+];
+
+// Message attachments may also be plain files
+const MESSAGE_ATTACHMENT_TYPES = [
+  ...ALLOWED_MIME_TYPES,
+  "application/pdf",
+  "application/zip",
+  "text/plain",
+];
+
+const SNIFF_BYTES = 512;
+
+// Re-encoded on the way in so EXIF/GPS never reaches storage (see stripMetadata)
+const STRIPPED_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+const ascii = (buf, start, end) => buf.toString("latin1", start, end);
+const startsWith = (buf, bytes) => bytes.every((byte, i) => buf[i] === byte);
+
+// Checked in order; quicktime before mp4 since both are ISO BMFF ("ftyp")
+const SIGNATURES = [
+  ["image/jpeg", (b) => startsWith(b, [0xff, 0xd8, 0xff])],
+  ["image/png", (b) => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+  ["image/gif", (b) => /^GIF8[79]a$/.test(ascii(b, 0, 6))],
+  ["image/webp", (b) => ascii(b, 0, 4) === "RIFF" && ascii(b, 8, 12) === "WEBP"],
+  ["video/webm", (b) => startsWith(b, [0x1a, 0x45, 0xdf, 0xa3])],
+  [
+    "video/quicktime",
+    (b) =>
+      ascii(b, 4, 12) === "ftypqt  " ||
+      ["moov", "mdat", "wide", "free", "skip"].includes(ascii(b, 4, 8)),
+  ],
+  ["video/mp4", (b) => ascii(b, 4, 8) === "ftyp"],
+  ["application/pdf", (b) => ascii(b, 0, 5) === "%PDF-"],
+  [
+    "application/zip",
+    (b) => ascii(b, 0, 2) === "PK" && [0x03, 0x05, 0x07].includes(b[2]) && b[3] === b[2] + 1,
+  ],
+];
+
+// MIME type from the file's first bytes; the client's Content-Type is not trusted.
+// Anything without a signature counts as text/plain if it looks like UTF-8 text.
+function sniffMimeType(head) {
+  const match = SIGNATURES.find(([, test]) => test(head));
+  if (match) return match[0];
+
+  if (head.length && !head.includes(0)) {
+    try {
+      // Allow a multi-byte character cut off at the end of the sample
+      new TextDecoder("utf-8", { fatal: true }).decode(head.subarray(0, head.length - 3));
+      return "text/plain";
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+// Reads the first `size` bytes; `body` still yields the whole file
+async function peekStream(stream, size) {
+  const iterator = stream[Symbol.asyncIterator]();
+  const chunks = [];
+  let length = 0;
+  let done = false;
+
+  while (length < size) {
+    const next = await iterator.next();
+    if (next.done) {
+      done = true;
+      break;
+    }
+    chunks.push(next.value);
+    length += next.value.length;
+  }
+
+  const head = Buffer.concat(chunks);
+  const body = Readable.from(
+    (async function* () {
+      if (head.length) yield head;
+      if (done) return;
+      for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+        yield next.value;
+      }
+    })()
+  );
+  return { head, body, discard: () => iterator.return() };
+}
+
+// rotate() bakes the EXIF orientation into the pixels; sharp drops all
+// metadata (EXIF, GPS, XMP) on output unless withMetadata() is requested.
+// Same format out as in.
+function stripMetadata(body) {
+  const transformer = sharp().rotate();
+  body.on("error", (err) => transformer.destroy(err));
+  return body.pipe(transformer);
+}
+
+// Multer storage engine that streams straight into the storage driver,
+// so uploads never sit in memory or in a temp directory. The type is
+// sniffed from the first bytes and decides the stored extension. Still
+// images are stored already stripped of metadata: the file is public from
+// the moment it is saved.
+const createStorageEngine = (allowedTypes) => ({
+  _handleFile(req, file, cb) {
+    peekStream(file.stream, SNIFF_BYTES)
+      .then(async ({ head, body, discard }) => {
+        const mimetype = sniffMimeType(head);
+        if (!mimetype || !allowedTypes.includes(mimetype)) {
+          await discard();
+          const err = new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname);
+          err.message = "Unsupported file type";
+          return cb(err);
+        }
+
+        const key = storage.generateKey(req.user._id, mimetype);
+        const source = STRIPPED_TYPES.includes(mimetype) ? stripMetadata(body) : body;
+        let sizeBytes;
+        try {
+          ({ sizeBytes } = await storage.saveStream(key, source));
+        } catch (err) {
+          await storage.remove(key);
+          // A cut-off image fails to decode; report why it was cut off
+          if (!file.stream.truncated) {
+            if (source === body) throw err;
+            const invalid = new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname);
+            invalid.message = "Could not read image";
+            return cb(invalid);
+          }
+        }
+        if (file.stream.truncated) {
+          await storage.remove(key);
+          return cb(new multer.MulterError("LIMIT_FILE_SIZE", file.fieldname));
+        }
+        cb(null, { storageKey: key, size: sizeBytes, url: storage.url(key), mimetype });
+      })
+      .catch(cb);
+  },
+
+  _removeFile(req, file, cb) {
+    storage
+      .remove(file.storageKey)
+      .then(() => cb(null))
+      .catch(cb);
+  },
+});
+
+const createUploader = (allowedTypes) =>
+  multer({
+    storage: createStorageEngine(allowedTypes),
+    limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+    fileFilter(req, file, cb) {
+      if (!allowedTypes.includes(file.mimetype)) {
+        const err = new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname);
+        err.message = "Unsupported file type";
+        return cb(err);
+      }
+      cb(null, true);
+    },
+  });
+
+// Single-file upload for `field`, with multer errors turned into JSON responses
+function uploadSingle(field = "file", { allowedTypes = ALLOWED_MIME_TYPES } = {}) {
+  const handler = createUploader(allowedTypes).single(field);
+
+  return (req, res, next) => {
+    handler(req, res, (err) => {
+      if (!err) return next();
+
+      if (err instanceof multer.MulterError) {
+        const status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+        return res.status(status).json({ message: err.message, code: err.code });
+      }
+
+      console.error("❌ Upload error:", err);
+      return res.status(500).json({ message: "Upload failed" });
+    });
+  };
+}
+
+module.exports = uploadSingle;
+module.exports.MAX_UPLOAD_BYTES = MAX_UPLOAD_BYTES;
+module.exports.ALLOWED_MIME_TYPES = ALLOWED_MIME_TYPES;
+module.exports.MESSAGE_ATTACHMENT_TYPES = MESSAGE_ATTACHMENT_TYPES;
+module.exports.sniffMimeType = sniffMimeType;
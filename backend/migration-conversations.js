@@ -0,0 +1,74 @@
+// Run this once to move direct messages onto the shared conversationId scheme
+// migration-conversations.js
+//
+// Older messages were stored as "<a>_<b>" (socket handler) or "dm:<a>:<b>"
+// (REST route). Every 1:1 message is rewritten to messaging.dmKey(sender,
+// recipient) so both halves of a thread end up in one conversation. Group
+// messages are left alone. Safe to re-run: messages already on the right key
+// are not touched.
+
+const mongoose = require('mongoose');
+const Message = require('./models/Message');
+const { dmKey, isGroupKey } = require('./services/messaging');
+
+async function migrateConversations() {
+  try {
+    await mongoose.connect(
+        process.env.MONGO_URI || 'mongodb://localhost:27017/newsocial',
+    );
+    console.log('🔗 Connected to database');
+
+    // One row per (conversationId, sender, recipient) combination
+    const threads = await Message.collection
+      .aggregate([
+        { $match: { conversationId: { $not: /^group:/ } } },
+        {
+          $group: {
+            _id: {
+              conversationId: '$conversationId',
+              sender: '$sender',
+              recipient: { $arrayElemAt: ['$recipients', 0] },
+            },
+            count: { $sum: 1 },
+          },
+        },
+      ])
+      .toArray();
+
+    let messagesUpdated = 0;
+    let skipped = 0;
+
+    for (const { _id: thread, count } of threads) {
+      if (isGroupKey(thread.conversationId)) continue;
+
+      if (!thread.sender || !thread.recipient) {
+        console.warn(`⚠️ Skipping ${count} message(s) in ${thread.conversationId}: no recipient`);
+        skipped += count;
+        continue;
+      }
+
+      const key = dmKey(thread.sender, thread.recipient);
+      if (key === thread.conversationId) continue;
+
+      const result = await Message.collection.updateMany(
+        {
+          conversationId: thread.conversationId,
+          sender: thread.sender,
+          'recipients.0': thread.recipient,
+        },
+        { $set: { conversationId: key } }
+      );
+      messagesUpdated += result.modifiedCount;
+
+      console.log(`✅ ${thread.conversationId} -> ${key}: ${result.modifiedCount} messages`);
+    }
+
+    console.log(`🎉 Migration complete! ${messagesUpdated} messages updated, ${skipped} skipped`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    process.exit(1);
+  }
+}
+
+migrateConversations();
@@ -0,0 +1,31 @@
+// Run this once before turning on REQUIRE_EMAIL_VERIFICATION
+// migration-email-verified.js
+//
+// Accounts created before email verification existed never got a link, so
+// they are marked verified instead of being locked out of posting and
+// messaging. Safe to re-run: only users without the field are touched.
+
+const mongoose = require('mongoose');
+const User = require('./models/User');
+
+async function migrateEmailVerified() {
+  try {
+    await mongoose.connect(
+        process.env.MONGO_URI || 'mongodb://localhost:27017/newsocial',
+    );
+    console.log('🔗 Connected to database');
+
+    const result = await User.collection.updateMany(
+      { emailVerified: { $exists: false } },
+      [{ $set: { emailVerified: true, emailVerifiedAt: '$createdAt' } }]
+    );
+
+    console.log(`🎉 Migration complete! ${result.modifiedCount} users marked verified`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    process.exit(1);
+  }
+}
+
+migrateEmailVerified();
@@ -0,0 +1,81 @@
+// Run this once to move embedded Post.likes arrays into the Like collection
+// migration-likes.js
+//
+// Safe to re-run: likes that already exist are skipped, and every post's
+// likesCount is recomputed from the Like collection.
+
+const mongoose = require('mongoose');
+const Post = require('./models/Post');
+const Like = require('./models/Like');
+const Counter = require('./models/Counter');
+
+// Reserve a block of likeIds at once (insertMany skips the pre-save hook)
+async function reserveLikeIds(count) {
+  const counter = await Counter.findOneAndUpdate(
+    { name: 'likeId' },
+    { $inc: { value: count } },
+    { upsert: true, new: true }
+  );
+  return counter.value - count + 1;
+}
+
+async function migrateLikes() {
+  try {
+    await mongoose.connect(
+        process.env.MONGO_URI || 'mongodb://localhost:27017/newsocial',
+    );
+    console.log('🔗 Connected to database');
+
+    // Read the raw documents: `likes` is no longer part of the Post schema
+    const cursor = Post.collection.find({}, { projection: { likes: 1, createdAt: 1 } });
+
+    let postsUpdated = 0;
+    let likesMoved = 0;
+
+    for await (const post of cursor) {
+      const userIds = Array.isArray(post.likes) ? post.likes : [];
+
+      if (userIds.length) {
+        const existing = await Like.find({ post: post._id }).distinct('user');
+        const existingSet = new Set(existing.map(String));
+        const missing = [...new Set(userIds.map(String))].filter(
+          (id) => !existingSet.has(id)
+        );
+
+        if (missing.length) {
+          const firstId = await reserveLikeIds(missing.length);
+          // Original like times are unknown; the post's creation time is the best bound
+          const likedAt = post.createdAt || new Date();
+          await Like.insertMany(
+            missing.map((userId, i) => ({
+              likeId: firstId + i,
+              post: post._id,
+              user: userId,
+              createdAt: likedAt,
+              updatedAt: likedAt,
+            })),
+            { ordered: false, timestamps: false }
+          );
+          likesMoved += missing.length;
+        }
+      }
+
+      const likesCount = await Like.countDocuments({ post: post._id });
+      await Post.collection.updateOne(
+        { _id: post._id },
+        { $set: { likesCount }, $unset: { likes: '' } }
+      );
+      postsUpdated++;
+
+      console.log(`✅ Updated post ${post._id}: ${likesCount} likes`);
+    }
+
+    console.log(`🎉 Migration complete! ${postsUpdated} posts, ${likesMoved} likes moved`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    process.exit(1);
+  }
+}
+
+migrateLikes();
@@ -0,0 +1,66 @@
+// Run this once after deploying email normalisation
+// migration-lowercase-emails.js
+//
+// Signup (duplicate check), password reset and email verification look
+// emails up through accounts.normalizeEmail (trimmed, lowercase). Older
+// accounts kept the case they signed up with and never match, so their emails
+// are lowercased here, along with the address on outstanding verification
+// links.
+//
+// Two accounts whose emails differ only in case can't both be lowercased (the
+// email index is unique); they are listed and left alone to sort out by hand.
+// Safe to re-run: only emails that aren't normalised yet are touched.
+
+const mongoose = require('mongoose');
+const User = require('./models/User');
+const AccountToken = require('./models/AccountToken');
+
+const normalize = (email) => String(email || '').trim().toLowerCase();
+
+async function migrateLowercaseEmails() {
+  try {
+    await mongoose.connect(
+        process.env.MONGO_URI || 'mongodb://localhost:27017/newsocial',
+    );
+    console.log('🔗 Connected to database');
+
+    // Anything with an uppercase letter or surrounding whitespace
+    const cursor = User.collection.find(
+      { email: { $regex: /[A-Z]|^\s|\s$/ } },
+      { projection: { email: 1, username: 1 } }
+    );
+
+    let updated = 0;
+    const conflicts = [];
+
+    for await (const user of cursor) {
+      const email = normalize(user.email);
+      const taken = await User.exists({ email, _id: { $ne: user._id } });
+      if (taken) {
+        conflicts.push(`${user.username} <${user.email}>`);
+        continue;
+      }
+
+      await User.collection.updateOne({ _id: user._id }, { $set: { email } });
+      await AccountToken.collection.updateMany(
+        { user: user._id, email: user.email },
+        { $set: { email } }
+      );
+      updated++;
+    }
+
+    console.log(`🎉 Migration complete! ${updated} emails lowercased`);
+    if (conflicts.length) {
+      console.warn(
+        `⚠️ ${conflicts.length} accounts share an email with another account (case aside) and were skipped:\n  ` +
+        conflicts.join('\n  ')
+      );
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    process.exit(1);
+  }
+}
+
+migrateLowercaseEmails();
@@ -0,0 +1,43 @@
+// Run this once to backfill the grouping fields on existing notifications
+// migration-notifications.js
+//
+// Grouped notifications keep their actors in `actors` and sort on
+// `activityAt`. Older rows only have `actor` and `createdAt`, so they are
+// given actors: [actor], actorCount: 1 and activityAt: createdAt. Nothing is
+// merged retroactively. Safe to re-run: rows that already have activityAt
+// are not touched.
+
+const mongoose = require('mongoose');
+const Notification = require('./models/Notification');
+
+async function migrateNotifications() {
+  try {
+    await mongoose.connect(
+        process.env.MONGO_URI || 'mongodb://localhost:27017/newsocial',
+    );
+    console.log('🔗 Connected to database');
+
+    const result = await Notification.collection.updateMany(
+      { activityAt: { $exists: false } },
+      [
+        {
+          $set: {
+            actors: {
+              $cond: [{ $ifNull: ['$actor', false] }, ['$actor'], []],
+            },
+            actorCount: 1,
+            activityAt: '$createdAt',
+          },
+        },
+      ]
+    );
+
+    console.log(`🎉 Migration complete! ${result.modifiedCount} notifications updated`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    process.exit(1);
+  }
+}
+
+migrateNotifications();
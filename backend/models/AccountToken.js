@@ -0,0 +1,39 @@
+const { Schema, model, Types } = require("mongoose");
+const Counter = require("./Counter");
+
+// Single-use tokens mailed to the user (email verification, password reset).
+// Only a sha256 of the token is stored.
+const AccountTokenSchema = new Schema({
+  accountTokenId: { type: Number, unique: true },
+
+  user: { type: Types.ObjectId, ref: "User", required: true },
+  purpose: {
+    type: String,
+    enum: ["verify_email", "reset_password"],
+    required: true,
+  },
+  tokenHash: { type: String, required: true, unique: true },
+
+  // verify_email: the address the link was sent to
+  email: { type: String, default: null },
+
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+AccountTokenSchema.index({ user: 1, purpose: 1, usedAt: 1 });
+AccountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+AccountTokenSchema.pre("save", async function() {
+  if (this.accountTokenId) return;
+
+  const counter = await Counter.findOneAndUpdate(
+    { name: "accountTokenId" },
+    { $inc: { value: 1 }},
+    { upsert: true, new: true }
+  );
+
+  this.accountTokenId = counter.value;
+});
+
+module.exports = model("AccountToken", AccountTokenSchema);
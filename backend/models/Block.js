@@ -0,0 +1,26 @@
+const { Schema, model, Types } = require("mongoose");
+const Counter = require("./Counter");
+
+const BlockSchema = new Schema({
+  blockId: { type: Number, unique: true },
+
+  blocker: { type: Types.ObjectId, ref: "User", required: true },
+  blocked: { type: Types.ObjectId, ref: "User", required: true },
+}, { timestamps: true });
+
+BlockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+BlockSchema.index({ blocked: 1 });
+
+BlockSchema.pre("save", async function() {
+  if (this.blockId) return;
+
+  const counter = await Counter.findOneAndUpdate(
+    { name: "blockId" },
+    { $inc: { value: 1 }},
+    { upsert: true, new: true }
+  );
+
+  this.blockId = counter.value;
+});
+
+module.exports = model("Block", BlockSchema);
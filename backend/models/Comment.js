@@ -1,5 +1,6 @@
 const { Schema, model, Types } = require("mongoose");
 const Counter = require("./Counter");
+const { resolveMentions } = require("../utils/mentions");
 
 const CommentSchema = new Schema({
   commentId: { type: Number, unique: true },
@@ -8,13 +9,25 @@ const CommentSchema = new Schema({
   author: { type: Types.ObjectId, ref: "User", required: true },
 
   text: { type: String, required: true },
+  // Replies are one level deep: a reply to a reply hangs off the same top-level comment
   parentComment: { type: Types.ObjectId, ref: "Comment", default: null },
+  replyCount: { type: Number, default: 0 },
 
   likesCount: { type: Number, default: 0 },
+
+  // Users @mentioned in text (resolved on save)
+  mentions: [{ type: Types.ObjectId, ref: "User" }],
 }, { timestamps: true });
 
+CommentSchema.index({ post: 1, parentComment: 1, createdAt: 1, _id: 1 });
+CommentSchema.index({ parentComment: 1, createdAt: 1, _id: 1 }); // replies, oldest first
+
 // ✅ FIXED: Removed next parameter and next() call
 CommentSchema.pre("save", async function() {
+  if (this.isModified("text")) {
+    this.mentions = await resolveMentions(this.text);
+  }
+
   if (this.commentId) return;
 
   const counter = await Counter.findOneAndUpdate(
@@ -0,0 +1,25 @@
+const { Schema, model, Types } = require("mongoose");
+const Counter = require("./Counter");
+
+const CommentLikeSchema = new Schema({
+  commentLikeId: { type: Number, unique: true },
+
+  comment: { type: Types.ObjectId, ref: "Comment", required: true },
+  user: { type: Types.ObjectId, ref: "User", required: true },
+}, { timestamps: true });
+
+CommentLikeSchema.index({ comment: 1, user: 1 }, { unique: true });
+
+CommentLikeSchema.pre("save", async function() {
+  if (this.commentLikeId) return;
+
+  const counter = await Counter.findOneAndUpdate(
+    { name: "commentLikeId" },
+    { $inc: { value: 1 }},
+    { upsert: true, new: true }
+  );
+
+  this.commentLikeId = counter.value;
+});
+
+module.exports = model("CommentLike", CommentLikeSchema);
@@ -0,0 +1,55 @@
+const { Schema, model, Types } = require("mongoose");
+const Counter = require("./Counter");
+
+// Per-member state: when they joined and how far they have read
+const MemberSchema = new Schema({
+  user: { type: Types.ObjectId, ref: "User", required: true },
+  joinedAt: { type: Date, default: Date.now },
+  lastReadAt: { type: Date, default: null },
+}, { _id: false });
+
+const ConversationSchema = new Schema({
+  conversationNumber: { type: Number, unique: true },
+
+  type: { type: String, enum: ["dm", "group"], default: "group" },
+  title: { type: String, default: "", trim: true, maxlength: 100 },
+
+  members: [MemberSchema],
+  admins: [{ type: Types.ObjectId, ref: "User" }],
+  createdBy: { type: Types.ObjectId, ref: "User" },
+
+  lastMessageAt: { type: Date, default: null },
+}, { timestamps: true });
+
+ConversationSchema.index({ "members.user": 1, lastMessageAt: -1 });
+
+// Messages reference conversations by this string key
+ConversationSchema.virtual("key").get(function() {
+  return `group:${this._id}`;
+});
+
+ConversationSchema.methods.memberIds = function() {
+  return this.members.map((m) => String(m.user));
+};
+
+ConversationSchema.methods.isMember = function(userId) {
+  return this.members.some((m) => String(m.user) === String(userId));
+};
+
+ConversationSchema.methods.isAdmin = function(userId) {
+  return this.admins.some((id) => String(id) === String(userId));
+};
+
+ConversationSchema.pre("save", async function() {
+  if (this.conversationNumber) return;
+
+  const counter = await Counter.findOneAndUpdate(
+    { name: "conversationNumber" },
+    { $inc: { value: 1 }},
+    { upsert: true, new: true }
+  );
+
+  this.conversationNumber = counter.value;
+});
+
+module.exports = model("Conversation", ConversationSchema);
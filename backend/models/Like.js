@@ -9,6 +9,7 @@ const LikeSchema = new Schema({
 }, { timestamps: true });
 
 LikeSchema.index({ post: 1, user: 1 }, { unique: true });
+LikeSchema.index({ post: 1, createdAt: -1, _id: -1 }); // "who liked this", newest first
 
 // ✅ FIXED: Removed next parameter and next() call
 LikeSchema.pre("save", async function() {
@@ -11,12 +11,25 @@ const MediaSchema = new Schema({
   storageKey: { type: String, required: true },
 
   mimeType: String,
+  originalName: String,
   width: Number,
   height: Number,
   duration: Number,
   sizeBytes: Number,
 
+  // Resized, metadata-stripped renditions produced by the media worker
+  variants: [{
+    _id: false,
+    name: { type: String, enum: ["thumb", "feed", "full"] },
+    url: String,
+    storageKey: String,
+    width: Number,
+    height: Number,
+    sizeBytes: Number,
+  }],
+
   processed: { type: Boolean, default: false },
+  processingError: { type: String, default: null },
 }, { timestamps: true });
 
 // ✅ FIXED: Removed next parameter and next() call
@@ -10,12 +10,40 @@ const MessageSchema = new Schema({
   recipients: [{ type: Types.ObjectId, ref: "User" }],
 
   text: { type: String, default: "" },
-  attachments: [{ url: String, type: String }],
+  attachments: [{
+    _id: false,
+    media: { type: Types.ObjectId, ref: "Media" },
+    url: String,
+    type: { type: String, enum: ["image", "video", "file"] },
+    mimeType: String,
+    name: String,
+    sizeBytes: Number,
+  }],
 
   deliveredTo: [{ type: Types.ObjectId }],
   readBy: [{ type: Types.ObjectId }],
+
+  editedAt: { type: Date, default: null },
+
+  // "Delete for everyone" blanks the message but keeps it in the thread;
+  // "delete for me" only hides it from the users listed here
+  deletedAt: { type: Date, default: null },
+  deletedFor: [{ type: Types.ObjectId }],
+
+  // One reaction per user
+  reactions: [{
+    _id: false,
+    user: { type: Types.ObjectId, ref: "User" },
+    emoji: String,
+  }],
 }, { timestamps: true });
 
+// Thread history, paged by _id
+MessageSchema.index({ conversationId: 1, _id: -1 });
+
+// Pending delivery lookups when a recipient connects
+MessageSchema.index({ recipients: 1 });
+
 // ✅ FIXED: Removed next parameter and next() call
 MessageSchema.pre("save", async function() {
   if (this.messageId) return;
@@ -0,0 +1,25 @@
+const { Schema, model, Types } = require("mongoose");
+const Counter = require("./Counter");
+
+const MuteSchema = new Schema({
+  muteId: { type: Number, unique: true },
+
+  muter: { type: Types.ObjectId, ref: "User", required: true },
+  muted: { type: Types.ObjectId, ref: "User", required: true },
+}, { timestamps: true });
+
+MuteSchema.index({ muter: 1, muted: 1 }, { unique: true });
+
+MuteSchema.pre("save", async function() {
+  if (this.muteId) return;
+
+  const counter = await Counter.findOneAndUpdate(
+    { name: "muteId" },
+    { $inc: { value: 1 }},
+    { upsert: true, new: true }
+  );
+
+  this.muteId = counter.value;
+});
+
+module.exports = model("Mute", MuteSchema);
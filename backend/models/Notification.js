@@ -5,11 +5,27 @@ const NotificationSchema = new Schema({
   notificationId: { type: Number, unique: true },
 
   user: { type: Types.ObjectId, ref: "User", required: true },
+
+  // Latest actor; grouped notifications ("alice and 9 others liked your
+  // post") keep every actor in `actors`, newest first and capped, while
+  // actorCount keeps counting past the cap
   actor: { type: Types.ObjectId, ref: "User" },
+  actors: [{ type: Types.ObjectId, ref: "User" }],
+  actorCount: { type: Number, default: 1 },
 
   verb: {
     type: String,
-    enum: ["like", "comment", "follow", "mention", "reply", "system"],
+    enum: [
+      "like",
+      "comment",
+      "follow",
+      "follow_request",
+      "follow_accept",
+      "mention",
+      "reply",
+      "message",
+      "system",
+    ],
     required: true
   },
 
@@ -17,8 +33,14 @@ const NotificationSchema = new Schema({
   targetId: Types.ObjectId,
   read: { type: Boolean, default: false },
 
+  // Bumped whenever another actor joins the group; lists sort on this
+  activityAt: { type: Date, default: Date.now },
+
 }, { timestamps: true });
 
+NotificationSchema.index({ user: 1, activityAt: -1 });
+NotificationSchema.index({ user: 1, verb: 1, targetId: 1, read: 1 });
+
 // ✅ FIXED: Removed next parameter and next() call
 NotificationSchema.pre("save", async function() {
   if (this.notificationId) return;
@@ -1,6 +1,7 @@
 // models/Post.js - FIXED VERSION
 const mongoose = require('mongoose');
 const Counter = require("./Counter");
+const { resolveMentions } = require("../utils/mentions");
 
 const postSchema = new mongoose.Schema({
   postId: { type: Number, unique: true }, // ✅ AUTO INCREMENT ID
@@ -23,14 +24,20 @@ const postSchema = new mongoose.Schema({
     enum: ['text', 'file'],
     default: 'text'
   },
+  media: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media',
+    default: null
+  },
   mediaUrl: {
     type: String,
     default: null
   },
-  likes: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
+  // Likes live in the Like collection; this is kept in step with $inc
+  likesCount: {
+    type: Number,
+    default: 0
+  },
   
   // ✅ FIXED: Array of Comment ObjectId references
   comments: [{
@@ -48,6 +55,12 @@ const postSchema = new mongoose.Schema({
     type: String,
     lowercase: true,
     trim: true
+  }],
+
+  // Users @mentioned in content (resolved on save)
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }]
 }, { 
   timestamps: true,
@@ -56,10 +69,11 @@ const postSchema = new mongoose.Schema({
 });
 
 // Indexes to improve query performance
-postSchema.index({ createdAt: -1 }); // For sorting posts by time
+postSchema.index({ createdAt: -1, _id: -1 }); // For sorting posts by time (feed cursor)
 postSchema.index({ userId: 1 }); // For fetching posts by a specific user
+postSchema.index({ mentions: 1, createdAt: -1, _id: -1 }); // For "posts I was mentioned in"
 
-// ✅ Pre-save hook for auto-increment and hashtags
+// ✅ Pre-save hook for auto-increment, hashtags and mentions
 postSchema.pre("save", async function() {
   // Skip if postId already exists
   if (!this.postId) {
@@ -79,6 +93,11 @@ postSchema.pre("save", async function() {
   } else {
     this.hashtags = [];
   }
+
+  // Resolve @mentions to user ids
+  if (this.isModified("content")) {
+    this.mentions = await resolveMentions(this.content);
+  }
 });
 
 module.exports = mongoose.model('Post', postSchema);
\ No newline at end of file
@@ -0,0 +1,41 @@
+const { Schema, model, Types } = require("mongoose");
+const Counter = require("./Counter");
+
+const SessionSchema = new Schema({
+  sessionId: { type: Number, unique: true },
+
+  user: { type: Types.ObjectId, ref: "User", required: true },
+
+  // sha256 of the current refresh secret, and of the one it replaced so a
+  // replayed (stolen) refresh token can be recognised
+  refreshTokenHash: { type: String, required: true },
+  previousTokenHash: { type: String, default: null },
+  // When previousTokenHash was rotated away; starts its short grace period
+  rotatedAt: { type: Date, default: null },
+
+  userAgent: { type: String, default: "" },
+  ip: { type: String, default: "" },
+  lastUsedAt: { type: Date, default: Date.now },
+
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String, default: null },
+}, { timestamps: true });
+
+SessionSchema.index({ user: 1, revokedAt: 1 });
+// Mongo drops sessions once the refresh token has expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.pre("save", async function() {
+  if (this.sessionId) return;
+
+  const counter = await Counter.findOneAndUpdate(
+    { name: "sessionId" },
+    { $inc: { value: 1 }},
+    { upsert: true, new: true }
+  );
+
+  this.sessionId = counter.value;
+});
+
+module.exports = model("Session", SessionSchema);
@@ -10,6 +10,10 @@ const UserSchema = new Schema(
     email: { type: String, required: true, unique: true, index: true },
     passwordHash: { type: String, required: true },
 
+    // Set once the user follows the link mailed to `email`
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date, default: null },
+
     displayName: { type: String, default: "" },
     bio: { type: String, default: "" },
     avatarUrl: { type: String, default: "" },
@@ -20,6 +24,25 @@ const UserSchema = new Schema(
 
     followersCount: { type: Number, default: 0 },
     followingCount: { type: Number, default: 0 },
+
+    // Private accounts approve followers; posts and follow lists are hidden from everyone else
+    isPrivate: { type: Boolean, default: false },
+
+    // Who may see when this user is online / last seen
+    presenceVisibility: {
+      type: String,
+      enum: ["everyone", "followers", "nobody"],
+      default: "everyone",
+    },
+    lastSeenAt: { type: Date, default: null },
+
+    // TOTP two-factor authentication (see services/twoFactor). Secrets are
+    // encrypted and, like the hashed recovery codes, never selected by default
+    twoFactorEnabled: { type: Boolean, default: false },
+    twoFactorSecret: { type: String, default: null, select: false },
+    twoFactorPendingSecret: { type: String, default: null, select: false },
+    twoFactorRecoveryCodes: { type: [String], default: [], select: false },
+    twoFactorLastStep: { type: Number, default: null },
   },
   { timestamps: true }
 );
@@ -1,13 +1,25 @@
 const { Worker } = require("bullmq");
 const IORedis = require("ioredis");
+const sharp = require("sharp");
 const Media = require("../models/Media");
-const path = require("path");
+const storage = require("../services/storage");
 const connectDB = require("../db");
 
 connectDB();
 
 const REDIS_URL = process.env.REDIS_URL || "redis://localhost:6379";
 
+// Renditions generated for every still image. `size` is the longest edge;
+// thumbs are square-cropped for the profile grid.
+const IMAGE_VARIANTS = [
+  { name: "thumb", size: 320, fit: "cover" },
+  { name: "feed", size: 1080, fit: "inside" },
+  { name: "full", size: 2048, fit: "inside" },
+];
+
+// GIFs are left as-is (animation would be lost, and they carry no EXIF)
+const RESIZABLE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
 const connection = new IORedis(REDIS_URL, {
   tls: REDIS_URL?.startsWith("rediss://") ? { rejectUnauthorized: false } : undefined,
   maxRetriesPerRequest: null,
@@ -19,27 +31,80 @@ connection.on("error", (e) => {
   console.error("❌ Media worker Redis error:", e.message);
 });
 
+function variantKey(storageKey, name) {
+  return storageKey.replace(/(\.[^./]+)?$/, `_${name}.webp`);
+}
+
+async function processImage(media) {
+  // Already rotated and stripped of metadata at upload (middleware/upload)
+  const original = await storage.read(media.storageKey);
+  const meta = await sharp(original).metadata();
+
+  media.width = meta.width;
+  media.height = meta.height;
+  media.sizeBytes = original.length;
+
+  const variants = [];
+  for (const variant of IMAGE_VARIANTS) {
+    const { data, info } = await sharp(original)
+      .resize(variant.size, variant.size, {
+        fit: variant.fit,
+        withoutEnlargement: true,
+      })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+
+    const key = variantKey(media.storageKey, variant.name);
+    await storage.saveBuffer(key, data);
+
+    variants.push({
+      name: variant.name,
+      url: storage.url(key),
+      storageKey: key,
+      width: info.width,
+      height: info.height,
+      sizeBytes: data.length,
+    });
+  }
+  media.variants = variants;
+}
+
+async function processGif(media) {
+  const original = await storage.read(media.storageKey);
+  const meta = await sharp(original).metadata();
+
+  media.width = meta.width;
+  media.height = meta.pageHeight || meta.height;
+  media.sizeBytes = original.length;
+}
+
 new Worker(
   "media_queue",
   async (job) => {
-    const { userId, filePath } = job.data;
-
-    const filename = path.basename(filePath);
-
-    await Media.create({
-      ownerType: "User",
-      ownerId: userId,
-      url: "/uploads/" + filename,
-      storageKey: filename,
-      mimeType: null,
-      width: null,
-      height: null,
-      duration: null,
-      sizeBytes: null,
-      processed: true,
-    });
+    const { mediaId } = job.data;
+
+    const media = await Media.findById(mediaId);
+    if (!media) return { status: "missing" };
+
+    try {
+      if (RESIZABLE_TYPES.includes(media.mimeType)) {
+        await processImage(media);
+      } else if (media.mimeType === "image/gif") {
+        await processGif(media);
+      }
+      // Videos keep the size recorded at upload time
+
+      media.processingError = null;
+      media.processed = true;
+      await media.save();
+    } catch (err) {
+      console.error(`❌ Media ${mediaId} processing failed:`, err.message);
+      media.processingError = err.message;
+      await media.save();
+      throw err; // let BullMQ retry
+    }
 
-    return { status: "saved" };
+    return { status: "processed", variants: media.variants.length };
   },
   { connection }
 );
@@ -6,56 +6,27 @@ const mongoose = require("mongoose");
 // adjust paths if your models live elsewhere
 const User = require("../models/User");
 const Message = require("../models/Message");
-const Notification = require("../models/Notification");
+const Conversation = require("../models/Conversation");
 const logger = require("../services/logger"); // ✅ added logger import
+const relations = require("../services/relations");
+const messaging = require("../services/messaging");
 
-// helper auth middleware (minimal) - FIXED
-const jwt = require("jsonwebtoken");
-const JWT_SECRET = process.env.JWT_SECRET || "change_this";
-
-async function auth(req, res, next) {
-  try {
-    const ah = req.headers.authorization;
-    if (!ah || !ah.startsWith("Bearer ")) {
-      return res.status(401).json({ error: "Missing token" });
-    }
-
-    const token = ah.slice(7);
-
-    console.log(
-      "🔐 Messages route - Token received:",
-      token.substring(0, 30) + "..."
-    );
-
-    const payload = jwt.verify(token, JWT_SECRET);
-
-    console.log("🔐 Messages route - Decoded payload:", payload);
-
-    // ✅ FIXED: Accept all common JWT claim names including 'sub'
-    req.userId = payload.userId || payload.id || payload._id || payload.sub;
-
-    if (!req.userId) {
-      console.error("❌ Token payload missing user ID. Payload:", payload);
-      return res.status(401).json({ error: "Invalid token payload" });
-    }
-
-    console.log("✅ Messages route - User ID extracted:", req.userId);
-
-    // optional: load user doc
-    req.user = await User.findById(req.userId).select("-passwordHash");
-
-    if (!req.user) {
-      console.error("❌ User not found for ID:", req.userId);
-      return res.status(401).json({ error: "User not found" });
-    }
-
-    console.log("✅ Messages route - User loaded:", req.user.username);
+// Same JWT auth as the rest of the API; handlers here read req.userId
+const authMiddleware = require("../middleware/auth");
+const requireVerified = require("../middleware/requireVerified");
 
+function auth(req, res, next) {
+  authMiddleware(req, res, () => {
+    req.userId = String(req.user._id);
     next();
-  } catch (err) {
-    console.error("❌ Auth error in messages route:", err.message);
-    return res.status(401).json({ error: "Invalid token" });
-  }
+  });
+}
+
+// Send failures from the messaging service carry an HTTP status
+function sendMessagingError(res, err, fallback) {
+  if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+  console.error(`❌ ${fallback}:`, err);
+  res.status(500).json({ error: fallback });
 }
 
 /**
@@ -83,274 +54,528 @@ router.get("api/search-users", auth, async (req, res) => {
 
 /**
  * GET /api/conversations
- * List conversations for current user (aggregated from messages)
- * ✅ FIXED: Proper sorting by time + no duplicates
+ * List conversations (direct and group) for current user, newest first
  */
 router.get("/", auth, async (req, res) => {
   try {
-    const myId = new mongoose.Types.ObjectId(req.userId);
-
-    const agg = await Message.aggregate([
-      { $match: { $or: [{ sender: myId }, { recipients: myId }] } },
-      { $sort: { createdAt: -1 } },
-      {
-        $group: {
-          _id: "$conversationId",
-          lastText: { $first: "$text" },
-          lastTime: { $first: "$createdAt" },
-          senderId: { $first: "$sender" },
-          recipients: { $first: "$recipients" },
-        },
-      },
-    ]);
-
-    // Build conversation objects
-    const convs = await Promise.all(
-      agg.map(async (c) => {
-        const allIds = [c.senderId, ...c.recipients].map((id) => String(id));
-        const otherId = allIds.find((id) => id !== String(myId));
-        if (!otherId) return null;
-
-        const otherUser = await User.findById(otherId).select(
-          "username displayName avatarUrl"
-        );
-        if (!otherUser) return null;
-
-        // ⭐ unread count
-        const unreadCount = await Message.countDocuments({
-          conversationId: c._id,
-          recipients: myId,
-          readBy: { $ne: myId },
-        });
-
-        return {
-          conversationId: c._id,
-          with: {
-            _id: otherUser._id,
-            username: otherUser.username,
-            displayName: otherUser.displayName || otherUser.username,
-            avatarUrl: otherUser.avatarUrl,
-          },
-          lastMessage: {
-            text: c.lastText,
-            createdAt: c.lastTime,
-          },
-          unreadCount, // ⭐ added
-        };
-      })
-    );
-
-    res.json({
-      conversations: convs
-        .filter(Boolean)
-        .sort(
-          (a, b) =>
-            new Date(b.lastMessage.createdAt) -
-            new Date(a.lastMessage.createdAt)
-        ),
-    });
+    res.json({ conversations: await messaging.listConversations(req.userId) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// ?before=<messageId> / ?after=<messageId> / ?limit=
+const historyParams = (query) => ({
+  before: query.before || null,
+  after: query.after || null,
+  limit: query.limit,
+});
+
+const isLatestPage = (query) => !query.before && !query.after;
+
 /**
- * GET /api/conversations/user/:username
- * Load all messages between current user and target username (1:1).
+ * GET /api/conversations/user/:username?before=&after=&limit=
+ * One page of the 1:1 thread with target username, oldest first (newest page
+ * by default). Returns { conversationId, with, messages, prevCursor, nextCursor }.
  */
 router.get("/user/:username", auth, async (req, res) => {
   try {
-    const myId = new mongoose.Types.ObjectId(req.userId);
-    const username = req.params.username;
-
-    const target = await User.findOne({ username }).select(
+    const target = await User.findOne({ username: req.params.username }).select(
       "_id username displayName avatarUrl"
     );
     if (!target) {
       return res.status(404).json({ error: "User not found" });
     }
 
-    const msgs = await Message.find({
-      $or: [
-        { sender: myId, recipients: target._id },
-        { sender: target._id, recipients: myId },
-      ],
-    })
-      .populate("sender", "_id username displayName avatarUrl")
-      .sort({ createdAt: 1 });
-
-    // ⭐ Mark incoming messages as READ
-    const updateResult = await Message.updateMany(
-      {
-        sender: target._id,
-        recipients: myId,
-        readBy: { $ne: myId },
-      },
-      {
-        $addToSet: { readBy: myId },
-      }
+    const conversationId = messaging.dmKey(req.userId, target._id);
+    const page = await messaging.getDirectMessages(
+      req.userId,
+      target._id,
+      historyParams(req.query)
     );
 
+    // ⭐ Mark incoming messages as READ once the newest page is shown
+    const modifiedCount = isLatestPage(req.query)
+      ? await messaging.markConversationRead(req.app.get("io"), conversationId, req.userId)
+      : 0;
+
     // ✅ Log that messages were read (if any updated)
-    if (updateResult.modifiedCount > 0) {
+    if (modifiedCount > 0) {
       await logger.logFromRequest(req, {
         eventType: "MESSAGE_READ",
         description: "User read messages in a conversation",
         metadata: {
           withUserId: target._id,
           withUsername: target.username,
-          modifiedCount: updateResult.modifiedCount,
+          modifiedCount,
         },
       });
     }
 
     res.json({
+      conversationId,
       with: target,
-      messages: msgs,
+      ...page,
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendMessagingError(res, err, "Failed to load messages");
+  }
+});
+
+/**
+ * GET /api/conversations/messages/:messageId/context?limit=
+ * Jump to a message: a page of its thread centred on it. Returns
+ * { conversationId, type, with | conversation, anchor, messages, prevCursor, nextCursor }.
+ */
+router.get("/messages/:messageId/context", auth, async (req, res) => {
+  try {
+    const { group, otherUserId, ...page } = await messaging.getMessageWindow(
+      req.userId,
+      req.params.messageId,
+      { limit: req.query.limit }
+    );
+
+    if (group) {
+      return res.json({ type: "group", conversation: await groupPayload(group), ...page });
+    }
+
+    const other = await User.findById(otherUserId).select("_id username displayName avatarUrl");
+    if (!other) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+    res.json({ type: "dm", with: other, ...page });
+  } catch (err) {
+    sendMessagingError(res, err, "Failed to load message");
   }
 });
 
 /**
  * POST /api/conversations/user/:username/messages
- * Send message to username. Body: { text, attachments? }
- * ✅ FIXED: Create notification for recipient
- * ✅ ADDED: Logging for MESSAGE_SENT and MESSAGE_RECEIVED
+ * Send message to username. Body: { text, mediaIds? } (ids from POST /api/media/upload/message)
  */
-router.post(
-  "/user/:username/messages",
-  auth,
-  async (req, res) => {
-    try {
-      const myId = new mongoose.Types.ObjectId(req.userId);
-      const { username } = req.params;
-      const { text = "", attachments = [] } = req.body;
-
-      console.log(
-        "📤 Sending message to:",
-        username,
-        "Text:",
-        text.substring(0, 50)
-      );
+router.post("/user/:username/messages", auth, requireVerified, async (req, res) => {
+  try {
+    const { text = "", mediaIds = [] } = req.body;
 
-      const target = await User.findOne({ username }).select(
-        "_id username displayName"
-      );
-      if (!target) {
-        console.log("❌ Target user not found:", username);
-        return res.status(404).json({ error: "User not found" });
-      }
-
-      // Build conversationId deterministically for 1:1 (sorted pair)
-      const idsSorted = [String(myId), String(target._id)].sort();
-      const conversationId = `dm:${idsSorted.join(":")}`;
-
-      console.log("📨 Conversation ID:", conversationId);
-
-      const msg = new Message({
-        conversationId,
-        sender: myId,
-        recipients: [target._id],
-        text,
-        attachments,
-      });
+    const target = await User.findOne({ username: req.params.username }).select(
+      "_id username"
+    );
+    if (!target) {
+      return res.status(404).json({ error: "User not found" });
+    }
 
-      await msg.save();
+    const { data } = await messaging.sendDirectMessage(
+      req.app.get("io"),
+      req.userId,
+      target._id,
+      { text, mediaIds }
+    );
 
-      console.log("✅ Message saved:", msg._id);
+    // ✅ Log MESSAGE_SENT (from sender perspective)
+    await logger.logFromRequest(req, {
+      eventType: "MESSAGE_SENT",
+      description: "User sent a direct message",
+      metadata: {
+        messageId: data.id,
+        conversationId: data.conversationId,
+        toUserId: target._id,
+        toUsername: target.username,
+        textPreview: data.text.substring(0, 100),
+      },
+    });
 
-      // ✅ Log MESSAGE_SENT (from sender perspective)
-      await logger.logFromRequest(req, {
-        eventType: "MESSAGE_SENT",
-        description: "User sent a direct message",
-        metadata: {
-          messageId: msg._id,
-          conversationId,
-          toUserId: target._id,
-          toUsername: target.username,
-          textPreview: text.substring(0, 100),
-        },
+    // ✅ Log MESSAGE_RECEIVED (from recipient perspective)
+    await logger.logFromRequest(req, {
+      eventType: "MESSAGE_RECEIVED",
+      description: "User received a direct message",
+      userId: target._id,
+      username: target.username,
+      metadata: {
+        messageId: data.id,
+        conversationId: data.conversationId,
+        fromUserId: req.userId,
+        fromUsername: req.user.username,
+        textPreview: data.text.substring(0, 100),
+      },
+    });
+
+    res.json({ ok: true, message: data });
+  } catch (err) {
+    sendMessagingError(res, err, "Failed to send message");
+  }
+});
+
+/**
+ * PATCH /api/conversations/messages/:messageId
+ * Edit your own message within the edit window. Body: { text }
+ */
+router.patch("/messages/:messageId", auth, async (req, res) => {
+  try {
+    const message = await messaging.editMessage(
+      req.app.get("io"),
+      req.userId,
+      req.params.messageId,
+      req.body.text
+    );
+
+    await logger.logFromRequest(req, {
+      eventType: "MESSAGE_EDITED",
+      description: "User edited a message",
+      metadata: { messageId: message.id, conversationId: message.conversationId },
+    });
+
+    res.json({ ok: true, message });
+  } catch (err) {
+    sendMessagingError(res, err, "Failed to edit message");
+  }
+});
+
+/**
+ * DELETE /api/conversations/messages/:messageId?scope=me|everyone
+ * "me" (default) hides the message for you; "everyone" removes it for the
+ * whole conversation (own messages only).
+ */
+router.delete("/messages/:messageId", auth, async (req, res) => {
+  try {
+    const result = await messaging.deleteMessage(
+      req.app.get("io"),
+      req.userId,
+      req.params.messageId,
+      { scope: req.query.scope }
+    );
+
+    await logger.logFromRequest(req, {
+      eventType: "MESSAGE_DELETED",
+      description: result.forEveryone
+        ? "User deleted a message for everyone"
+        : "User deleted a message for themselves",
+      metadata: result,
+    });
+
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    sendMessagingError(res, err, "Failed to delete message");
+  }
+});
+
+/**
+ * POST /api/conversations/messages/:messageId/reactions
+ * React with an emoji (replaces your previous reaction; the same emoji again
+ * removes it). Body: { emoji }
+ */
+router.post("/messages/:messageId/reactions", auth, async (req, res) => {
+  try {
+    const result = await messaging.reactToMessage(
+      req.app.get("io"),
+      req.userId,
+      req.params.messageId,
+      req.body.emoji
+    );
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    sendMessagingError(res, err, "Failed to react to message");
+  }
+});
+
+/* ================= GROUP CONVERSATIONS ================= */
+
+// Resolve usernames to users the actor may add (no blocks either way)
+async function resolveNewMembers(actorId, usernames) {
+  const names = [...new Set((usernames || []).map((u) => String(u).trim()).filter(Boolean))];
+  if (!names.length) return [];
+
+  const users = await User.find({ username: { $in: names } }).select("_id username");
+  const blockedIds = (await relations.getBlockedIds(actorId)).map(String);
+  return users.filter((u) => !blockedIds.includes(String(u._id)));
+}
+
+async function loadGroup(req, res) {
+  const group = await messaging.findGroupForMember(req.params.id, req.userId);
+  if (!group) {
+    res.status(404).json({ error: "Conversation not found" });
+    return null;
+  }
+  return group;
+}
+
+async function groupPayload(group) {
+  await group.populate("members.user", "username displayName avatarUrl");
+  return messaging.formatGroup(group);
+}
+
+/**
+ * POST /api/conversations/groups
+ * Create a group. Body: { title, members: [username] }
+ * The creator is the first admin.
+ */
+router.post("/groups", auth, requireVerified, async (req, res) => {
+  try {
+    const myId = new mongoose.Types.ObjectId(req.userId);
+    const title = String(req.body.title || "").trim();
+
+    const users = await resolveNewMembers(myId, req.body.members);
+    const memberIds = [
+      String(myId),
+      ...users.map((u) => String(u._id)).filter((id) => id !== String(myId)),
+    ];
+
+    if (memberIds.length < 2) {
+      return res.status(400).json({ error: "A group needs at least one other member" });
+    }
+    if (memberIds.length > messaging.MAX_GROUP_MEMBERS) {
+      return res.status(400).json({
+        error: `Groups are limited to ${messaging.MAX_GROUP_MEMBERS} members`,
       });
+    }
 
-      // ✅ Log MESSAGE_RECEIVED (from recipient perspective)
-      await logger.logFromRequest(req, {
-        eventType: "MESSAGE_RECEIVED",
-        description: "User received a direct message",
-        userId: target._id,
-        username: target.username,
-        metadata: {
-          messageId: msg._id,
-          conversationId,
-          fromUserId: myId,
-          fromUsername: req.user.username,
-          textPreview: text.substring(0, 100),
-        },
+    const group = await Conversation.create({
+      type: "group",
+      title: title.slice(0, 100),
+      members: memberIds.map((id) => ({ user: id })),
+      admins: [myId],
+      createdBy: myId,
+    });
+
+    await logger.logFromRequest(req, {
+      eventType: "GROUP_CREATED",
+      description: "User created a group conversation",
+      metadata: { groupId: group._id, memberCount: memberIds.length },
+    });
+
+    const payload = await groupPayload(group);
+    messaging.emitToMembers(req.app.get("io"), group, "group_updated", payload, {
+      except: myId,
+    });
+
+    res.status(201).json({ ok: true, conversation: payload });
+  } catch (err) {
+    console.error("❌ Create group error:", err);
+    res.status(500).json({ error: "Failed to create group" });
+  }
+});
+
+/**
+ * GET /api/conversations/groups/:id?before=&after=&limit=
+ * Group details and one page of the messages visible to the caller (newest
+ * by default, which also marks the group read).
+ */
+router.get("/groups/:id", auth, async (req, res) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+
+    const myId = new mongoose.Types.ObjectId(req.userId);
+    const page = await messaging.getThreadPage(group.key, {
+      ...historyParams(req.query),
+      since: messaging.visibleSince(group, myId),
+      viewerId: myId,
+      format: (m) => messaging.formatGroupMessage(group, m, myId),
+    });
+
+    if (isLatestPage(req.query)) {
+      await messaging.markConversationRead(req.app.get("io"), group.key, myId);
+    }
+
+    res.json({
+      conversation: await groupPayload(group),
+      ...page,
+    });
+  } catch (err) {
+    sendMessagingError(res, err, "Failed to load group");
+  }
+});
+
+/**
+ * POST /api/conversations/groups/:id/messages
+ * Send to every member. Body: { text, mediaIds? }
+ */
+router.post("/groups/:id/messages", auth, requireVerified, async (req, res) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+
+    const { text = "", mediaIds = [] } = req.body;
+    const { data } = await messaging.sendGroupMessage(
+      req.app.get("io"),
+      group,
+      req.userId,
+      { text, mediaIds }
+    );
+
+    await logger.logFromRequest(req, {
+      eventType: "MESSAGE_SENT",
+      description: "User sent a group message",
+      metadata: {
+        messageId: data.id,
+        conversationId: group.key,
+        memberCount: group.members.length,
+        textPreview: data.text.substring(0, 100),
+      },
+    });
+
+    res.json({ ok: true, message: data });
+  } catch (err) {
+    sendMessagingError(res, err, "Failed to send message");
+  }
+});
+
+/**
+ * PATCH /api/conversations/groups/:id
+ * Rename a group (admins only). Body: { title }
+ */
+router.patch("/groups/:id", auth, async (req, res) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+    if (!group.isAdmin(req.userId)) {
+      return res.status(403).json({ error: "Only group admins can do that" });
+    }
+
+    group.title = String(req.body.title || "").trim().slice(0, 100);
+    await group.save();
+
+    const payload = await groupPayload(group);
+    messaging.emitToMembers(req.app.get("io"), group, "group_updated", payload);
+    res.json({ ok: true, conversation: payload });
+  } catch (err) {
+    console.error("❌ Update group error:", err);
+    res.status(500).json({ error: "Failed to update group" });
+  }
+});
+
+/**
+ * POST /api/conversations/groups/:id/members
+ * Add members (admins only). Body: { members: [username] }
+ */
+router.post("/groups/:id/members", auth, async (req, res) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+    if (!group.isAdmin(req.userId)) {
+      return res.status(403).json({ error: "Only group admins can do that" });
+    }
+
+    const existing = group.memberIds();
+    const users = (await resolveNewMembers(req.userId, req.body.members)).filter(
+      (u) => !existing.includes(String(u._id))
+    );
+
+    if (!users.length) {
+      return res.status(400).json({ error: "No new members to add" });
+    }
+    if (existing.length + users.length > messaging.MAX_GROUP_MEMBERS) {
+      return res.status(400).json({
+        error: `Groups are limited to ${messaging.MAX_GROUP_MEMBERS} members`,
       });
+    }
+
+    users.forEach((u) => group.members.push({ user: u._id }));
+    await group.save();
+
+    await logger.logFromRequest(req, {
+      eventType: "GROUP_MEMBERS_ADDED",
+      description: "User added members to a group conversation",
+      metadata: { groupId: group._id, added: users.map((u) => u._id) },
+    });
+
+    const payload = await groupPayload(group);
+    messaging.emitToMembers(req.app.get("io"), group, "group_updated", payload);
+    res.json({ ok: true, conversation: payload });
+  } catch (err) {
+    console.error("❌ Add group members error:", err);
+    res.status(500).json({ error: "Failed to add members" });
+  }
+});
+
+// Drop a member; hand admin to the longest-standing member if the last
+// admin leaves, and delete the group once nobody is left
+async function removeMember(group, userId) {
+  group.members = group.members.filter((m) => String(m.user) !== String(userId));
+  group.admins = group.admins.filter((id) => String(id) !== String(userId));
+
+  if (!group.members.length) {
+    await Message.deleteMany({ conversationId: group.key });
+    await group.deleteOne();
+    return null;
+  }
+
+  if (!group.admins.length) {
+    const oldest = [...group.members].sort((a, b) => a.joinedAt - b.joinedAt)[0];
+    group.admins.push(oldest.user);
+  }
+
+  await group.save();
+  return group;
+}
+
+/**
+ * DELETE /api/conversations/groups/:id/members/:userId
+ * Remove a member (admins only; removing yourself is the same as leaving).
+ */
+router.delete("/groups/:id/members/:userId", auth, async (req, res) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+
+    const targetId = req.params.userId;
+    const isSelf = String(targetId) === String(req.userId);
+    if (!isSelf && !group.isAdmin(req.userId)) {
+      return res.status(403).json({ error: "Only group admins can do that" });
+    }
+    if (!group.isMember(targetId)) {
+      return res.status(404).json({ error: "Not a member of this group" });
+    }
+
+    const io = req.app.get("io");
+    if (io) io.to(String(targetId)).emit("group_removed", { conversationId: group.key });
 
-      // ✅ CREATE NOTIFICATION FOR RECIPIENT
-      try {
-        await Notification.create({
-          user: target._id,
-          actor: myId,
-          verb: "system", // Using 'system' for messages
-          targetType: "Message",
-          targetId: msg._id,
-          read: false,
-        });
-        console.log("✅ Notification created for message recipient");
-      } catch (notifErr) {
-        console.error("❌ Failed to create notification:", notifErr);
-        // Don't fail the whole request if notification fails
-      }
-
-      // ✅ Emit socket event if socket.io is available
-      const io = req.app.get("io");
-      if (io) {
-        // Find recipient's socket
-        const recipientSocket = Array.from(io.sockets.sockets.values()).find(
-          (s) => String(s.userId) === String(target._id)
-        );
-
-        if (recipientSocket) {
-          console.log("✅ Sending real-time notification to recipient socket");
-
-          // Emit new message event
-          recipientSocket.emit("new_message", {
-            id: msg._id,
-            conversationId: conversationId,
-            sender: {
-              id: myId,
-              username: req.user.username,
-              displayName: req.user.displayName || req.user.username,
-              avatarUrl: req.user.avatarUrl,
-            },
-            text: msg.text,
-            createdAt: msg.createdAt,
-          });
-
-          // Emit notification badge update
-          recipientSocket.emit("new_notification", {
-            type: "message",
-            from: req.user.username,
-            fromDisplayName: req.user.displayName || req.user.username,
-            message: text.substring(0, 100),
-          });
-        } else {
-          console.log("📪 Recipient offline - notification will wait");
-        }
-      }
-
-      res.json({ ok: true, message: msg });
-    } catch (err) {
-      console.error("❌ Send message error:", err);
-      console.error("Error stack:", err.stack);
-      res
-        .status(500)
-        .json({ error: "Failed to send message", details: err.message });
+    const remaining = await removeMember(group, targetId);
+
+    await logger.logFromRequest(req, {
+      eventType: isSelf ? "GROUP_LEFT" : "GROUP_MEMBER_REMOVED",
+      description: isSelf ? "User left a group conversation" : "User removed a group member",
+      metadata: { groupId: req.params.id, target: targetId },
+    });
+
+    if (remaining) {
+      messaging.emitToMembers(io, remaining, "group_updated", await groupPayload(remaining));
     }
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("❌ Remove group member error:", err);
+    res.status(500).json({ error: "Failed to remove member" });
   }
-);
+});
+
+/**
+ * POST /api/conversations/groups/:id/leave
+ */
+router.post("/groups/:id/leave", auth, async (req, res) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+
+    const remaining = await removeMember(group, req.userId);
+
+    await logger.logFromRequest(req, {
+      eventType: "GROUP_LEFT",
+      description: "User left a group conversation",
+      metadata: { groupId: req.params.id },
+    });
+
+    if (remaining) {
+      messaging.emitToMembers(
+        req.app.get("io"),
+        remaining,
+        "group_updated",
+        await groupPayload(remaining)
+      );
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("❌ Leave group error:", err);
+    res.status(500).json({ error: "Failed to leave group" });
+  }
+});
 
 module.exports = router;
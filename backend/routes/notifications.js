@@ -1,25 +1,56 @@
 // notifications route (requires auth middleware)
+// Mounted at /api/notifications; every notification endpoint lives here.
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const Notification = require('../models/Notification');
 const auth = require('../middleware/auth'); // adapt to your auth
+const notifications = require('../services/notifications');
 
-// Create notification
-router.post('/', auth, async (req, res) => {
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// List: ?cursor=<nextCursor>&limit=&verb=like,comment
+router.get('/', auth, async (req, res) => {
   try {
-    const { user, actor, verb, targetType, targetId, read, meta } = req.body;
-    // ensure required fields
-    if (!user || !actor) return res.status(400).json({ message: 'user & actor required' });
+    const verbs = notifications.parseVerbs(req.query.verb);
+    if (!verbs) return res.status(400).json({ message: 'invalid verb' });
 
-    const n = await Notification.create({
-      user, actor, verb, targetType, targetId, read: !!read, meta
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = notifications.parseCursor(req.query.cursor);
+      if (!cursor) return res.status(400).json({ message: 'invalid cursor' });
+    }
+
+    const page = await notifications.listNotifications(req.user._id, {
+      cursor,
+      limit: req.query.limit,
+      verbs,
     });
+    res.json(page);
+  } catch (err) {
+    console.error('❌ Notifications error:', err);
+    res.status(500).json({ message: 'server error' });
+  }
+});
 
-    // Optionally emit via socket.io to user (if you have socket server)
-    if (req.app && req.app.get('io')) {
-      const io = req.app.get('io');
-      io.to(String(user)).emit('notification_created', n);
+// Create notification (e.g. "shared a post with you"). The actor is always
+// the caller; clients can't send notifications in someone else's name.
+router.post('/', auth, async (req, res) => {
+  try {
+    const { user, verb, targetType, targetId } = req.body;
+    // ensure required fields
+    if (!user || !isValidId(user)) return res.status(400).json({ message: 'user required' });
+    if (!notifications.VERBS.includes(verb)) {
+      return res.status(400).json({ message: 'invalid verb' });
     }
+    if (targetId && !isValidId(targetId)) {
+      return res.status(400).json({ message: 'invalid targetId' });
+    }
+
+    // Persists, refreshes the unread count and pushes notification_created
+    const n = await notifications.notify(req.app.get('io'), {
+      user, actor: req.user._id, verb, targetType, targetId
+    });
+    if (!n) return res.status(400).json({ message: 'cannot notify yourself' });
 
     res.status(201).json({ success: true, notification: n });
   } catch (err) {
@@ -41,7 +72,8 @@ router.get('/unread/count', auth, async (req, res) => {
       return res.status(401).json({ message: 'Unauthorized' });
     }
     
-    const count = await Notification.countDocuments({ user: userId, read: false });
+    // Cached; muted / blocked actors are filtered silently
+    const count = await notifications.unreadCount(userId);
     
     console.log('✅ Unread notifications:', count);
     
@@ -52,6 +84,44 @@ router.get('/unread/count', auth, async (req, res) => {
   }
 });
 
+// Mark everything read: { before?: ISO date, verb?: "like,comment" }
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    const verbs = notifications.parseVerbs(req.body?.verb);
+    if (!verbs) return res.status(400).json({ message: 'invalid verb' });
+
+    let before = null;
+    if (req.body?.before) {
+      before = new Date(req.body.before);
+      if (isNaN(before)) return res.status(400).json({ message: 'invalid before' });
+    }
+
+    const modified = await notifications.markAllRead(req.app.get('io'), req.user._id, {
+      before,
+      verbs,
+    });
+    res.json({ success: true, modified });
+  } catch (err) {
+    console.error('❌ Mark all read error:', err);
+    res.status(500).json({ message: 'server error' });
+  }
+});
+
+// Everyone behind a grouped notification ("alice and 9 others")
+router.get('/:id/actors', auth, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(400).json({ message: 'invalid id' });
+
+    const actors = await notifications.listActors(req.user._id, req.params.id);
+    if (!actors) return res.status(404).json({ message: 'not found' });
+
+    res.json(actors);
+  } catch (err) {
+    console.error('❌ Notification actors error:', err);
+    res.status(500).json({ message: 'server error' });
+  }
+});
+
 // Mark a notification read - FIXED
 router.put('/:id/read', auth, async (req, res) => {
   try {
@@ -59,12 +129,10 @@ router.put('/:id/read', auth, async (req, res) => {
     const userId = req.user._id || req.user.id;
     
     console.log('✅ Marking notification as read:', req.params.id, 'for user:', userId);
-    
-    const n = await Notification.findOneAndUpdate(
-      { _id: req.params.id, user: userId }, 
-      { read: true }, 
-      { new: true }
-    );
+
+    if (!isValidId(req.params.id)) return res.status(400).json({ message: 'invalid id' });
+
+    const n = await notifications.markRead(req.app.get('io'), userId, req.params.id);
     
     if (!n) {
       console.log('❌ Notification not found or not owned by user');
@@ -80,4 +148,23 @@ router.put('/:id/read', auth, async (req, res) => {
   }
 });
 
+// Dismiss a notification
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(400).json({ message: 'invalid id' });
+
+    const deleted = await notifications.deleteNotification(
+      req.app.get('io'),
+      req.user._id,
+      req.params.id
+    );
+    if (!deleted) return res.status(404).json({ message: 'not found' });
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('❌ Delete notification error:', err);
+    res.status(500).json({ message: 'server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -41,6 +41,7 @@ const DEPLOYMENT_URL = (() => {
 // Rate limits
 const RATE_LIMITS = {
   auth: { windowMs: 15 * 60 * 1000, max: 5 },
+  refresh: { windowMs: 15 * 60 * 1000, max: 60 },
   api: { windowMs: 60 * 1000, max: 100 },
 };
 
@@ -54,9 +55,10 @@ const CACHE_TTL = {
 
 // Content limits
 const LIMITS = {
-  messageLength: 5000,
   postContent: 5000,
   commentLength: 2000,
+  commentsPage: 20,
+  commentsPageMax: 50,
   ageMin: 16,
   ageMax: 120,
 };
@@ -67,12 +69,12 @@ const ADMIN_USERNAMES = process.env.ADMIN_USERNAMES?.split(",").map((u) => u.tri
 // Imports
 const path = require("path");
 const express = require("express");
-const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const rateLimit = require("express-rate-limit");
 const Sentiment = require("sentiment");
 const mongoose = require("mongoose");
 const { Server } = require("socket.io");
+const { createAdapter } = require("@socket.io/redis-adapter");
 const http = require("http");
 const os = require("os");
 const { Client } = require("@elastic/elasticsearch");
@@ -82,13 +84,27 @@ const User = require("./models/User");
 const Post = require("./models/Post");
 const Follow = require("./models/Follow");
 const auth = require("./middleware/auth");
+const { optionalAuth } = require("./middleware/auth");
+const requireVerified = require("./middleware/requireVerified");
 const adminAuth = require("./middleware/adminAuth");
+const uploadSingle = require("./middleware/upload");
 
 // Services
 const connectDB = require("./db");
 const { redisHelpers } = require("./db");
 const logger = require("./services/logger");
 const mediaQueue = require("./queues/media.queue");
+const storage = require("./services/storage");
+const timeline = require("./services/timeline");
+const relations = require("./services/relations");
+const messaging = require("./services/messaging");
+const presence = require("./services/presence");
+const notifications = require("./services/notifications");
+const sessions = require("./services/sessions");
+const accounts = require("./services/accounts");
+const twoFactor = require("./services/twoFactor");
+const loginThrottle = require("./services/loginThrottle");
+const { encodeCursor, parseCursor, pastCursor } = require("./utils/cursors");
 
 // Routers
 const notificationsRouter = require("./routes/notifications");
@@ -105,9 +121,18 @@ const app = express();
 const server = http.createServer(app);
 
 // Middleware
-app.use(express.json({ limit: "50mb" }));
-app.use(express.urlencoded({ limit: "50mb", extended: true }));
-app.use("/uploads", express.static(path.join(__dirname, "uploads")));
+// Media goes through multipart /api/media/upload, so JSON bodies stay small
+app.use(express.json({ limit: "1mb" }));
+app.use(express.urlencoded({ limit: "1mb", extended: true }));
+// Uploads are user content on our origin: never let the browser guess a type,
+// and only images/video may render inline
+const INLINE_UPLOAD_RE = /\.(jpg|png|gif|webp|mp4|webm|mov)$/i;
+app.use("/uploads", express.static(path.join(__dirname, "uploads"), {
+  setHeaders(res, filePath) {
+    res.set("X-Content-Type-Options", "nosniff");
+    if (!INLINE_UPLOAD_RE.test(filePath)) res.set("Content-Disposition", "attachment");
+  },
+}));
 
 // No-cache headers for HTML files (force fresh loads)
 app.use((req, res, next) => {
@@ -143,7 +168,6 @@ app.use("/demo", logDemoRoutes);
 app.get("/", (req, res) => res.redirect("/login.html"));
 
 // ============= DATABASE & SOCKET.IO =============
-connectDB();
 const io = new Server(server, {
   cors: {
     origin: process.env.NODE_ENV === 'production' ? [DEPLOYMENT_URL] : "*",
@@ -152,7 +176,33 @@ const io = new Server(server, {
   },
 });
 
-const connectedUsers = new Map();
+// Routers emit through req.app.get("io")
+app.set("io", io);
+
+// Rooms and emits are shared between instances over Redis pub/sub, so
+// io.to(userId) reaches the user whichever instance holds their socket
+async function attachSocketAdapter(redisClient) {
+  if (!redisClient) {
+    console.warn("⚠️ Redis unavailable — Socket.IO running as a single instance");
+    return;
+  }
+
+  const pubClient = redisClient.duplicate();
+  const subClient = redisClient.duplicate();
+  pubClient.on("error", (err) => console.error("❌ Socket.IO pub error:", err.message));
+  subClient.on("error", (err) => console.error("❌ Socket.IO sub error:", err.message));
+
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+  io.adapter(createAdapter(pubClient, subClient));
+  console.log("✅ Socket.IO Redis adapter ready");
+}
+
+// The server only listens once the adapter is in place (see SERVER STARTUP)
+const ready = connectDB()
+  .then(({ redisClient }) => attachSocketAdapter(redisClient))
+  .catch((err) => console.error("❌ Socket.IO adapter error:", err.message));
+
+presence.startHeartbeat(io);
 
 // ============= HELPER FUNCTIONS =============
 
@@ -183,17 +233,51 @@ function verifyToken(token) {
   }
 }
 
-function signToken(userId, username) {
-  return jwt.sign(
-    { sub: userId.toString(), username },
-    process.env.JWT_SECRET,
-    { expiresIn: "7d" }
-  );
+// Room holding every socket opened with a session's access token
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// Clients only sign out on session_revoked; a bare server disconnect just
+// makes them reconnect. No `close` flag, so the event is flushed before the
+// disconnect packet that follows it.
+function disconnectSessions(sessionIds) {
+  sessionIds.forEach((id) => {
+    io.in(sessionRoom(id)).emit("session_revoked");
+    io.in(sessionRoom(id)).disconnectSockets();
+  });
 }
 
 // Response helpers
 const sendError = (res, status, message) => res.status(status).json({ message });
 const sendSuccess = (res, data, status = 200) => res.status(status).json(data);
+const sendPrivate = (res) =>
+  res.status(403).json({ message: "This account is private", code: "PRIVATE_ACCOUNT" });
+
+// Follow helpers
+// Private profiles are visible to their owner and accepted followers only
+async function canViewProfile(viewerId, owner) {
+  if (!owner.isPrivate) return true;
+  if (!viewerId) return false;
+  if (viewerId.toString() === owner._id.toString()) return true;
+  return !!(await Follow.exists({
+    follower: viewerId,
+    followee: owner._id,
+    status: "accepted",
+  }));
+}
+
+// followersCount / followingCount only ever reflect accepted follows
+async function adjustFollowCounts(followerId, followeeId, delta, session) {
+  await User.findByIdAndUpdate(
+    followeeId,
+    { $inc: { followersCount: delta } },
+    { session }
+  );
+  await User.findByIdAndUpdate(
+    followerId,
+    { $inc: { followingCount: delta } },
+    { session }
+  );
+}
 
 // Formatting
 function formatTimestamp(date) {
@@ -206,189 +290,294 @@ function formatTimestamp(date) {
   return new Date(date).toLocaleDateString();
 }
 
-// Message formatting
-function formatMessage(msg) {
+// Processed variant URL for a post's media (thumb / feed / full), falling
+// back to the original upload while the media worker hasn't finished
+function mediaUrlFor(post, variant) {
+  const match = post.media?.variants?.find((v) => v.name === variant);
+  return match?.url || post.mediaUrl;
+}
+
+// Usernames of a post's / comment's populated mentions
+const mentionNames = (doc) => (doc.mentions || []).map((u) => u.username).filter(Boolean);
+
+// Feed-shaped post (expects userId, media and mentions populated)
+function formatFeedPost(post) {
+  const postUser = post.userId || {};
+  return {
+    id: post._id,
+    username: postUser.username || post.username,
+    displayName: postUser.displayName || postUser.username,
+    avatar: postUser.avatarUrl || "👤",
+    content: post.content,
+    mentions: mentionNames(post),
+    mediaUrl: mediaUrlFor(post, "feed"),
+    timestamp: formatTimestamp(post.createdAt),
+    createdAt: post.createdAt,
+    likes: post.likesCount || 0,
+    commentCount: post.commentCount || 0,
+  };
+}
+
+// Sets `liked` on formatted posts ({ id }) for the viewer, from the Like collection
+async function withLikedFlags(posts, userId) {
+  if (!userId || !posts.length) return posts.map((p) => ({ ...p, liked: false }));
+  const Like = require("./models/Like");
+  const likedIds = await Like.find({
+    user: userId,
+    post: { $in: posts.map((p) => p.id) },
+  }).distinct("post");
+  const likedSet = new Set(likedIds.map(String));
+  return posts.map((p) => ({ ...p, liked: likedSet.has(String(p.id)) }));
+}
+
+// Mention notifications for a new post/comment. Skips the author, anyone
+// blocked either way, and `skipIds` (users already notified about it).
+async function notifyMentions(actorId, mentionedIds, target, skipIds = []) {
+  if (!mentionedIds?.length) return [];
+
+  const blockedIds = await relations.getBlockedIds(actorId);
+  const skip = new Set([actorId, ...blockedIds, ...skipIds].map(String));
+  const recipients = mentionedIds.map(String).filter((id) => !skip.has(id));
+
+  for (const userId of recipients) {
+    await notifications.notify(io, {
+      user: userId,
+      actor: actorId,
+      verb: "mention",
+      targetType: target.type,
+      targetId: target.id,
+    });
+  }
+  return recipients;
+}
+
+// Comment formatting (expects author populated)
+function formatComment(c) {
+  const author = c.author || {};
   return {
-    id: msg._id,
-    conversationId: msg.conversationId,
-    sender: {
-      id: msg.sender._id,
-      username: msg.sender.username,
-      displayName: msg.sender.displayName || msg.sender.username,
-      avatarUrl: msg.sender.avatarUrl,
+    _id: c._id,
+    id: c._id,
+    text: c.text,
+    author: {
+      _id: author._id,
+      id: author._id,
+      username: author.username,
+      displayName: author.displayName || author.username,
+      avatarUrl: author.avatarUrl,
     },
-    text: msg.text,
-    createdAt: msg.createdAt,
-    delivered: msg.deliveredTo?.length > 0,
-    read: msg.readBy?.length > 0,
+    mentions: mentionNames(c),
+    parentComment: c.parentComment || null,
+    replyCount: c.replyCount || 0,
+    likesCount: c.likesCount || 0,
+    createdAt: c.createdAt,
   };
 }
 
+// Deletes every key matching `pattern`. SCAN walks the keyspace in batches
+// instead of blocking Redis the way KEYS does.
+async function deleteMatching(pattern) {
+  const client = redisHelpers.client();
+  for await (const keys of client.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+    if (keys.length) await client.del(keys);
+  }
+}
+
 // Cache helpers
 const cacheHelper = {
   keys: {
     search: (q) => `search:users:${q.toLowerCase()}`,
-    feed: (cursor) => `feed:posts:${cursor || "latest"}`,
+    feed: (userId, mode, cursor) => `feed:posts:${userId}:${mode}:${cursor || "latest"}`,
     userPosts: (userId, cursor) => `user:posts:${userId}:${cursor || "latest"}`,
     comments: (postId) => `post:comments:${postId}`,
   },
   invalidateFeed: async () => {
     if (!redisHelpers?.client()) return;
     try {
-      const keys = await redisHelpers.client().keys("feed:posts:*");
-      if (keys?.length) await redisHelpers.client().del(...keys);
+      await deleteMatching("feed:posts:*");
     } catch (e) {
       console.warn("⚠️ Cache error:", e.message);
     }
   },
-  invalidateFollowCaches: async (followerId, followeeId) => {
+  invalidateUserFeed: async (userId) => {
     if (!redisHelpers?.client()) return;
     try {
-      await redisHelpers.client().del(
-        `follow:${followerId}:${followeeId}`,
-        `user:followers:${followeeId}`,
-        `user:following:${followerId}`
-      );
+      await deleteMatching(`feed:posts:${userId}:*`);
     } catch (e) {
       console.warn("⚠️ Cache error:", e.message);
     }
   },
-  invalidateNotifications: async (userId) => {
+  invalidateFollowCaches: async (followerId, followeeId) => {
     if (!redisHelpers?.client()) return;
     try {
-      await redisHelpers.client().del(`notif:unread:${userId}`);
+      await redisHelpers.client().del(
+        `follow:${followerId}:${followeeId}`,
+        `user:followers:${followeeId}`,
+        `user:following:${followerId}`
+      );
     } catch (e) {
       console.warn("⚠️ Cache error:", e.message);
     }
   },
+  invalidateNotifications: (userId) => notifications.invalidateUnread(userId),
 };
 
 // ============= SOCKET.IO SETUP =============
 
 // Authentication
-io.use((socket, next) => {
+io.use(async (socket, next) => {
   const token = socket.handshake.auth.token;
   if (!token) return next(new Error("Auth error"));
   
   const decoded = verifyToken(token);
   if (!decoded) return next(new Error("Auth error"));
+
+  try {
+    if (!(await sessions.isActive(decoded.sid, decoded.sub))) {
+      return next(new Error("Session revoked"));
+    }
+  } catch (error) {
+    console.error("❌ Socket session check error:", error);
+    return next(new Error("Auth error"));
+  }
   
   socket.userId = decoded.sub;
   socket.username = decoded.username;
+  socket.sessionId = decoded.sid;
   next();
 });
 
 // Connections
 io.on("connection", (socket) => {
   console.log("✅ User connected:", socket.username);
-  connectedUsers.set(socket.userId, socket.id);
-  socket.broadcast.emit("user_online", { userId: socket.userId, username: socket.username });
-  io.emit("online_users", Array.from(connectedUsers.keys()));
   socket.join(socket.userId);
+  socket.join(sessionRoom(socket.sessionId));
+
+  // Online with the first tab/device only, across all instances
+  presence
+    .addConnection(socket.userId, socket.id)
+    .then((first) => first && presence.userOnline(io, socket))
+    .catch((error) => console.error("❌ Presence error:", error));
+
+  // Catch up on what arrived while this user was offline
+  messaging
+    .deliverPending(io, socket)
+    .then(async ({ total }) => {
+      if (total) {
+        await logSocketEvent(socket, "MESSAGE_DELIVERED", "Pending messages delivered", { total });
+      }
+    })
+    .catch((error) => console.error("❌ Pending delivery error:", error));
 
   // Typing
-  socket.on("typing", (data) => {
-    const recipientId = connectedUsers.get(data.recipientId);
-    if (recipientId) {
-      io.to(recipientId).emit("user_typing", {
+  socket.on("typing", async (data) => {
+    try {
+      if (!data?.conversationId && !data?.recipientId) return;
+
+      if (messaging.isGroupKey(data.conversationId)) {
+        const group = await messaging.findGroupForMember(data.conversationId, socket.userId);
+        if (!group) return;
+        messaging.emitToMembers(io, group, "user_typing", {
+          conversationId: data.conversationId,
+          userId: socket.userId,
+          username: socket.username,
+          isTyping: data.isTyping,
+        }, { except: socket.userId });
+        return;
+      }
+
+      const recipientId =
+        messaging.otherParticipant(data.conversationId, socket.userId) || data.recipientId;
+      if (!recipientId || !mongoose.Types.ObjectId.isValid(recipientId)) return;
+      // Same rule as sending: no DM traffic between blocked users
+      if (await relations.isBlocked(socket.userId, recipientId)) return;
+
+      io.to(String(recipientId)).emit("user_typing", {
+        conversationId: messaging.dmKey(socket.userId, recipientId),
         userId: socket.userId,
         username: socket.username,
         isTyping: data.isTyping,
       });
+    } catch (error) {
+      console.error("❌ Typing error:", error);
     }
   });
 
-  // Send message
+  // Send message: { recipientId | conversationId, text, mediaIds? }
   socket.on("send_message", async (data) => {
     try {
-      if (!data.recipientId || !data.text) {
+      if (!data || (!data.recipientId && !data.conversationId)) {
         return socket.emit("message_error", { error: "Invalid data" });
       }
-      if (data.text.length > LIMITS.messageLength) {
-        return socket.emit("message_error", { error: "Message too long" });
+      if (accounts.REQUIRE_EMAIL_VERIFICATION) {
+        const sender = await User.findById(socket.userId).select("emailVerified").lean();
+        if (accounts.mustVerifyEmail(sender)) {
+          return socket.emit("message_error", { error: "Please verify your email address first" });
+        }
       }
 
-      const Message = require("./models/Message");
-      const convId = [socket.userId, data.recipientId].sort().join("_");
-
-      const newMsg = await Message.create({
-        conversationId: convId,
-        sender: socket.userId,
-        recipients: [data.recipientId],
-        text: data.text,
-        deliveredTo: [],
-        readBy: [],
-      });
+      const { data: msgData } = await messaging.sendMessage(
+        io,
+        socket.userId,
+        { recipientId: data.recipientId, conversationId: data.conversationId },
+        { text: data.text || "", mediaIds: data.mediaIds || [] }
+      );
 
       await logSocketEvent(socket, "MESSAGE_SENT", "User sent a message", {
-        recipientId: data.recipientId,
-        messageId: newMsg._id,
+        conversationId: msgData.conversationId,
+        messageId: msgData.id,
       });
 
-      const populated = await Message.findById(newMsg._id)
-        .populate("sender", "username displayName avatarUrl")
-        .lean();
-
-      const msgData = formatMessage(populated);
       socket.emit("message_sent", msgData);
-
-      const recipientSocketId = connectedUsers.get(data.recipientId);
-      if (recipientSocketId) {
-        io.to(recipientSocketId).emit("new_message", msgData);
-        await Message.findByIdAndUpdate(newMsg._id, {
-          $addToSet: { deliveredTo: data.recipientId },
-        });
-        socket.emit("message_delivered", { messageId: newMsg._id });
-        await logSocketEvent(socket, "MESSAGE_DELIVERED", "Message delivered", {
-          recipientId: data.recipientId,
-          messageId: newMsg._id,
-        });
-      }
     } catch (error) {
+      if (error.statusCode) {
+        return socket.emit("message_error", { error: error.message });
+      }
       console.error("❌ Send message error:", error);
       socket.emit("message_error", { error: "Send failed" });
     }
   });
 
-  // Mark read
+  // Mark read: { conversationId }
   socket.on("mark_read", async (data) => {
     try {
-      const Message = require("./models/Message");
-      const result = await Message.updateMany(
-        {
-          conversationId: data.conversationId,
-          sender: data.senderId,
-          readBy: { $ne: socket.userId },
-        },
-        { $addToSet: { readBy: socket.userId } }
+      const modified = await messaging.markConversationRead(
+        io,
+        data?.conversationId,
+        socket.userId
       );
-
-      if (result.modifiedCount > 0) {
-        await logSocketEvent(
-          socket,
-          "MESSAGE_READ",
-          "User read messages",
-          { conversationId: data.conversationId }
-        );
-        const senderSocketId = connectedUsers.get(data.senderId);
-        if (senderSocketId) {
-          io.to(senderSocketId).emit("messages_read", {
-            conversationId: data.conversationId,
-            readBy: socket.userId,
-          });
-        }
+      if (modified > 0) {
+        await logSocketEvent(socket, "MESSAGE_READ", "User read messages", {
+          conversationId: data.conversationId,
+        });
       }
     } catch (error) {
       console.error("❌ Mark read error:", error);
     }
   });
 
+  // Presence: { userIds } -> presence_state for the users this viewer may see
+  socket.on("presence_subscribe", async (data) => {
+    try {
+      const userIds = Array.isArray(data?.userIds) ? data.userIds : [];
+      const valid = userIds.filter((id) => mongoose.Types.ObjectId.isValid(id));
+      socket.emit("presence_state", await presence.subscribe(socket, valid));
+    } catch (error) {
+      console.error("❌ Presence subscribe error:", error);
+    }
+  });
+
+  socket.on("presence_unsubscribe", (data) => {
+    presence.unsubscribe(socket, Array.isArray(data?.userIds) ? data.userIds : []);
+  });
+
   socket.on("error", (error) => console.error("❌ Socket error:", error));
 
+  // Offline once the last tab/device closes
   socket.on("disconnect", () => {
-    connectedUsers.delete(socket.userId);
-    socket.broadcast.emit("user_offline", { userId: socket.userId });
-    io.emit("online_users", Array.from(connectedUsers.keys()));
+    presence
+      .removeConnection(socket.userId, socket.id)
+      .then((last) => last && presence.userOffline(io, socket.userId))
+      .catch((error) => console.error("❌ Presence error:", error));
   });
 });
 
@@ -396,84 +585,26 @@ io.on("connection", (socket) => {
 
 app.get("/api/messages/conversations", auth, async (req, res) => {
   try {
-    const Message = require("./models/Message");
-    const messages = await Message.find({
-      $or: [{ sender: req.user._id }, { recipients: req.user._id }],
-    })
-      .populate("sender", "username displayName avatarUrl")
-      .populate("recipients", "username displayName avatarUrl")
-      .sort({ createdAt: -1 })
-      .lean();
-
-    const convMap = new Map();
-    messages.forEach((msg) => {
-      if (convMap.has(msg.conversationId)) return;
-      const otherUser =
-        msg.sender._id.toString() === req.user._id.toString()
-          ? msg.recipients[0]
-          : msg.sender;
-      convMap.set(msg.conversationId, {
-        conversationId: msg.conversationId,
-        otherUser: {
-          id: otherUser._id,
-          username: otherUser.username,
-          displayName: otherUser.displayName || otherUser.username,
-          avatarUrl: otherUser.avatarUrl,
-        },
-        lastMessage: {
-          text: msg.text,
-          createdAt: msg.createdAt,
-          senderId: msg.sender._id,
-          read: msg.readBy.includes(req.user._id),
-        },
-        unreadCount: 0,
-      });
-    });
-
-    // Count unread
-    for (const [convId, conv] of convMap) {
-      const count = await Message.countDocuments({
-        conversationId: convId,
-        sender: { $ne: req.user._id },
-        readBy: { $ne: req.user._id },
-      });
-      conv.unreadCount = count;
-    }
-
-    sendSuccess(res, Array.from(convMap.values()));
+    sendSuccess(res, await messaging.listConversations(req.user._id));
   } catch (error) {
     console.error("❌ Conversations error:", error);
     sendError(res, 500, "Server error");
   }
 });
 
+// ?before=<messageId> / ?after=<messageId> / ?limit= ; newest page by default
 app.get("/api/messages/conversation/:userId", auth, async (req, res) => {
   try {
-    const Message = require("./models/Message");
-    const convId = [req.user._id.toString(), req.params.userId].sort().join("_");
-
-    const messages = await Message.find({ conversationId: convId })
-      .populate("sender", "username displayName avatarUrl")
-      .sort({ createdAt: 1 })
-      .lean();
-
-    const formatted = messages.map((msg) => ({
-      id: msg._id,
-      sender: {
-        id: msg.sender._id,
-        username: msg.sender.username,
-        displayName: msg.sender.displayName || msg.sender.username,
-        avatarUrl: msg.sender.avatarUrl,
-      },
-      text: msg.text,
-      createdAt: msg.createdAt,
-      delivered: msg.deliveredTo.length > 0,
-      read: msg.readBy.length > 0,
-      isMine: msg.sender._id.toString() === req.user._id.toString(),
-    }));
-
-    sendSuccess(res, formatted);
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return sendError(res, 400, "Invalid user ID");
+    }
+    const { before, after, limit } = req.query;
+    sendSuccess(
+      res,
+      await messaging.getDirectMessages(req.user._id, req.params.userId, { before, after, limit })
+    );
   } catch (error) {
+    if (error.statusCode) return sendError(res, error.statusCode, error.message);
     console.error("❌ Messages error:", error);
     sendError(res, 500, "Server error");
   }
@@ -481,13 +612,7 @@ app.get("/api/messages/conversation/:userId", auth, async (req, res) => {
 
 app.get("/api/messages/unread/count", auth, async (req, res) => {
   try {
-    const Message = require("./models/Message");
-    const count = await Message.countDocuments({
-      recipients: req.user._id,
-      sender: { $ne: req.user._id },
-      readBy: { $ne: req.user._id },
-    });
-    sendSuccess(res, { count });
+    sendSuccess(res, { count: await messaging.totalUnread(req.user._id) });
   } catch (error) {
     console.error("❌ Unread count error:", error);
     sendError(res, 500, "Server error");
@@ -497,14 +622,41 @@ app.get("/api/messages/unread/count", auth, async (req, res) => {
 // ============= AUTH ROUTES =============
 
 const authLimiter = rateLimit(RATE_LIMITS.auth);
+const refreshLimiter = rateLimit(RATE_LIMITS.refresh);
+
+// Errors from the accounts and two-factor services carry an HTTP status and a code
+function sendAccountError(res, err, fallback) {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ message: err.message, code: err.code });
+  }
+  console.error(`❌ ${fallback}:`, err);
+  sendError(res, 500, "Server error");
+}
+
+// Same answer whether or not the account exists (see services/loginThrottle)
+function sendAccountLocked(res, waitMs) {
+  const retryAfter = Math.ceil(waitMs / 1000);
+  res.set("Retry-After", String(retryAfter));
+  res.status(429).json({
+    message: `Too many failed attempts, try again in ${
+      retryAfter < 60 ? `${retryAfter} seconds` : `${Math.ceil(retryAfter / 60)} minutes`
+    }`,
+    code: "ACCOUNT_LOCKED",
+    retryAfter,
+  });
+}
 
 app.post("/api/auth/signup", authLimiter, async (req, res) => {
   try {
-    const { email, username, age, gender, password } = req.body;
+    const { username, age, gender, password } = req.body;
+    const email = accounts.normalizeEmail(req.body.email);
 
     if (!email || !username || !age || !gender || !password) {
       return sendError(res, 400, "All fields required");
     }
+    if (!accounts.isValidEmail(email)) {
+      return sendError(res, 400, "Invalid email address");
+    }
     if (!/^[a-zA-Z]/.test(username)) {
       return sendError(res, 400, "Username must start with a letter");
     }
@@ -519,11 +671,9 @@ app.post("/api/auth/signup", authLimiter, async (req, res) => {
     if (!VALID_GENDERS.includes(gender)) {
       return sendError(res, 400, "Invalid gender");
     }
-    if (/[!@#$%^&*(),.?":{}|<>]/.test(password)) {
-      return sendError(res, 400, "No special chars in password");
-    }
-    if (password.length < 6) {
-      return sendError(res, 400, "Password must be 6+ chars");
+    const passwordProblem = accounts.validatePassword(password, { username, email });
+    if (passwordProblem) {
+      return sendError(res, 400, passwordProblem);
     }
 
     if (await User.findOne({ email })) {
@@ -533,7 +683,7 @@ app.post("/api/auth/signup", authLimiter, async (req, res) => {
       return sendError(res, 400, "Username taken");
     }
 
-    const hashed = await bcrypt.hash(password, 10);
+    const hashed = await accounts.hashPassword(password);
     const newUser = await User.create({
       email,
       username,
@@ -552,7 +702,12 @@ app.post("/api/auth/signup", authLimiter, async (req, res) => {
       username: newUser.username,
     });
 
-    const token = signToken(newUser._id, newUser.username);
+    // The account works without it; a failed mail can be resent later
+    accounts
+      .sendVerificationEmail(newUser)
+      .catch((error) => console.error("❌ Verification email error:", error));
+
+    const { token, refreshToken, expiresIn } = await sessions.createSession(newUser, req);
     sendSuccess(res, {
       id: newUser._id,
       userId: newUser._id.toString(),
@@ -560,7 +715,10 @@ app.post("/api/auth/signup", authLimiter, async (req, res) => {
       username: newUser.username,
       age: newUser.age,
       gender: newUser.gender,
+      emailVerified: false,
       token,
+      refreshToken,
+      expiresIn,
     }, 201);
   } catch (err) {
     console.error("❌ Signup error:", err);
@@ -572,52 +730,152 @@ app.post("/api/auth/login", authLimiter, async (req, res) => {
   try {
     const { username, password } = req.body;
 
-    if (!username || !password) {
+    if (typeof username !== "string" || typeof password !== "string" || !username || !password) {
       return sendError(res, 400, "Username and password required");
     }
 
+    const waitMs = await loginThrottle.lockedFor(username);
+    if (waitMs) return sendAccountLocked(res, waitMs);
+
+    // One message for both cases so usernames can't be probed
     const user = await User.findOne({ username });
-    if (!user) {
-      return sendError(res, 404, "Account not found");
+    if (!(await accounts.verifyPassword(user, password))) {
+      const lockedMs = await loginThrottle.recordFailure(username);
+      await logEvent(req, "LOGIN_FAILED", "Invalid username or password", {
+        ...(user && { userId: user._id }),
+        username,
+        ...(lockedMs && { lockedSeconds: Math.ceil(lockedMs / 1000) }),
+      });
+      if (lockedMs) return sendAccountLocked(res, lockedMs);
+      return sendError(res, 401, "Invalid username or password");
+    }
+
+    // The password is at hand only now; a failed upgrade is retried next login
+    accounts
+      .upgradePasswordHash(user, password)
+      .catch((error) => console.error("❌ Password rehash error:", error));
+
+    // Second step: no session until POST /api/auth/login/2fa
+    if (user.twoFactorEnabled) {
+      await logEvent(req, "LOGIN_2FA_CHALLENGE", "Password accepted, awaiting 2FA code", {
+        userId: user._id,
+        username: user.username,
+      });
+      return sendSuccess(res, {
+        twoFactorRequired: true,
+        challengeToken: twoFactor.issueChallenge(user),
+      });
     }
 
-    const ok = await bcrypt.compare(password, user.passwordHash);
-    if (!ok) {
-      return sendError(res, 401, "Incorrect password");
+    await completeLogin(req, res, user);
+  } catch (err) {
+    console.error("❌ Login error:", err);
+    sendError(res, 500, "Server error");
+  }
+});
+
+// Body: { challengeToken, code } or { challengeToken, recoveryCode }
+app.post("/api/auth/login/2fa", authLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const userId = twoFactor.readChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({
+        message: "Login expired, please sign in again",
+        code: "CHALLENGE_EXPIRED",
+      });
     }
+    if (!code && !recoveryCode) return sendError(res, 400, "Code required");
 
-    const token = signToken(user._id, user.username);
-    const isAdmin = ADMIN_USERNAMES.includes(username);
+    const user = await User.findById(userId);
+    if (!user) return sendError(res, 401, "Login expired, please sign in again");
 
-    await logEvent(req, "LOGIN", "User logged in", {
-      userId: user._id,
-      username: user.username,
-      isAdmin,
-    });
+    // Wrong codes count towards the same lockout as wrong passwords
+    const waitMs = await loginThrottle.lockedFor(user.username);
+    if (waitMs) return sendAccountLocked(res, waitMs);
 
-    sendSuccess(res, {
-      token,
-      isAdmin,
-      user: {
-        id: user._id,
+    let result;
+    try {
+      result = await twoFactor.verifySecondFactor(userId, { code, recoveryCode });
+    } catch (err) {
+      if (err.statusCode !== 401) throw err;
+      const lockedMs = await loginThrottle.recordFailure(user.username);
+      await logEvent(req, "LOGIN_2FA_FAILED", "Invalid 2FA code", {
+        userId: user._id,
         username: user.username,
-        displayName: user.displayName || user.username,
-        email: user.email,
-        bio: user.bio || "",
-        avatarUrl: user.avatarUrl || "",
-      },
+        ...(lockedMs && { lockedSeconds: Math.ceil(lockedMs / 1000) }),
+      });
+      if (lockedMs) return sendAccountLocked(res, lockedMs);
+      throw err;
+    }
+
+    await completeLogin(req, res, user, {
+      twoFactorMethod: result.method,
+      recoveryCodesLeft: result.recoveryCodesLeft,
     });
   } catch (err) {
-    console.error("❌ Login error:", err);
+    sendAccountError(res, err, "Login 2FA error");
+  }
+});
+
+// Create the session and answer the login request
+async function completeLogin(req, res, user, { twoFactorMethod, recoveryCodesLeft } = {}) {
+  const { session, token, refreshToken, expiresIn } = await sessions.createSession(user, req);
+  const isAdmin = ADMIN_USERNAMES.includes(user.username);
+  await loginThrottle.clearFailures(user.username);
+
+  await logEvent(req, "LOGIN", "User logged in", {
+    userId: user._id,
+    username: user.username,
+    isAdmin,
+    sessionId: session._id,
+    ...(twoFactorMethod && { twoFactorMethod }),
+  });
+
+  sendSuccess(res, {
+    token,
+    refreshToken,
+    expiresIn,
+    isAdmin,
+    ...(recoveryCodesLeft !== undefined && { recoveryCodesLeft }),
+    user: {
+      id: user._id,
+      username: user.username,
+      displayName: user.displayName || user.username,
+      email: user.email,
+      bio: user.bio || "",
+      avatarUrl: user.avatarUrl || "",
+    },
+  });
+}
+
+// Swap a refresh token for a new access token and a new refresh token
+app.post("/api/auth/refresh", refreshLimiter, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return sendError(res, 400, "refreshToken required");
+
+    const { token, refreshToken: rotated, expiresIn } =
+      await sessions.refreshSession(refreshToken, req);
+    sendSuccess(res, { token, refreshToken: rotated, expiresIn });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message, code: err.code });
+    }
+    console.error("❌ Refresh error:", err);
     sendError(res, 500, "Server error");
   }
 });
 
 app.post("/api/auth/logout", auth, async (req, res) => {
   try {
+    await sessions.revokeSession(req.sessionId, req.user._id);
+    disconnectSessions([req.sessionId]);
+
     await logEvent(req, "LOGOUT", "User logged out", {
       userId: req.user._id,
       username: req.user.username,
+      sessionId: req.sessionId,
     });
     sendSuccess(res, { message: "Logged out" });
   } catch (err) {
@@ -626,6 +884,171 @@ app.post("/api/auth/logout", auth, async (req, res) => {
   }
 });
 
+// Revoke every session of the current user, this one included
+app.post("/api/auth/logout-all", auth, async (req, res) => {
+  try {
+    const revoked = await sessions.revokeAllSessions(req.user._id);
+    disconnectSessions(revoked);
+
+    await logEvent(req, "LOGOUT_ALL", "User logged out of all sessions", {
+      userId: req.user._id,
+      username: req.user.username,
+      revoked: revoked.length,
+    });
+    sendSuccess(res, { message: "Logged out everywhere", revoked: revoked.length });
+  } catch (err) {
+    console.error("❌ Logout all error:", err);
+    sendError(res, 500, "Server error");
+  }
+});
+
+app.post("/api/auth/verify-email", authLimiter, async (req, res) => {
+  try {
+    const user = await accounts.verifyEmail(req.body.token);
+
+    await logEvent(req, "EMAIL_VERIFIED", "User verified their email", {
+      userId: user._id,
+      username: user.username,
+    });
+    sendSuccess(res, { message: "Email verified", emailVerified: true });
+  } catch (err) {
+    sendAccountError(res, err, "Verify email error");
+  }
+});
+
+app.post("/api/auth/verify-email/resend", authLimiter, auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("_id username email emailVerified");
+    if (!user) return sendError(res, 404, "User not found");
+    if (user.emailVerified) return sendError(res, 400, "Email already verified");
+
+    await accounts.sendVerificationEmail(user);
+    sendSuccess(res, { message: "Verification email sent" });
+  } catch (err) {
+    sendAccountError(res, err, "Resend verification error");
+  }
+});
+
+// Same answer whether or not the address is registered
+app.post("/api/auth/forgot-password", authLimiter, async (req, res) => {
+  try {
+    const email = accounts.normalizeEmail(req.body.email);
+    if (!email) return sendError(res, 400, "Email required");
+
+    // Not awaited: waiting for the lookup and the mail (or its failure) would
+    // make registered addresses answer slower, or with a 500
+    accounts
+      .requestPasswordReset(email)
+      .then((sent) =>
+        logEvent(req, "PASSWORD_RESET_REQUESTED", "Password reset requested", { sent })
+      )
+      .catch((error) => console.error("❌ Password reset email error:", error));
+
+    sendSuccess(res, {
+      message: "If that address belongs to an account, a reset link is on its way",
+    });
+  } catch (err) {
+    sendAccountError(res, err, "Forgot password error");
+  }
+});
+
+// Single-use token from the email; every session is signed out afterwards
+app.post("/api/auth/reset-password", authLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const { user, revoked } = await accounts.resetPassword(token, password);
+    disconnectSessions(revoked);
+    await loginThrottle.clearFailures(user.username);
+
+    await logEvent(req, "PASSWORD_RESET", "User reset their password", {
+      userId: user._id,
+      username: user.username,
+      revoked: revoked.length,
+    });
+    sendSuccess(res, { message: "Password updated, please log in again" });
+  } catch (err) {
+    sendAccountError(res, err, "Reset password error");
+  }
+});
+
+// Two-factor setup, step 1: secret + otpauth:// URI for the authenticator app
+app.post("/api/auth/2fa/setup", auth, async (req, res) => {
+  try {
+    const { secret, otpauthUri } = await twoFactor.beginEnrollment(req.user._id);
+    sendSuccess(res, { secret, otpauthUri });
+  } catch (err) {
+    sendAccountError(res, err, "2FA setup error");
+  }
+});
+
+// Step 2: a code from the app turns 2FA on; recovery codes are shown once
+app.post("/api/auth/2fa/confirm", auth, async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactor.confirmEnrollment(req.user._id, req.body.code);
+
+    await logEvent(req, "2FA_ENABLED", "User enabled two-factor authentication", {
+      userId: req.user._id,
+      username: req.user.username,
+    });
+    sendSuccess(res, { twoFactorEnabled: true, recoveryCodes });
+  } catch (err) {
+    sendAccountError(res, err, "2FA confirm error");
+  }
+});
+
+// Body: { password, code } or { password, recoveryCode }
+app.post("/api/auth/2fa/disable", authLimiter, auth, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    await twoFactor.disable(req.user._id, { password, code, recoveryCode });
+
+    await logEvent(req, "2FA_DISABLED", "User disabled two-factor authentication", {
+      userId: req.user._id,
+      username: req.user.username,
+    });
+    sendSuccess(res, { twoFactorEnabled: false });
+  } catch (err) {
+    sendAccountError(res, err, "2FA disable error");
+  }
+});
+
+// Where the user is signed in; `current` marks the session making the call
+app.get("/api/auth/sessions", auth, async (req, res) => {
+  try {
+    const list = await sessions.listSessions(req.user._id, req.sessionId);
+    sendSuccess(res, { sessions: list });
+  } catch (err) {
+    console.error("❌ List sessions error:", err);
+    sendError(res, 500, "Server error");
+  }
+});
+
+// Sign one device out; its sockets are dropped right away
+app.delete("/api/auth/sessions/:sessionId", auth, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return sendError(res, 400, "Invalid session ID");
+    }
+
+    const revoked = await sessions.revokeSession(sessionId, req.user._id, "revoked_by_user");
+    if (!revoked) return sendError(res, 404, "Session not found");
+    disconnectSessions([sessionId]);
+
+    const current = sessionId === String(req.sessionId);
+    await logEvent(req, "SESSION_REVOKED", "User revoked a session", {
+      userId: req.user._id,
+      username: req.user.username,
+      sessionId,
+      current,
+    });
+    sendSuccess(res, { message: "Session revoked", current });
+  } catch (err) {
+    console.error("❌ Revoke session error:", err);
+    sendError(res, 500, "Server error");
+  }
+});
+
 // ============= USER ROUTES =============
 
 app.get("/api/users/me", auth, async (req, res) => {
@@ -638,10 +1061,14 @@ app.get("/api/users/me", auth, async (req, res) => {
       username: user.username,
       displayName: user.displayName || user.username,
       email: user.email,
+      emailVerified: !!user.emailVerified,
+      twoFactorEnabled: !!user.twoFactorEnabled,
       bio: user.bio,
       avatarUrl: user.avatarUrl,
       followersCount: user.followersCount || 0,
       followingCount: user.followingCount || 0,
+      isPrivate: !!user.isPrivate,
+      presenceVisibility: user.presenceVisibility || "everyone",
     });
   } catch (err) {
     console.error("❌ Get user error:", err);
@@ -654,11 +1081,15 @@ app.get("/api/users/search", auth, async (req, res) => {
     const { q } = req.query;
     if (!q || q.trim() === "") return sendSuccess(res, []);
 
+    // Results are cached per query, so blocks are applied per viewer afterwards
+    const blockedIds = (await relations.getBlockedIds(req.user._id)).map(String);
+    const visible = (users) => users.filter((u) => !blockedIds.includes(String(u.id)));
+
     const cacheKey = cacheHelper.keys.search(q);
     const cached = await redisHelpers.getJSON(cacheKey);
     if (cached) {
       console.log("✅ Search cache hit");
-      return sendSuccess(res, cached);
+      return sendSuccess(res, visible(cached));
     }
 
     await logEvent(req, "USER_SEARCH", "User performed search", { query: q });
@@ -667,7 +1098,7 @@ app.get("/api/users/search", auth, async (req, res) => {
       username: { $regex: q, $options: "i" },
       _id: { $ne: req.user._id },
     })
-      .select("username displayName avatarUrl followersCount")
+      .select("username displayName avatarUrl followersCount isPrivate")
       .limit(10)
       .lean();
 
@@ -677,6 +1108,7 @@ app.get("/api/users/search", auth, async (req, res) => {
       displayName: u.displayName || u.username,
       avatarUrl: u.avatarUrl,
       followersCount: u.followersCount || 0,
+      isPrivate: !!u.isPrivate,
     }));
 
     try {
@@ -687,16 +1119,26 @@ app.get("/api/users/search", auth, async (req, res) => {
     } catch (cacheErr) {
       console.warn("⚠️ Redis cache error:", cacheErr.message);
     }
-    sendSuccess(res, result);
+    sendSuccess(res, visible(result));
   } catch (err) {
     console.error("❌ Search error:", err);
     sendError(res, 500, "Server error");
   }
 });
 
-app.get("/api/users/:id/followers", async (req, res) => {
+app.get("/api/users/:id/followers", optionalAuth, async (req, res) => {
   try {
-    const followDocs = await Follow.find({ followee: req.params.id }).populate(
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return sendError(res, 400, "Invalid user ID");
+    }
+    const owner = await User.findById(req.params.id).select("isPrivate").lean();
+    if (!owner) return sendError(res, 404, "User not found");
+    if (!(await canViewProfile(req.user?._id, owner))) return sendPrivate(res);
+
+    const followDocs = await Follow.find({
+      followee: req.params.id,
+      status: { $ne: "pending" },
+    }).populate(
       "follower",
       "username name avatarUrl"
     );
@@ -712,6 +1154,7 @@ app.get("/api/users/:id/followers", async (req, res) => {
       {
         $match: {
           followee: { $in: userIds.map((id) => new mongoose.Types.ObjectId(id)) },
+          status: { $ne: "pending" },
         },
       },
       { $group: { _id: "$followee", count: { $sum: 1 } } },
@@ -737,9 +1180,19 @@ app.get("/api/users/:id/followers", async (req, res) => {
   }
 });
 
-app.get("/api/users/:id/following-list", async (req, res) => {
+app.get("/api/users/:id/following-list", optionalAuth, async (req, res) => {
   try {
-    const followDocs = await Follow.find({ follower: req.params.id }).populate(
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return sendError(res, 400, "Invalid user ID");
+    }
+    const owner = await User.findById(req.params.id).select("isPrivate").lean();
+    if (!owner) return sendError(res, 404, "User not found");
+    if (!(await canViewProfile(req.user?._id, owner))) return sendPrivate(res);
+
+    const followDocs = await Follow.find({
+      follower: req.params.id,
+      status: { $ne: "pending" },
+    }).populate(
       "followee",
       "username name avatarUrl"
     );
@@ -755,6 +1208,7 @@ app.get("/api/users/:id/following-list", async (req, res) => {
       {
         $match: {
           followee: { $in: userIds.map((id) => new mongoose.Types.ObjectId(id)) },
+          status: { $ne: "pending" },
         },
       },
       { $group: { _id: "$followee", count: { $sum: 1 } } },
@@ -803,54 +1257,75 @@ app.post("/api/users/:userId/follow", auth, async (req, res) => {
       return sendError(res, 404, "User not found");
     }
 
-    const existing = await Follow.findOne({
+    if (await relations.isBlocked(me, targetId)) {
+      await session.abortTransaction();
+      return sendError(res, 403, "You can't follow this user");
+    }
+
+    const existing = await Follow.findOne({
       follower: req.user._id,
       followee: targetId,
     }).session(session);
 
     if (existing) {
       await session.abortTransaction();
-      return sendError(res, 400, "Already following");
+      return sendError(
+        res,
+        400,
+        existing.status === "pending" ? "Follow already requested" : "Already following"
+      );
     }
 
+    // Private accounts get a request; counters move once it is approved
+    const status = targetUser.isPrivate ? "pending" : "accepted";
+
     await Follow.create(
-      [{ follower: req.user._id, followee: targetId, status: "accepted" }],
+      [{ follower: req.user._id, followee: targetId, status }],
       { session }
     );
 
-    await User.findByIdAndUpdate(
-      targetId,
-      { $inc: { followersCount: 1 } },
-      { session }
-    );
-    await User.findByIdAndUpdate(
-      req.user._id,
-      { $inc: { followingCount: 1 } },
-      { session }
-    );
+    if (status === "accepted") {
+      await adjustFollowCounts(req.user._id, targetId, 1, session);
+    }
 
     await session.commitTransaction();
 
-    await logEvent(req, "USER_FOLLOWS", "User followed another user", {
-      target: targetId,
-    });
+    if (status === "pending") {
+      await logEvent(req, "FOLLOW_REQUESTED", "User requested to follow a private account", {
+        target: targetId,
+      });
+    } else {
+      await logEvent(req, "USER_FOLLOWS", "User followed another user", {
+        target: targetId,
+      });
+    }
 
     await cacheHelper.invalidateFollowCaches(me, targetId);
 
+    if (status === "accepted") {
+      await cacheHelper.invalidateUserFeed(me);
+      try {
+        await timeline.addAuthor(me, targetId);
+      } catch (timelineErr) {
+        console.warn("⚠️ Timeline backfill error:", timelineErr.message);
+      }
+    }
+
     try {
-      const Notification = require("./models/Notification");
-      await Notification.create({
+      await notifications.notify(io, {
         user: targetId,
         actor: req.user._id,
-        verb: "follow",
+        verb: status === "pending" ? "follow_request" : "follow",
         targetType: "User",
         targetId: req.user._id,
-        read: false,
       });
     } catch (nerr) {
       console.warn("⚠️ Notification error:", nerr.message);
     }
 
+    if (status === "pending") {
+      return sendSuccess(res, { message: "Follow requested", following: false, requested: true });
+    }
     sendSuccess(res, { message: "Followed", following: true });
   } catch (err) {
     await session.abortTransaction();
@@ -884,16 +1359,14 @@ app.delete("/api/users/:userId/follow", auth, async (req, res) => {
       return sendError(res, 400, "Not following this user");
     }
 
-    await User.findByIdAndUpdate(
-      targetId,
-      { $inc: { followersCount: -1 } },
-      { session }
-    );
-    await User.findByIdAndUpdate(
-      req.user._id,
-      { $inc: { followingCount: -1 } },
-      { session }
-    );
+    // Withdrawing a pending request never touched the counters
+    if (deleted.status === "pending") {
+      await session.commitTransaction();
+      await cacheHelper.invalidateFollowCaches(me, targetId);
+      return sendSuccess(res, { message: "Request cancelled", following: false, requested: false });
+    }
+
+    await adjustFollowCounts(req.user._id, targetId, -1, session);
 
     await session.commitTransaction();
 
@@ -902,6 +1375,14 @@ app.delete("/api/users/:userId/follow", auth, async (req, res) => {
     });
 
     await cacheHelper.invalidateFollowCaches(me, targetId);
+    await cacheHelper.invalidateUserFeed(me);
+    presence.unwatch(io, me, targetId);
+
+    try {
+      await timeline.removeAuthor(me, targetId);
+    } catch (timelineErr) {
+      console.warn("⚠️ Timeline cleanup error:", timelineErr.message);
+    }
 
     sendSuccess(res, { message: "Unfollowed", following: false });
   } catch (err) {
@@ -925,35 +1406,463 @@ app.get("/api/users/:userId/following", auth, async (req, res) => {
       followee: userId,
     });
 
-    sendSuccess(res, { following: !!follow });
+    sendSuccess(res, {
+      following: !!follow && follow.status !== "pending",
+      requested: follow?.status === "pending",
+    });
   } catch (err) {
     console.error("❌ Check following error:", err);
     sendError(res, 500, "Server error");
   }
 });
 
+app.get("/api/users/:userId/presence", auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return sendError(res, 400, "Invalid user ID");
+    }
+
+    const [state] = await presence.getPresence(req.user._id, [userId]);
+    if (!state) return sendError(res, 404, "User not found");
+
+    sendSuccess(res, state);
+  } catch (err) {
+    console.error("❌ Presence error:", err);
+    sendError(res, 500, "Server error");
+  }
+});
+
+// ============= BLOCK & MUTE ROUTES =============
+
+app.post("/api/users/:userId/block", auth, async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    await session.startTransaction();
+
+    const Block = require("./models/Block");
+    const targetId = req.params.userId;
+    const me = req.user._id.toString();
+
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      await session.abortTransaction();
+      return sendError(res, 400, "Invalid user ID");
+    }
+    if (me === targetId) {
+      await session.abortTransaction();
+      return sendError(res, 400, "Cannot block yourself");
+    }
+
+    const targetUser = await User.findById(targetId).session(session);
+    if (!targetUser) {
+      await session.abortTransaction();
+      return sendError(res, 404, "User not found");
+    }
+
+    const existing = await Block.findOne({
+      blocker: req.user._id,
+      blocked: targetId,
+    }).session(session);
+    if (existing) {
+      await session.abortTransaction();
+      return sendError(res, 400, "Already blocked");
+    }
+
+    await Block.create([{ blocker: req.user._id, blocked: targetId }], { session });
+
+    // Blocking severs follows in both directions; only accepted ones were counted
+    const edges = await Follow.find({
+      $or: [
+        { follower: req.user._id, followee: targetId },
+        { follower: targetId, followee: req.user._id },
+      ],
+    }).session(session);
+
+    for (const edge of edges) {
+      if (edge.status !== "pending") {
+        await adjustFollowCounts(edge.follower, edge.followee, -1, session);
+      }
+    }
+    if (edges.length) {
+      await Follow.deleteMany({ _id: { $in: edges.map((e) => e._id) } }, { session });
+    }
+
+    await session.commitTransaction();
+
+    await logEvent(req, "USER_BLOCKED", "User blocked another user", {
+      target: targetId,
+    });
+
+    await cacheHelper.invalidateFollowCaches(me, targetId);
+    await cacheHelper.invalidateFollowCaches(targetId, me);
+    await cacheHelper.invalidateUserFeed(me);
+    await cacheHelper.invalidateUserFeed(targetId);
+    presence.unwatch(io, me, targetId);
+    presence.unwatch(io, targetId, me);
+
+    try {
+      await timeline.removeAuthor(me, targetId);
+      await timeline.removeAuthor(targetId, me);
+    } catch (timelineErr) {
+      console.warn("⚠️ Timeline cleanup error:", timelineErr.message);
+    }
+
+    sendSuccess(res, { message: "Blocked", blocked: true });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error("❌ Block error:", err);
+    sendError(res, 500, "Server error");
+  } finally {
+    session.endSession();
+  }
+});
+
+// Unblocking does not restore the follows that the block removed
+app.delete("/api/users/:userId/block", auth, async (req, res) => {
+  try {
+    const Block = require("./models/Block");
+    const targetId = req.params.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return sendError(res, 400, "Invalid user ID");
+    }
+
+    const deleted = await Block.findOneAndDelete({
+      blocker: req.user._id,
+      blocked: targetId,
+    });
+    if (!deleted) return sendError(res, 400, "Not blocked");
+
+    await logEvent(req, "USER_UNBLOCKED", "User unblocked another user", {
+      target: targetId,
+    });
+
+    await cacheHelper.invalidateUserFeed(req.user._id);
+    await cacheHelper.invalidateUserFeed(targetId);
+
+    sendSuccess(res, { message: "Unblocked", blocked: false });
+  } catch (err) {
+    console.error("❌ Unblock error:", err);
+    sendError(res, 500, "Server error");
+  }
+});
+
+app.get("/api/users/me/blocks", auth, async (req, res) => {
+  try {
+    const Block = require("./models/Block");
+    const blocks = await Block.find({ blocker: req.user._id })
+      .populate("blocked", "username displayName avatarUrl")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    sendSuccess(
+      res,
+      blocks
+        .filter((b) => b.blocked)
+        .map((b) => ({
+          id: b.blocked._id,
+          username: b.blocked.username,
+          displayName: b.blocked.displayName || b.blocked.username,
+          avatarUrl: b.blocked.avatarUrl || null,
+          blockedAt: b.createdAt,
+        }))
+    );
+  } catch (err) {
+    console.error("❌ Blocks list error:", err);
+    sendError(res, 500, "Server error");
+  }
+});
+
+// Muting is silent: the muted user's follow and visibility are untouched
+app.post("/api/users/:userId/mute", auth, async (req, res) => {
+  try {
+    const Mute = require("./models/Mute");
+    const targetId = req.params.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return sendError(res, 400, "Invalid user ID");
+    }
+    if (req.user._id.toString() === targetId) {
+      return sendError(res, 400, "Cannot mute yourself");
+    }
+
+    const targetUser = await User.exists({ _id: targetId });
+    if (!targetUser) return sendError(res, 404, "User not found");
+
+    const existing = await Mute.exists({ muter: req.user._id, muted: targetId });
+    if (existing) return sendError(res, 400, "Already muted");
+
+    await Mute.create({ muter: req.user._id, muted: targetId });
+
+    await logEvent(req, "USER_MUTED", "User muted another user", {
+      target: targetId,
+    });
+
+    await cacheHelper.invalidateUserFeed(req.user._id);
+    await cacheHelper.invalidateNotifications(req.user._id);
+
+    sendSuccess(res, { message: "Muted", muted: true });
+  } catch (err) {
+    console.error("❌ Mute error:", err);
+    sendError(res, 500, "Server error");
+  }
+});
+
+app.delete("/api/users/:userId/mute", auth, async (req, res) => {
+  try {
+    const Mute = require("./models/Mute");
+    const targetId = req.params.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return sendError(res, 400, "Invalid user ID");
+    }
+
+    const deleted = await Mute.findOneAndDelete({
+      muter: req.user._id,
+      muted: targetId,
+    });
+    if (!deleted) return sendError(res, 400, "Not muted");
+
+    await logEvent(req, "USER_UNMUTED", "User unmuted another user", {
+      target: targetId,
+    });
+
+    await cacheHelper.invalidateUserFeed(req.user._id);
+    await cacheHelper.invalidateNotifications(req.user._id);
+
+    sendSuccess(res, { message: "Unmuted", muted: false });
+  } catch (err) {
+    console.error("❌ Unmute error:", err);
+    sendError(res, 500, "Server error");
+  }
+});
+
+app.get("/api/users/me/mutes", auth, async (req, res) => {
+  try {
+    const Mute = require("./models/Mute");
+    const mutes = await Mute.find({ muter: req.user._id })
+      .populate("muted", "username displayName avatarUrl")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    sendSuccess(
+      res,
+      mutes
+        .filter((m) => m.muted)
+        .map((m) => ({
+          id: m.muted._id,
+          username: m.muted.username,
+          displayName: m.muted.displayName || m.muted.username,
+          avatarUrl: m.muted.avatarUrl || null,
+          mutedAt: m.createdAt,
+        }))
+    );
+  } catch (err) {
+    console.error("❌ Mutes list error:", err);
+    sendError(res, 500, "Server error");
+  }
+});
+
+app.get("/api/users/me/follow-requests", auth, async (req, res) => {
+  try {
+    const requests = await Follow.find({ followee: req.user._id, status: "pending" })
+      .populate("follower", "username displayName avatarUrl followersCount")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    sendSuccess(
+      res,
+      requests
+        .filter((r) => r.follower)
+        .map((r) => ({
+          id: r.follower._id,
+          username: r.follower.username,
+          displayName: r.follower.displayName || r.follower.username,
+          avatarUrl: r.follower.avatarUrl || null,
+          followersCount: r.follower.followersCount || 0,
+          requestedAt: r.createdAt,
+        }))
+    );
+  } catch (err) {
+    console.error("❌ Follow requests error:", err);
+    sendError(res, 500, "Server error");
+  }
+});
+
+app.post("/api/users/me/follow-requests/:userId/approve", auth, async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    await session.startTransaction();
+
+    const requesterId = req.params.userId;
+    const me = req.user._id.toString();
+
+    if (!mongoose.Types.ObjectId.isValid(requesterId)) {
+      await session.abortTransaction();
+      return sendError(res, 400, "Invalid user ID");
+    }
+
+    const request = await Follow.findOneAndUpdate(
+      { follower: requesterId, followee: req.user._id, status: "pending" },
+      { status: "accepted" },
+      { session, new: true }
+    );
+
+    if (!request) {
+      await session.abortTransaction();
+      return sendError(res, 404, "Follow request not found");
+    }
+
+    await adjustFollowCounts(requesterId, req.user._id, 1, session);
+
+    await session.commitTransaction();
+
+    await logEvent(req, "FOLLOW_REQUEST_APPROVED", "User approved a follow request", {
+      requester: requesterId,
+    });
+
+    await cacheHelper.invalidateFollowCaches(requesterId, me);
+    await cacheHelper.invalidateUserFeed(requesterId);
+
+    try {
+      await timeline.addAuthor(requesterId, me);
+    } catch (timelineErr) {
+      console.warn("⚠️ Timeline backfill error:", timelineErr.message);
+    }
+
+    try {
+      await notifications.notify(io, {
+        user: requesterId,
+        actor: req.user._id,
+        verb: "follow_accept",
+        targetType: "User",
+        targetId: req.user._id,
+      });
+    } catch (nerr) {
+      console.warn("⚠️ Notification error:", nerr.message);
+    }
+
+    sendSuccess(res, { message: "Approved" });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error("❌ Approve follow request error:", err);
+    sendError(res, 500, "Server error");
+  } finally {
+    session.endSession();
+  }
+});
+
+app.delete("/api/users/me/follow-requests/:userId", auth, async (req, res) => {
+  try {
+    const requesterId = req.params.userId;
+    if (!mongoose.Types.ObjectId.isValid(requesterId)) {
+      return sendError(res, 400, "Invalid user ID");
+    }
+
+    const deleted = await Follow.findOneAndDelete({
+      follower: requesterId,
+      followee: req.user._id,
+      status: "pending",
+    });
+    if (!deleted) return sendError(res, 404, "Follow request not found");
+
+    await logEvent(req, "FOLLOW_REQUEST_REJECTED", "User rejected a follow request", {
+      requester: requesterId,
+    });
+
+    await cacheHelper.invalidateFollowCaches(requesterId, req.user._id.toString());
+
+    sendSuccess(res, { message: "Rejected" });
+  } catch (err) {
+    console.error("❌ Reject follow request error:", err);
+    sendError(res, 500, "Server error");
+  }
+});
+
 app.put("/api/users/me", auth, async (req, res) => {
+  const session = await mongoose.startSession();
   try {
+    await session.startTransaction();
+
     const allowed = ["bio", "avatarUrl", "displayName", "username"];
     const updates = {};
     allowed.forEach((key) => {
       if (req.body[key] !== undefined) updates[key] = req.body[key];
     });
+    if (req.body.isPrivate !== undefined) {
+      updates.isPrivate = req.body.isPrivate === true || req.body.isPrivate === "true";
+    }
+    if (req.body.presenceVisibility !== undefined) {
+      if (!presence.PRESENCE_VISIBILITY.includes(req.body.presenceVisibility)) {
+        await session.abortTransaction();
+        return sendError(res, 400, "Invalid presence visibility");
+      }
+      updates.presenceVisibility = req.body.presenceVisibility;
+    }
 
     if (updates.username && updates.username !== req.user.username) {
       const exists = await User.findOne({
         username: updates.username,
         _id: { $ne: req.user._id },
       });
-      if (exists) return sendError(res, 400, "Username taken");
+      if (exists) {
+        await session.abortTransaction();
+        return sendError(res, 400, "Username taken");
+      }
+    }
+
+    // Going public lets everyone in: pending requests become follows, in the
+    // same transaction as the profile update so a rejected update (or a
+    // crash) can't leave accepted follows behind a private account
+    let requesterIds = [];
+    if (updates.isPrivate === false) {
+      requesterIds = await Follow.find({
+        followee: req.user._id,
+        status: "pending",
+      })
+        .session(session)
+        .distinct("follower");
+
+      if (requesterIds.length) {
+        await Follow.updateMany(
+          { followee: req.user._id, follower: { $in: requesterIds }, status: "pending" },
+          { status: "accepted" },
+          { session }
+        );
+        await User.updateMany(
+          { _id: { $in: requesterIds } },
+          { $inc: { followingCount: 1 } },
+          { session }
+        );
+        await User.findByIdAndUpdate(
+          req.user._id,
+          { $inc: { followersCount: requesterIds.length } },
+          { session }
+        );
+      }
     }
 
     const updated = await User.findByIdAndUpdate(req.user._id, updates, {
       new: true,
       runValidators: true,
+      session,
     }).select("-passwordHash");
 
-    if (!updated) return sendError(res, 404, "User not found");
+    if (!updated) {
+      await session.abortTransaction();
+      return sendError(res, 404, "User not found");
+    }
+
+    await session.commitTransaction();
+
+    requesterIds.forEach((id) =>
+      timeline
+        .addAuthor(id, req.user._id)
+        .catch((err) => console.warn("⚠️ Timeline backfill error:", err.message))
+    );
+
+    // Existing watchers were approved under the old setting
+    if (updates.presenceVisibility) presence.resetWatchers(io, req.user._id);
 
     await logEvent(req, "PROFILE_UPDATED", "User updated profile", { updates });
 
@@ -966,10 +1875,15 @@ app.put("/api/users/me", auth, async (req, res) => {
       avatarUrl: updated.avatarUrl,
       followersCount: updated.followersCount || 0,
       followingCount: updated.followingCount || 0,
+      isPrivate: !!updated.isPrivate,
+      presenceVisibility: updated.presenceVisibility || "everyone",
     });
   } catch (err) {
+    await session.abortTransaction();
     console.error("❌ Update profile error:", err);
     sendError(res, 500, "Server error");
+  } finally {
+    session.endSession();
   }
 });
 
@@ -988,34 +1902,58 @@ app.get("/api/media/all", auth, async (req, res) => {
   }
 });
 
-app.post("/api/media/upload", auth, async (req, res) => {
+// Store the uploaded file's Media record and queue it for processing
+async function handleMediaUpload(req, res) {
   try {
-    const Media = require("./models/Media");
-    const { url, mimeType, storageKey } = req.body;
-
-    if (!url || !storageKey) {
-      return sendError(res, 400, "URL and storageKey required");
-    }
+    if (!req.file) return sendError(res, 400, "File required");
 
+    const Media = require("./models/Media");
     const newMedia = await Media.create({
       ownerType: "User",
       ownerId: req.user._id,
-      url,
-      storageKey,
-      mimeType: mimeType || "application/octet-stream",
-      processed: true,
+      url: req.file.url,
+      storageKey: req.file.storageKey,
+      mimeType: req.file.mimetype,
+      originalName: req.file.originalname,
+      sizeBytes: req.file.size,
+      processed: false,
     });
 
     await logEvent(req, "MEDIA_UPLOADED", "User uploaded media", {
       mediaId: newMedia._id,
+      mimeType: newMedia.mimeType,
+      sizeBytes: newMedia.sizeBytes,
     });
 
+    // The stored file is already stripped of metadata (middleware/upload);
+    // the worker only adds dimensions and resized variants
+    try {
+      await mediaQueue.add(
+        "process-media",
+        { mediaId: newMedia._id },
+        { attempts: 3, backoff: { type: "exponential", delay: 5000 } }
+      );
+    } catch (queueErr) {
+      console.warn("⚠️ Queue error:", queueErr.message);
+    }
+
     sendSuccess(res, newMedia, 201);
   } catch (err) {
     console.error("❌ Upload error:", err);
     sendError(res, 500, "Server error");
   }
-});
+}
+
+app.post("/api/media/upload", auth, uploadSingle("file"), handleMediaUpload);
+
+// Message attachments: same pipeline, documents allowed too. Send the
+// returned _id as one of the message's mediaIds.
+app.post(
+  "/api/media/upload/message",
+  auth,
+  uploadSingle("file", { allowedTypes: uploadSingle.MESSAGE_ATTACHMENT_TYPES }),
+  handleMediaUpload
+);
 
 app.delete("/api/media/:mediaId", auth, async (req, res) => {
   try {
@@ -1027,11 +1965,33 @@ app.delete("/api/media/:mediaId", auth, async (req, res) => {
       return sendError(res, 403, "Not authorized");
     }
 
+    // Posts, messages and avatars point at the files; deleting them would
+    // break those, so the media has to be unused first
+    const Message = require("./models/Message");
+    const urls = [media.url, ...(media.variants || []).map((v) => v.url)];
+    const [inPost, inMessage, asAvatar] = await Promise.all([
+      Post.exists({ $or: [{ media: media._id }, { mediaUrl: { $in: urls } }] }),
+      Message.exists({ "attachments.media": media._id }),
+      User.exists({ avatarUrl: { $in: urls } }),
+    ]);
+    if (inPost || inMessage || asAvatar) {
+      return res.status(409).json({
+        message: "This media is still used by a post, message or profile picture",
+        code: "MEDIA_IN_USE",
+      });
+    }
+
     await logEvent(req, "MEDIA_DELETED", "User deleted media", {
       mediaId: req.params.mediaId,
     });
 
     await Media.findByIdAndDelete(req.params.mediaId);
+    try {
+      const keys = [media.storageKey, ...(media.variants || []).map((v) => v.storageKey)];
+      await Promise.all(keys.map((key) => storage.remove(key)));
+    } catch (storageErr) {
+      console.warn("⚠️ Storage remove error:", storageErr.message);
+    }
     sendSuccess(res, { message: "Deleted" });
   } catch (err) {
     console.error("❌ Delete media error:", err);
@@ -1041,9 +2001,9 @@ app.delete("/api/media/:mediaId", auth, async (req, res) => {
 
 // ============= POST/FEED ROUTES =============
 
-app.post("/api/posts", auth, async (req, res) => {
+app.post("/api/posts", auth, requireVerified, async (req, res) => {
   try {
-    const { content, type, mediaUrl } = req.body;
+    const { content, type, mediaId } = req.body;
 
     if (!content || content.trim() === "") {
       return sendError(res, 400, "Content required");
@@ -1052,130 +2012,256 @@ app.post("/api/posts", auth, async (req, res) => {
       return sendError(res, 400, "Content too long");
     }
 
+    let media = null;
+    if (mediaId) {
+      if (!mongoose.Types.ObjectId.isValid(mediaId)) {
+        return sendError(res, 400, "Invalid media ID");
+      }
+      const Media = require("./models/Media");
+      media = await Media.findById(mediaId);
+      if (!media) return sendError(res, 404, "Media not found");
+      if (media.ownerId.toString() !== req.user._id.toString()) {
+        return sendError(res, 403, "Not authorized");
+      }
+      // Documents are only accepted as message attachments
+      if (!uploadSingle.ALLOWED_MIME_TYPES.includes(media.mimeType)) {
+        return sendError(res, 400, "Unsupported media type");
+      }
+    }
+
     const user = await User.findById(req.user._id);
     const newPost = await Post.create({
       userId: req.user._id,
       username: req.user.username,
       content,
-      type: type || "text",
-      mediaUrl: mediaUrl || null,
-      likes: [],
+      type: media ? "file" : type || "text",
+      media: media ? media._id : null,
+      mediaUrl: media ? media.url : null,
       comments: [],
     });
 
-    await logEvent(req, "POST_CREATED", "User created post", {
-      postId: newPost._id,
-      hasMedia: !!mediaUrl,
-    });
+    await logEvent(req, "POST_CREATED", "User created post", {
+      postId: newPost._id,
+      hasMedia: !!media,
+    });
+
+    await cacheHelper.invalidateFeed();
+
+    // Fan-out can touch thousands of timelines - don't hold the response for it
+    timeline
+      .fanOutPost(newPost)
+      .catch((err) => console.warn("⚠️ Timeline fan-out error:", err.message));
+
+    try {
+      await notifyMentions(req.user._id, newPost.mentions, {
+        type: "Post",
+        id: newPost._id,
+      });
+    } catch (nerr) {
+      console.warn("⚠️ Mention notification error:", nerr.message);
+    }
+
+    await newPost.populate("mentions", "username");
+
+    sendSuccess(res, {
+      id: newPost._id,
+      username: newPost.username,
+      displayName: user.displayName || newPost.username,
+      avatar: user.avatarUrl || "👤",
+      content: newPost.content,
+      mentions: mentionNames(newPost),
+      mediaUrl: newPost.mediaUrl,
+      timestamp: "Just now",
+      likes: 0,
+      comments: 0,
+    }, 201);
+  } catch (err) {
+    console.error("❌ Post error:", err);
+    sendError(res, 500, "Server error");
+  }
+});
+
+app.get("/api/posts/feed", auth, async (req, res) => {
+  try {
+    const { cursor } = req.query;
+    const limit = 10;
+    // "home" = people I follow + me, "explore" = everyone (the old global feed)
+    const mode = req.query.mode === "explore" ? "explore" : "home";
+
+    let before = null;
+    if (cursor) {
+      before = parseCursor(cursor);
+      if (!before) return sendError(res, 400, "Invalid cursor");
+    }
+
+    // Home pages are served from the Redis timeline, so only explore is cached
+    const cacheKey =
+      mode === "explore"
+        ? cacheHelper.keys.feed(req.user._id, mode, cursor || "first_page")
+        : null;
+
+    if (cacheKey) {
+      try {
+        const cached = await redisHelpers.getJSON(cacheKey);
+        if (cached) {
+          console.log("✅ Feed cache hit");
+          return sendSuccess(res, cached);
+        }
+      } catch (cacheErr) {
+        console.warn("⚠️ Redis cache read error (continuing without cache):", cacheErr.message);
+        // Continue without cache - don't fail
+      }
+    }
+
+    let timelineEntries = null;
+    if (mode === "home") {
+      try {
+        timelineEntries = await timeline.read(req.user._id, { before, limit });
+      } catch (timelineErr) {
+        console.warn("⚠️ Timeline read error (falling back to Mongo):", timelineErr.message);
+      }
+    }
+
+    // Blocked (either way) and muted authors never appear in either mode
+    const hiddenIds = await relations.getHiddenIds(req.user._id);
+    const hiddenSet = new Set(hiddenIds.map(String));
+
+    let posts;
+    let pageEnd; // { createdAt, _id } of the last entry on this page, for the cursor
+    let pageSize;
+
+    if (timelineEntries) {
+      const found = await Post.find({ _id: { $in: timelineEntries.map((e) => e.postId) } })
+        .populate("userId", "username displayName avatarUrl")
+        .populate("media", "variants")
+        .populate("mentions", "username")
+        .lean();
+      const byId = new Map(found.map((p) => [p._id.toString(), p]));
+
+      // Keep timeline order; entries for deleted posts simply drop out
+      posts = timelineEntries
+        .map((e) => byId.get(e.postId))
+        .filter((p) => p && !hiddenSet.has(String(p.userId?._id || p.userId)));
+      pageSize = timelineEntries.length;
+      const last = timelineEntries[timelineEntries.length - 1];
+      pageEnd = last && { createdAt: last.createdAt, _id: last.postId };
+    } else {
+      const query = before ? pastCursor(before) : {};
+
+      const followeeIds = await Follow.find({
+        follower: req.user._id,
+        status: { $ne: "pending" },
+      }).distinct("followee");
+
+      if (mode === "home") {
+        query.userId = { $in: [req.user._id, ...followeeIds], $nin: hiddenIds };
+      } else {
+        const privateIds = await User.find({
+          isPrivate: true,
+          _id: { $nin: [req.user._id, ...followeeIds] },
+        }).distinct("_id");
+        const excluded = [...privateIds, ...hiddenIds];
+        if (excluded.length) query.userId = { $nin: excluded };
+      }
+
+      posts = await Post.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit)
+        .populate("userId", "username displayName avatarUrl")
+        .populate("media", "variants")
+        .populate("mentions", "username")
+        .lean();
+      pageSize = posts.length;
+      pageEnd = posts[posts.length - 1];
+    }
+
+    const formatted = posts.map(formatFeedPost);
+
+    const nextCursor = pageSize === limit && pageEnd ? encodeCursor(pageEnd) : null;
+
+    const response = {
+      posts: await withLikedFlags(
+        formatted.map(({ createdAt, ...rest }) => rest),
+        req.user._id
+      ),
+      nextCursor,
+    };
 
-    if (mediaUrl) {
+    // Try to cache, but catch size errors (common on free Redis tiers)
+    if (cacheKey) {
       try {
-        await mediaQueue.add("process-media", {
-          postId: newPost._id,
-          userId: req.user._id,
-          filePath: mediaUrl,
-          type: type || "text",
-        });
-      } catch (queueErr) {
-        console.warn("⚠️ Queue error:", queueErr.message);
+        const size = JSON.stringify(response).length;
+        if (size < 5242880) { // Only cache if under 5MB
+          await redisHelpers.setJSON(cacheKey, response, { ex: CACHE_TTL.feed });
+          console.log(`📦 Feed cached: ${(size / 1024).toFixed(2)}KB`);
+        } else {
+          console.warn(`⚠️ Feed response too large (${(size / 1024).toFixed(2)}KB) - skipping cache`);
+        }
+      } catch (cacheErr) {
+        console.warn("⚠️ Redis cache error (continuing without cache):", cacheErr.message);
       }
     }
 
-    await cacheHelper.invalidateFeed();
-
-    sendSuccess(res, {
-      id: newPost._id,
-      username: newPost.username,
-      displayName: user.displayName || newPost.username,
-      avatar: user.avatarUrl || "👤",
-      content: newPost.content,
-      mediaUrl: newPost.mediaUrl,
-      timestamp: "Just now",
-      likes: 0,
-      comments: 0,
-    }, 201);
+    sendSuccess(res, response);
   } catch (err) {
-    console.error("❌ Post error:", err);
-    sendError(res, 500, "Server error");
+    console.error("❌ Feed error:", err.message);
+    console.error("Stack:", err.stack);
+    sendError(res, 500, `Server error: ${err.message}`);
   }
 });
 
-app.get("/api/posts/feed", auth, async (req, res) => {
+// Posts that @mention a user, newest first, limited to what the viewer may see
+app.get("/api/users/:userId/mentions", auth, async (req, res) => {
   try {
+    const { userId } = req.params;
     const { cursor } = req.query;
     const limit = 10;
-    const cacheKey = cacheHelper.keys.feed(cursor || "first_page");
 
-    try {
-      const cached = await redisHelpers.getJSON(cacheKey);
-      if (cached) {
-        console.log("✅ Feed cache hit");
-        return sendSuccess(res, cached);
-      }
-    } catch (cacheErr) {
-      console.warn("⚠️ Redis cache read error (continuing without cache):", cacheErr.message);
-      // Continue without cache - don't fail
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return sendError(res, 400, "Invalid user ID");
     }
 
-    const query = {};
+    const followeeIds = await Follow.find({
+      follower: req.user._id,
+      status: { $ne: "pending" },
+    }).distinct("followee");
+    const privateIds = await User.find({
+      isPrivate: true,
+      _id: { $nin: [req.user._id, ...followeeIds] },
+    }).distinct("_id");
+    const hiddenIds = await relations.getHiddenIds(req.user._id);
+
+    let query = {
+      mentions: new mongoose.Types.ObjectId(userId),
+      userId: { $nin: [...privateIds, ...hiddenIds] },
+    };
     if (cursor) {
-      const parsedCursor = new Date(cursor);
-      if (!isNaN(parsedCursor)) {
-        query.createdAt = { $lt: parsedCursor };
-      }
+      const parsedCursor = parseCursor(cursor);
+      if (!parsedCursor) return sendError(res, 400, "Invalid cursor");
+      query = { ...query, ...pastCursor(parsedCursor) };
     }
 
     const posts = await Post.find(query)
-      .sort({ createdAt: -1 })
+      .sort({ createdAt: -1, _id: -1 })
       .limit(limit)
       .populate("userId", "username displayName avatarUrl")
+      .populate("media", "variants")
+      .populate("mentions", "username")
       .lean();
 
-    const formatted = posts.map((post) => {
-      const postUser = post.userId || {};
-      return {
-        id: post._id,
-        username: postUser.username || post.username,
-        displayName: postUser.displayName || postUser.username,
-        avatar: postUser.avatarUrl || "👤",
-        content: post.content,
-        mediaUrl: post.mediaUrl,
-        timestamp: formatTimestamp(post.createdAt),
-        createdAt: post.createdAt,
-        likes: Array.isArray(post.likes) ? post.likes.length : 0,
-        commentCount: post.commentCount || 0,
-        liked:
-          Array.isArray(post.likes) &&
-          post.likes.some((id) => id.toString() === req.user._id.toString()),
-      };
-    });
-
-    const nextCursor =
-      formatted.length === limit ? formatted[formatted.length - 1].createdAt.toISOString() : null;
+    const formatted = posts.map(formatFeedPost);
+    const nextCursor = posts.length === limit ? encodeCursor(posts[posts.length - 1]) : null;
 
-    const response = {
-      posts: formatted.map(({ createdAt, ...rest }) => rest),
+    sendSuccess(res, {
+      posts: await withLikedFlags(
+        formatted.map(({ createdAt, ...rest }) => rest),
+        req.user._id
+      ),
       nextCursor,
-    };
-
-    // Try to cache, but catch size errors (common on free Redis tiers)
-    try {
-      const size = JSON.stringify(response).length;
-      if (size < 5242880) { // Only cache if under 5MB
-        await redisHelpers.setJSON(cacheKey, response, { ex: CACHE_TTL.feed });
-        console.log(`📦 Feed cached: ${(size / 1024).toFixed(2)}KB`);
-      } else {
-        console.warn(`⚠️ Feed response too large (${(size / 1024).toFixed(2)}KB) - skipping cache`);
-      }
-    } catch (cacheErr) {
-      console.warn("⚠️ Redis cache error (continuing without cache):", cacheErr.message);
-    }
-
-    sendSuccess(res, response);
+    });
   } catch (err) {
-    console.error("❌ Feed error:", err.message);
-    console.error("Stack:", err.stack);
-    sendError(res, 500, `Server error: ${err.message}`);
+    console.error("❌ Mentions error:", err);
+    sendError(res, 500, "Server error");
   }
 });
 
@@ -1189,6 +2275,10 @@ app.get("/api/users/:userId/posts", auth, async (req, res) => {
       return sendError(res, 400, "Invalid user ID");
     }
 
+    const owner = await User.findById(userId).select("isPrivate").lean();
+    if (!owner) return sendError(res, 404, "User not found");
+    if (!(await canViewProfile(req.user._id, owner))) return sendPrivate(res);
+
     const cacheKey = cacheHelper.keys.userPosts(userId, cursor || "first");
 
     try {
@@ -1196,7 +2286,10 @@ app.get("/api/users/:userId/posts", auth, async (req, res) => {
         const cached = await redisHelpers.getJSON(cacheKey);
         if (cached) {
           console.log("✅ User posts cache hit");
-          return sendSuccess(res, cached);
+          return sendSuccess(res, {
+            ...cached,
+            posts: await withLikedFlags(cached.posts, req.user._id),
+          });
         }
       }
     } catch (cacheErr) {
@@ -1214,6 +2307,8 @@ app.get("/api/users/:userId/posts", auth, async (req, res) => {
     const posts = await Post.find(query)
       .sort({ createdAt: -1 })
       .limit(limit)
+      .populate("media", "variants")
+      .populate("mentions", "username")
       .lean();
 
     const formatted = posts.map((post) => ({
@@ -1222,14 +2317,13 @@ app.get("/api/users/:userId/posts", auth, async (req, res) => {
       displayName: post.displayName,
       avatar: post.avatarUrl || "👤",
       content: post.content,
-      mediaUrl: post.mediaUrl,
+      mentions: mentionNames(post),
+      mediaUrl: mediaUrlFor(post, "feed"),
+      thumbnail: mediaUrlFor(post, "thumb"),
       timestamp: formatTimestamp(post.createdAt),
       createdAt: post.createdAt,
-      likes: Array.isArray(post.likes) ? post.likes.length : 0,
+      likes: post.likesCount || 0,
       comments: Array.isArray(post.comments) ? post.comments.length : 0,
-      liked:
-        Array.isArray(post.likes) &&
-        post.likes.some((id) => id.toString() === req.user._id.toString()),
     }));
 
     const nextCursor =
@@ -1240,6 +2334,7 @@ app.get("/api/users/:userId/posts", auth, async (req, res) => {
       nextCursor,
     };
 
+    // Cached without `liked`: the cache key is shared by every viewer
     try {
       if (redisHelpers?.setJSON) {
         await redisHelpers.setJSON(cacheKey, response, { ex: CACHE_TTL.userPosts });
@@ -1248,7 +2343,10 @@ app.get("/api/users/:userId/posts", auth, async (req, res) => {
       console.warn("⚠️ Cache error:", cacheErr.message);
     }
 
-    sendSuccess(res, response);
+    sendSuccess(res, {
+      ...response,
+      posts: await withLikedFlags(response.posts, req.user._id),
+    });
   } catch (err) {
     console.error("❌ User posts error:", err);
     sendError(res, 500, "Server error");
@@ -1257,51 +2355,122 @@ app.get("/api/users/:userId/posts", auth, async (req, res) => {
 
 app.post("/api/posts/:postId/like", auth, async (req, res) => {
   try {
-    const post = await Post.findById(req.params.postId);
+    if (!mongoose.Types.ObjectId.isValid(req.params.postId)) {
+      return sendError(res, 400, "Invalid post ID");
+    }
+
+    const Like = require("./models/Like");
+    const post = await Post.findById(req.params.postId).select("userId likesCount");
     if (!post) return sendError(res, 404, "Post not found");
 
-    const likeIdx = post.likes.findIndex(
-      (id) => id.toString() === req.user._id.toString()
-    );
+    let liked;
+    let likes;
+
+    const removed = await Like.findOneAndDelete({ post: post._id, user: req.user._id });
+
+    if (removed) {
+      const updated = await Post.findByIdAndUpdate(
+        post._id,
+        { $inc: { likesCount: -1 } },
+        { new: true }
+      ).select("likesCount");
+      liked = false;
+      likes = updated.likesCount;
 
-    if (likeIdx > -1) {
-      post.likes.splice(likeIdx, 1);
       await logEvent(req, "LIKE_REMOVED", "User unliked post", {
         postId: post._id,
       });
     } else {
-      post.likes.push(req.user._id);
+      try {
+        await Like.create({ post: post._id, user: req.user._id });
+      } catch (err) {
+        // A concurrent request already liked it; the unique index kept one row
+        if (err.code !== 11000) throw err;
+        return sendSuccess(res, { likes: post.likesCount || 0, liked: true });
+      }
+
+      const updated = await Post.findByIdAndUpdate(
+        post._id,
+        { $inc: { likesCount: 1 } },
+        { new: true }
+      ).select("likesCount");
+      liked = true;
+      likes = updated.likesCount;
+
       await logEvent(req, "LIKE_ADDED", "User liked post", {
         postId: post._id,
       });
 
-      if (post.userId.toString() !== req.user._id.toString()) {
-        const Notification = require("./models/Notification");
-        await Notification.create({
-          user: post.userId,
-          actor: req.user._id,
-          verb: "like",
-          targetType: "Post",
-          targetId: post._id,
-          read: false,
-        });
-        await cacheHelper.invalidateNotifications(post.userId);
-      }
+      await notifications.notify(io, {
+        user: post.userId,
+        actor: req.user._id,
+        verb: "like",
+        targetType: "Post",
+        targetId: post._id,
+      });
     }
 
-    await post.save();
     await cacheHelper.invalidateFeed();
 
-    sendSuccess(res, {
-      likes: post.likes.length,
-      liked: likeIdx === -1,
-    });
+    sendSuccess(res, { likes: Math.max(0, likes), liked });
   } catch (err) {
     console.error("❌ Like error:", err);
     sendError(res, 500, "Server error");
   }
 });
 
+// Who liked a post, newest first
+app.get("/api/posts/:postId/likes", auth, async (req, res) => {
+  try {
+    const { postId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(postId)) {
+      return sendError(res, 400, "Invalid post ID");
+    }
+
+    const post = await Post.findById(postId).select("userId").lean();
+    if (!post) return sendError(res, 404, "Post not found");
+
+    const owner = await User.findById(post.userId).select("isPrivate").lean();
+    if (owner && !(await canViewProfile(req.user._id, owner))) return sendPrivate(res);
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    let query = { post: postId };
+    if (req.query.cursor) {
+      const cursor = parseCursor(req.query.cursor);
+      if (!cursor) return sendError(res, 400, "Invalid cursor");
+      query = { ...query, ...pastCursor(cursor) };
+    }
+
+    const Like = require("./models/Like");
+    const likes = await Like.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate("user", "username displayName avatarUrl followersCount")
+      .lean();
+
+    const blockedIds = (await relations.getBlockedIds(req.user._id)).map(String);
+
+    const page = likes.slice(0, limit);
+    const users = page
+      .filter((l) => l.user && !blockedIds.includes(String(l.user._id)))
+      .map((l) => ({
+        id: l.user._id,
+        username: l.user.username,
+        displayName: l.user.displayName || l.user.username,
+        avatarUrl: l.user.avatarUrl || null,
+        followersCount: l.user.followersCount || 0,
+        likedAt: l.createdAt,
+      }));
+
+    const nextCursor = likes.length > limit ? encodeCursor(page[page.length - 1]) : null;
+
+    sendSuccess(res, { users, nextCursor });
+  } catch (err) {
+    console.error("❌ Post likes error:", err);
+    sendError(res, 500, "Server error");
+  }
+});
+
 app.delete("/api/posts/:postId", auth, async (req, res) => {
   try {
     const post = await Post.findById(req.params.postId);
@@ -1315,8 +2484,15 @@ app.delete("/api/posts/:postId", auth, async (req, res) => {
     });
 
     await Post.findByIdAndDelete(req.params.postId);
+    await require("./models/Like").deleteMany({ post: post._id });
     await cacheHelper.invalidateFeed();
 
+    try {
+      await timeline.removePost(post);
+    } catch (timelineErr) {
+      console.warn("⚠️ Timeline remove error:", timelineErr.message);
+    }
+
     sendSuccess(res, { message: "Deleted" });
   } catch (err) {
     console.error("❌ Delete post error:", err);
@@ -1326,9 +2502,9 @@ app.delete("/api/posts/:postId", auth, async (req, res) => {
 
 // ============= COMMENT ROUTES =============
 
-app.post("/api/posts/:postId/comments", auth, async (req, res) => {
+app.post("/api/posts/:postId/comments", auth, requireVerified, async (req, res) => {
   try {
-    const { text, content } = req.body;
+    const { text, content, parentCommentId } = req.body;
     const commentText = text || content;
 
     if (!commentText || commentText.trim().length === 0) {
@@ -1337,17 +2513,30 @@ app.post("/api/posts/:postId/comments", auth, async (req, res) => {
     if (commentText.length > LIMITS.commentLength) {
       return sendError(res, 400, "Comment too long");
     }
+    if (!mongoose.Types.ObjectId.isValid(req.params.postId)) {
+      return sendError(res, 400, "Invalid post ID");
+    }
 
     const Comment = require("./models/Comment");
-    const Notification = require("./models/Notification");
     const post = await Post.findById(req.params.postId);
 
     if (!post) return sendError(res, 404, "Post not found");
 
+    let parent = null;
+    if (parentCommentId) {
+      if (!mongoose.Types.ObjectId.isValid(parentCommentId)) {
+        return sendError(res, 400, "Invalid parent comment ID");
+      }
+      parent = await Comment.findOne({ _id: parentCommentId, post: post._id });
+      if (!parent) return sendError(res, 404, "Parent comment not found");
+    }
+
     const comment = new Comment({
       post: req.params.postId,
       author: req.user._id,
       text: commentText.trim(),
+      // Replying to a reply keeps the thread under its top-level comment
+      parentComment: parent ? parent.parentComment || parent._id : null,
     });
 
     await comment.save();
@@ -1355,6 +2544,7 @@ app.post("/api/posts/:postId/comments", auth, async (req, res) => {
     await logEvent(req, "COMMENT_ADDED", "User added comment", {
       postId: post._id,
       commentId: comment._id,
+      parentCommentId: comment.parentComment,
     });
 
     await Post.updateOne(
@@ -1365,91 +2555,260 @@ app.post("/api/posts/:postId/comments", auth, async (req, res) => {
       }
     );
 
+    if (comment.parentComment) {
+      await Comment.updateOne(
+        { _id: comment.parentComment },
+        { $inc: { replyCount: 1 } }
+      );
+    }
+
     await cacheHelper.invalidateFeed();
     if (redisHelpers?.client()) {
       await redisHelpers.client().del(cacheHelper.keys.comments(req.params.postId));
     }
 
-    if (post.userId.toString() !== req.user._id.toString()) {
-      await Notification.create({
+    // The replied-to author gets "reply"; the post owner gets "comment" unless
+    // they were already notified as that author
+    const me = req.user._id.toString();
+    const notified = new Set([me]);
+
+    if (parent && !notified.has(parent.author.toString())) {
+      await notifications.notify(io, {
+        user: parent.author,
+        actor: req.user._id,
+        verb: "reply",
+        targetType: "Post",
+        targetId: post._id,
+      });
+      notified.add(parent.author.toString());
+    }
+
+    if (!notified.has(post.userId.toString())) {
+      await notifications.notify(io, {
         user: post.userId,
         actor: req.user._id,
         verb: "comment",
         targetType: "Post",
         targetId: post._id,
-        read: false,
       });
-      await cacheHelper.invalidateNotifications(post.userId);
+      notified.add(post.userId.toString());
     }
 
-    await comment.populate("author", "username displayName avatarUrl");
+    try {
+      await notifyMentions(
+        req.user._id,
+        comment.mentions,
+        { type: "Post", id: post._id },
+        [...notified]
+      );
+    } catch (nerr) {
+      console.warn("⚠️ Mention notification error:", nerr.message);
+    }
 
-    sendSuccess(res, {
-      _id: comment._id,
-      id: comment._id,
-      text: comment.text,
-      author: {
-        _id: comment.author._id,
-        id: comment.author._id,
-        username: comment.author.username,
-        displayName: comment.author.displayName || comment.author.username,
-        avatarUrl: comment.author.avatarUrl,
-      },
-      createdAt: comment.createdAt,
-    }, 201);
+    await comment.populate([
+      { path: "author", select: "username displayName avatarUrl" },
+      { path: "mentions", select: "username" },
+    ]);
+
+    sendSuccess(res, formatComment(comment), 201);
   } catch (err) {
     console.error("❌ Comment error:", err);
     sendError(res, 500, "Server error");
   }
 });
 
-app.get("/api/posts/:postId/comments", async (req, res) => {
+// Page size from ?limit, capped; cursor is the nextCursor of the previous page
+// (null when it doesn't parse)
+function commentPageParams(query) {
+  const limit = Math.min(
+    parseInt(query.limit) || LIMITS.commentsPage,
+    LIMITS.commentsPageMax
+  );
+  const after = query.cursor ? parseCursor(query.cursor) : null;
+  return { limit, after, invalidCursor: !!query.cursor && !after };
+}
+
+// Per-viewer `liked` flags, applied after the (shared) cache
+async function markLikedComments(comments, userId) {
+  if (!userId || !comments.length) {
+    return comments.map((c) => ({ ...c, liked: false }));
+  }
+  const CommentLike = require("./models/CommentLike");
+  const likedIds = await CommentLike.find({
+    user: userId,
+    comment: { $in: comments.map((c) => c._id) },
+  }).distinct("comment");
+  const likedSet = new Set(likedIds.map(String));
+  return comments.map((c) => ({ ...c, liked: likedSet.has(String(c._id)) }));
+}
+
+// Oldest first; _id breaks createdAt ties so nothing is skipped between pages
+async function findCommentPage(query, { limit, after }) {
+  const Comment = require("./models/Comment");
+  const filter = after ? { ...query, ...pastCursor(after, 1) } : query;
+
+  const comments = await Comment.find(filter)
+    .populate("author", "username displayName avatarUrl")
+    .populate("mentions", "username")
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(limit + 1)
+    .lean();
+
+  const page = comments.slice(0, limit);
+  return {
+    items: page.filter((c) => c.author).map(formatComment),
+    nextCursor: comments.length > limit ? encodeCursor(page[page.length - 1]) : null,
+  };
+}
+
+// Top-level comments, oldest first, each with its replyCount
+app.get("/api/posts/:postId/comments", optionalAuth, async (req, res) => {
   try {
-    const cacheKey = cacheHelper.keys.comments(req.params.postId);
-    
-    try {
-      const cached = await redisHelpers.getJSON(cacheKey);
-      if (cached) {
-        console.log("✅ Comments cache hit");
-        return sendSuccess(res, cached);
+    const { postId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(postId)) {
+      return sendError(res, 400, "Invalid post ID");
+    }
+
+    const params = commentPageParams(req.query);
+    if (params.invalidCursor) return sendError(res, 400, "Invalid cursor");
+
+    // Only the default first page is cached
+    const cacheKey =
+      !req.query.cursor && !req.query.limit ? cacheHelper.keys.comments(postId) : null;
+
+    if (cacheKey) {
+      try {
+        const cached = await redisHelpers.getJSON(cacheKey);
+        if (cached) {
+          console.log("✅ Comments cache hit");
+          return sendSuccess(res, {
+            ...cached,
+            comments: await markLikedComments(cached.comments, req.user?._id),
+          });
+        }
+      } catch (cacheErr) {
+        console.warn("⚠️ Redis cache read error:", cacheErr.message);
+        // Continue without cache
       }
-    } catch (cacheErr) {
-      console.warn("⚠️ Redis cache read error:", cacheErr.message);
-      // Continue without cache
+    }
+
+    const { items, nextCursor } = await findCommentPage(
+      { post: postId, parentComment: null },
+      params
+    );
+    const response = { comments: items, nextCursor };
+
+    if (cacheKey) {
+      try {
+        const size = JSON.stringify(response).length;
+        if (size < 5242880) { // Only cache if under 5MB
+          await redisHelpers.setJSON(cacheKey, response, { ex: CACHE_TTL.comments });
+        }
+      } catch (cacheErr) {
+        console.warn("⚠️ Redis cache error:", cacheErr.message);
+      }
+    }
+    sendSuccess(res, {
+      ...response,
+      comments: await markLikedComments(items, req.user?._id),
+    });
+  } catch (err) {
+    console.error("❌ Get comments error:", err);
+    sendError(res, 500, "Server error");
+  }
+});
+
+app.get("/api/comments/:commentId/replies", optionalAuth, async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+      return sendError(res, 400, "Invalid comment ID");
+    }
+
+    const params = commentPageParams(req.query);
+    if (params.invalidCursor) return sendError(res, 400, "Invalid cursor");
+
+    const { items, nextCursor } = await findCommentPage({ parentComment: commentId }, params);
+
+    sendSuccess(res, {
+      replies: await markLikedComments(items, req.user?._id),
+      nextCursor,
+    });
+  } catch (err) {
+    console.error("❌ Get replies error:", err);
+    sendError(res, 500, "Server error");
+  }
+});
+
+app.post("/api/comments/:commentId/like", auth, async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+      return sendError(res, 400, "Invalid comment ID");
     }
 
     const Comment = require("./models/Comment");
-    const comments = await Comment.find({ post: req.params.postId })
-      .populate("author", "username displayName avatarUrl")
-      .sort({ createdAt: 1 })
-      .lean();
+    const CommentLike = require("./models/CommentLike");
+    const comment = await Comment.findById(commentId);
+    if (!comment) return sendError(res, 404, "Comment not found");
 
-    const formatted = comments.map((c) => ({
-      _id: c._id,
-      id: c._id,
-      text: c.text,
-      author: {
-        _id: c.author._id,
-        id: c.author._id,
-        username: c.author.username,
-        displayName: c.author.displayName || c.author.username,
-        avatarUrl: c.author.avatarUrl,
-      },
-      createdAt: c.createdAt,
-      likesCount: c.likesCount || 0,
-    }));
+    let liked;
+    let likesCount;
 
-    try {
-      const size = JSON.stringify(formatted).length;
-      if (size < 5242880) { // Only cache if under 5MB
-        await redisHelpers.setJSON(cacheKey, formatted, { ex: CACHE_TTL.comments });
+    const removed = await CommentLike.findOneAndDelete({
+      comment: comment._id,
+      user: req.user._id,
+    });
+
+    if (removed) {
+      const updated = await Comment.findByIdAndUpdate(
+        comment._id,
+        { $inc: { likesCount: -1 } },
+        { new: true }
+      );
+      liked = false;
+      likesCount = updated.likesCount;
+
+      await logEvent(req, "COMMENT_LIKE_REMOVED", "User unliked comment", {
+        commentId: comment._id,
+      });
+    } else {
+      try {
+        await CommentLike.create({ comment: comment._id, user: req.user._id });
+      } catch (err) {
+        // A concurrent request already liked it; the unique index kept one row
+        if (err.code !== 11000) throw err;
+        return sendSuccess(res, { liked: true, likesCount: comment.likesCount });
       }
-    } catch (cacheErr) {
-      console.warn("⚠️ Redis cache error:", cacheErr.message);
+
+      const updated = await Comment.findByIdAndUpdate(
+        comment._id,
+        { $inc: { likesCount: 1 } },
+        { new: true }
+      );
+      liked = true;
+      likesCount = updated.likesCount;
+
+      await logEvent(req, "COMMENT_LIKE_ADDED", "User liked comment", {
+        commentId: comment._id,
+      });
+
+      await notifications.notify(io, {
+        user: comment.author,
+        actor: req.user._id,
+        verb: "like",
+        targetType: "Comment",
+        targetId: comment._id,
+      });
     }
-    sendSuccess(res, formatted);
+
+    if (redisHelpers?.client()) {
+      await redisHelpers.client().del(cacheHelper.keys.comments(comment.post));
+    }
+
+    sendSuccess(res, { liked, likesCount: Math.max(0, likesCount) });
   } catch (err) {
-    console.error("❌ Get comments error:", err);
+    console.error("❌ Comment like error:", err);
     sendError(res, 500, "Server error");
   }
 });
@@ -1468,87 +2827,43 @@ app.delete("/api/comments/:commentId", auth, async (req, res) => {
       }
     }
 
+    // Deleting a top-level comment takes its replies with it
+    const replyIds = comment.parentComment
+      ? []
+      : await Comment.find({ parentComment: comment._id }).distinct("_id");
+    const removedIds = [comment._id, ...replyIds];
+
     await logEvent(req, "COMMENT_DELETED", "User deleted comment", {
       commentId: comment._id,
+      repliesDeleted: replyIds.length,
     });
 
     await Post.updateOne(
       { _id: comment.post },
       {
-        $pull: { comments: comment._id },
-        $inc: { commentCount: -1 },
+        $pull: { comments: { $in: removedIds } },
+        $inc: { commentCount: -removedIds.length },
       }
     );
 
-    await Comment.findByIdAndDelete(req.params.commentId);
-    sendSuccess(res, { message: "Deleted", success: true });
-  } catch (err) {
-    console.error("❌ Delete comment error:", err);
-    sendError(res, 500, "Server error");
-  }
-});
-
-// ============= NOTIFICATION ROUTES =============
-
-app.get("/api/notifications", auth, async (req, res) => {
-  try {
-    const Notification = require("./models/Notification");
-    const notifications = await Notification.find({ user: req.user._id })
-      .populate("actor", "username displayName avatarUrl")
-      .sort({ createdAt: -1 })
-      .limit(50)
-      .lean();
-
-    const formatted = notifications.map((n) => ({
-      id: n._id,
-      verb: n.verb,
-      actor: n.actor
-        ? {
-            id: n.actor._id,
-            username: n.actor.username,
-            displayName: n.actor.displayName || n.actor.username,
-            avatarUrl: n.actor.avatarUrl,
-          }
-        : null,
-      read: n.read,
-      createdAt: n.createdAt,
-    }));
-
-    sendSuccess(res, formatted);
-  } catch (err) {
-    console.error("❌ Notifications error:", err);
-    sendError(res, 500, "Server error");
-  }
-});
-
-app.put("/api/notifications/:notificationId/read", auth, async (req, res) => {
-  try {
-    const Notification = require("./models/Notification");
-    const notification = await Notification.findOneAndUpdate(
-      { _id: req.params.notificationId, user: req.user._id },
-      { read: true },
-      { new: true }
-    );
+    await Comment.deleteMany({ _id: { $in: removedIds } });
+    await require("./models/CommentLike").deleteMany({ comment: { $in: removedIds } });
 
-    if (!notification) return sendError(res, 404, "Not found");
+    if (comment.parentComment) {
+      await Comment.updateOne(
+        { _id: comment.parentComment },
+        { $inc: { replyCount: -1 } }
+      );
+    }
 
-    sendSuccess(res, { message: "Marked as read", notification });
-  } catch (err) {
-    console.error("❌ Mark read error:", err);
-    sendError(res, 500, "Server error");
-  }
-});
+    await cacheHelper.invalidateFeed();
+    if (redisHelpers?.client()) {
+      await redisHelpers.client().del(cacheHelper.keys.comments(comment.post));
+    }
 
-app.get("/api/notifications/unread/count", auth, async (req, res) => {
-  try {
-    const Notification = require("./models/Notification");
-    const count = await Notification.countDocuments({
-      user: req.user._id,
-      read: false,
-    });
-    sendSuccess(res, { count });
+    sendSuccess(res, { message: "Deleted", success: true, deletedCount: removedIds.length });
   } catch (err) {
-    console.error("❌ Unread count error:", err);
+    console.error("❌ Delete comment error:", err);
     sendError(res, 500, "Server error");
   }
 });
@@ -1596,7 +2911,7 @@ app.get("/api/analytics/:period", auth, async (req, res) => {
     const likesData = new Array(labels.length).fill(0);
     posts.forEach((post) => {
       const postDate = new Date(post.createdAt);
-      const likeCount = post.likes?.length || 0;
+      const likeCount = post.likesCount || 0;
       let index;
 
       if (groupBy === "day") {
@@ -1634,13 +2949,13 @@ app.get("/api/analytics/:period", auth, async (req, res) => {
     }
 
     let topPost = posts.reduce((max, post) => {
-      const postLikes = post.likes?.length || 0;
-      const maxLikes = max.likes?.length || 0;
+      const postLikes = post.likesCount || 0;
+      const maxLikes = max.likesCount || 0;
       return postLikes > maxLikes ? post : max;
     }, posts[0] || null);
 
     if (!topPost) {
-      topPost = { content: "No posts yet", likes: [] };
+      topPost = { content: "No posts yet", likesCount: 0 };
     }
 
     const hashtagCounts = {};
@@ -1666,7 +2981,7 @@ app.get("/api/analytics/:period", auth, async (req, res) => {
         sentiment: { positive, negative, neutral },
         topPost: {
           text: topPost.content || "No posts yet",
-          likes: topPost.likes?.length || 0,
+          likes: topPost.likesCount || 0,
         },
         trendingHashtag,
       },
@@ -1887,8 +3202,9 @@ const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || "0.0.0.0";
 
 require("./cron/trendingCron");
+require("./cron/notificationRetentionCron");
 
-server.listen(PORT, HOST, () => {
+ready.then(() => server.listen(PORT, HOST, () => {
   console.log(`✅ Server + Socket.IO running on port ${PORT}`);
   console.log(`📍 Access via: http://localhost:${PORT}`);
   const ips = os.networkInterfaces();
@@ -1899,7 +3215,7 @@ server.listen(PORT, HOST, () => {
       }
     }
   }
-});
+}));
 
 // ============= GRACEFUL SHUTDOWN =============
 
@@ -0,0 +1,280 @@
+// services/accounts.js
+// Email verification and password reset. Both mail the user a link with a
+// random single-use token; only its sha256 is kept (AccountToken). Asking
+// again replaces any token still outstanding for the same purpose.
+//
+// With REQUIRE_EMAIL_VERIFICATION=true, unverified users may browse but not
+// post or message (see middleware/requireVerified and mustVerifyEmail).
+//
+// Passwords: any characters, PASSWORD_MIN_LENGTH characters or more, at most
+// 72 bytes (bcrypt ignores the rest) and not on the common-password list in
+// data/common-passwords.txt. Hashes made with fewer than BCRYPT_ROUNDS are
+// upgraded the next time the user logs in (upgradePasswordHash).
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const bcrypt = require("bcryptjs");
+const AccountToken = require("../models/AccountToken");
+const User = require("../models/User");
+const mailer = require("./mailer");
+const sessions = require("./sessions");
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH) || 8;
+const PASSWORD_MAX_BYTES = 72;
+const BLOCKLIST_PATH =
+  process.env.PASSWORD_BLOCKLIST_FILE || path.join(__dirname, "../data/common-passwords.txt");
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === "true";
+const VERIFY_TTL_MS =
+  (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const RESET_TTL_MS =
+  (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30) * 60 * 1000;
+const APP_URL = (
+  process.env.APP_URL || process.env.RENDER_EXTERNAL_URL || "http://localhost:3000"
+).replace(/\/$/, "");
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+let commonPasswords = null;
+let dummyHash = null;
+
+function accountError(statusCode, message, code) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Stored emails are normalised too (migration-lowercase-emails.js for
+// accounts created before this)
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+function isValidEmail(email) {
+  return email.length <= 254 && EMAIL_RE.test(email);
+}
+
+// Lowercased, read once
+function loadCommonPasswords() {
+  if (commonPasswords) return commonPasswords;
+  try {
+    commonPasswords = new Set(
+      fs
+        .readFileSync(BLOCKLIST_PATH, "utf8")
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith("#"))
+    );
+  } catch (err) {
+    console.warn("⚠️ Common password list unavailable:", err.message);
+    commonPasswords = new Set();
+  }
+  return commonPasswords;
+}
+
+// Message describing what is wrong with the password, or null.
+// Pass the account's username/email to also reject passwords equal to them.
+function validatePassword(password, { username, email } = {}) {
+  if (typeof password !== "string" || !password) return "Password required";
+  if ([...password].length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  }
+  if (Buffer.byteLength(password, "utf8") > PASSWORD_MAX_BYTES) {
+    return "Password is too long";
+  }
+
+  const lower = password.toLowerCase();
+  if (loadCommonPasswords().has(lower)) {
+    return "This password is too common, please choose another";
+  }
+  const personal = [username, email, normalizeEmail(email).split("@")[0]]
+    .filter(Boolean)
+    .map((value) => String(value).toLowerCase());
+  if (personal.includes(lower)) {
+    return "Password can't be your username or email";
+  }
+  return null;
+}
+
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+// Compares even when there is no user, against a throwaway hash of the same
+// cost, so response times don't reveal which usernames exist
+async function verifyPassword(user, password) {
+  if (typeof password !== "string") return false;
+  if (user?.passwordHash) return bcrypt.compare(password, user.passwordHash);
+
+  if (!dummyHash) dummyHash = await hashPassword(crypto.randomBytes(16).toString("hex"));
+  await bcrypt.compare(password, dummyHash);
+  return false;
+}
+
+function needsRehash(hash) {
+  try {
+    return bcrypt.getRounds(hash) < BCRYPT_ROUNDS;
+  } catch {
+    return false;
+  }
+}
+
+// Call with the password that was just verified. Rehashes at the current
+// cost; skipped if the hash changed in the meantime (e.g. a reset).
+async function upgradePasswordHash(user, password) {
+  if (!needsRehash(user.passwordHash)) return false;
+
+  const result = await User.updateOne(
+    { _id: user._id, passwordHash: user.passwordHash },
+    { passwordHash: await hashPassword(password) }
+  );
+  return result.modifiedCount === 1;
+}
+
+function mustVerifyEmail(user) {
+  return REQUIRE_EMAIL_VERIFICATION && !!user && !user.emailVerified;
+}
+
+async function issueToken(user, purpose, ttlMs, extra = {}) {
+  await AccountToken.updateMany(
+    { user: user._id, purpose, usedAt: null },
+    { usedAt: new Date() }
+  );
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  await AccountToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+    ...extra,
+  });
+  return token;
+}
+
+function usableToken(token, purpose, now) {
+  if (typeof token !== "string" || !token) {
+    throw accountError(400, "Invalid or expired link", "INVALID_TOKEN");
+  }
+  return { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } };
+}
+
+// The token's record without using it up, or throws 400 if it is unknown,
+// used or expired
+async function findToken(token, purpose) {
+  const record = await AccountToken.findOne(usableToken(token, purpose, new Date()));
+  if (!record) throw accountError(400, "Invalid or expired link", "INVALID_TOKEN");
+  return record;
+}
+
+// Marks the token used and returns it, or throws 400 if it is unknown,
+// used or expired
+async function consumeToken(token, purpose) {
+  const now = new Date();
+  const record = await AccountToken.findOneAndUpdate(
+    usableToken(token, purpose, now),
+    { usedAt: now },
+    { new: true }
+  );
+  if (!record) throw accountError(400, "Invalid or expired link", "INVALID_TOKEN");
+  return record;
+}
+
+async function sendVerificationEmail(user) {
+  if (user.emailVerified) return false;
+
+  const token = await issueToken(user, "verify_email", VERIFY_TTL_MS, { email: user.email });
+  const link = `${APP_URL}/verify-email.html?token=${token}`;
+  const hours = Math.round(VERIFY_TTL_MS / 3600000);
+
+  await mailer.send({
+    to: user.email,
+    subject: "Confirm your SocialSync email",
+    text:
+      `Hi ${user.username},\n\n` +
+      `Confirm this address for your SocialSync account:\n${link}\n\n` +
+      `The link works once and expires in ${hours} hours. ` +
+      `If you didn't sign up, you can ignore this email.`,
+  });
+  return true;
+}
+
+async function verifyEmail(token) {
+  const record = await consumeToken(token, "verify_email");
+
+  // The link only counts for the address it was sent to
+  const user = await User.findOneAndUpdate(
+    { _id: record.user, email: record.email },
+    { emailVerified: true, emailVerifiedAt: new Date() },
+    { new: true }
+  );
+  if (!user) throw accountError(400, "Invalid or expired link", "INVALID_TOKEN");
+  return user;
+}
+
+// Resolves true if a link was mailed, false for an unknown address. Answer
+// the request without waiting for it, so the endpoint can't be used to find
+// out who is registered.
+async function requestPasswordReset(email) {
+  const user = await User.findOne({ email: normalizeEmail(email) }).select("_id username email");
+  if (!user) return false;
+
+  const token = await issueToken(user, "reset_password", RESET_TTL_MS);
+  const link = `${APP_URL}/reset-password.html?token=${token}`;
+  const minutes = Math.round(RESET_TTL_MS / 60000);
+
+  await mailer.send({
+    to: user.email,
+    subject: "Reset your SocialSync password",
+    text:
+      `Hi ${user.username},\n\n` +
+      `Someone asked to reset the password of your SocialSync account. ` +
+      `To choose a new one, open:\n${link}\n\n` +
+      `The link works once and expires in ${minutes} minutes. ` +
+      `If it wasn't you, ignore this email; your password stays the same.`,
+  });
+  return true;
+}
+
+// Sets the new password and signs the user out everywhere.
+// Resolves { user, revoked } where revoked are the ended session ids.
+async function resetPassword(token, password) {
+  // Checked before the token is used up, so a rejected password can be retried
+  const pending = await findToken(token, "reset_password");
+  const owner = await User.findById(pending.user).select("username email");
+  if (!owner) throw accountError(400, "Invalid or expired link", "INVALID_TOKEN");
+
+  const problem = validatePassword(password, owner);
+  if (problem) throw accountError(400, problem, "WEAK_PASSWORD");
+
+  const record = await consumeToken(token, "reset_password");
+  const user = await User.findByIdAndUpdate(
+    record.user,
+    { passwordHash: await hashPassword(password) },
+    { new: true }
+  ).select("_id username email");
+  if (!user) throw accountError(400, "Invalid or expired link", "INVALID_TOKEN");
+
+  const revoked = await sessions.revokeAllSessions(user._id, { reason: "password_reset" });
+  return { user, revoked };
+}
+
+module.exports = {
+  REQUIRE_EMAIL_VERIFICATION,
+  normalizeEmail,
+  isValidEmail,
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+  upgradePasswordHash,
+  mustVerifyEmail,
+  sendVerificationEmail,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+};
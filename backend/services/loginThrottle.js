@@ -0,0 +1,112 @@
+// services/loginThrottle.js
+// Per-account login backoff, on top of the per-IP authLimiter. Failed
+// password and 2FA attempts are counted against the username that was typed,
+// whether or not it belongs to an account, so a lock says nothing about who
+// is registered. The first LOGIN_FREE_ATTEMPTS failures cost nothing; each
+// one after that locks the account for twice as long as the last, starting
+// at LOGIN_LOCKOUT_BASE_SECONDS and capped at LOGIN_LOCKOUT_MAX_MINUTES.
+// The count is forgotten LOGIN_FAILURE_WINDOW_HOURS after the last failure
+// and cleared by a successful login or a password reset.
+//
+// Keys (Redis, shared by every instance):
+//   login:failures:<account>  failure count
+//   login:lock:<account>      present while locked; its TTL is the wait
+// Without Redis the counters live in this process's memory.
+const { redisHelpers } = require("../db");
+
+const FREE_ATTEMPTS = parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 5;
+const LOCKOUT_BASE_MS = (parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 30) * 1000;
+const LOCKOUT_MAX_MS = (parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 60) * 60 * 1000;
+const FAILURE_WINDOW_MS =
+  (parseInt(process.env.LOGIN_FAILURE_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+
+const failuresKey = (account) => `login:failures:${account}`;
+const lockKey = (account) => `login:lock:${account}`;
+
+// account -> { failures, expiresAt, lockedUntil }, only used when Redis is down
+const localAttempts = new Map();
+const LOCAL_SWEEP_SIZE = 10000;
+
+function redis() {
+  const client = redisHelpers.client();
+  return client?.isReady ? client : null;
+}
+
+function accountKey(username) {
+  return String(username || "").trim().toLowerCase().slice(0, 100);
+}
+
+function lockoutFor(failures) {
+  if (failures <= FREE_ATTEMPTS) return 0;
+  return Math.min(LOCKOUT_BASE_MS * 2 ** (failures - FREE_ATTEMPTS - 1), LOCKOUT_MAX_MS);
+}
+
+function localEntry(account, now = Date.now()) {
+  const entry = localAttempts.get(account);
+  if (entry && entry.expiresAt <= now) {
+    localAttempts.delete(account);
+    return null;
+  }
+  return entry || null;
+}
+
+// Milliseconds until the account may try again, 0 when it isn't locked
+async function lockedFor(username) {
+  const account = accountKey(username);
+  const client = redis();
+
+  if (!client) {
+    const entry = localEntry(account);
+    return entry ? Math.max(0, entry.lockedUntil - Date.now()) : 0;
+  }
+
+  const ttl = await client.pTTL(lockKey(account));
+  return ttl > 0 ? ttl : 0;
+}
+
+// Counts a failed attempt. Resolves the lock it caused in ms (0 for none).
+async function recordFailure(username) {
+  const account = accountKey(username);
+  const client = redis();
+
+  if (!client) {
+    const now = Date.now();
+    const entry = localEntry(account, now) || { failures: 0, lockedUntil: 0 };
+    entry.failures += 1;
+    entry.expiresAt = now + FAILURE_WINDOW_MS;
+    const lockMs = lockoutFor(entry.failures);
+    if (lockMs) entry.lockedUntil = now + lockMs;
+    localAttempts.set(account, entry);
+    // Typos and guessed usernames would otherwise pile up forever
+    if (localAttempts.size > LOCAL_SWEEP_SIZE) {
+      for (const key of localAttempts.keys()) localEntry(key, now);
+    }
+    return lockMs;
+  }
+
+  const [failures] = await client
+    .multi()
+    .incr(failuresKey(account))
+    .pExpire(failuresKey(account), FAILURE_WINDOW_MS)
+    .exec();
+  const lockMs = lockoutFor(Number(failures));
+  if (lockMs) await client.set(lockKey(account), "1", { PX: lockMs });
+  return lockMs;
+}
+
+async function clearFailures(username) {
+  const account = accountKey(username);
+  const client = redis();
+
+  if (!client) {
+    localAttempts.delete(account);
+    return;
+  }
+  await client.del([failuresKey(account), lockKey(account)]);
+}
+
+module.exports = {
+  lockedFor,
+  recordFailure,
+  clearFailures,
+};
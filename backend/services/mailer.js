@@ -0,0 +1,98 @@
+// services/mailer.js
+// Outgoing mail behind one send({ to, subject, text, html }) call. The
+// driver comes from MAIL_DRIVER:
+//   smtp    - nodemailer over SMTP_HOST/SMTP_PORT (SMTP_USER/SMTP_PASS)
+//   file    - writes each message to MAIL_OUTBOX_DIR (backend/mail-outbox)
+//   console - prints the message; the default outside production
+// Production must name a driver: the console driver would put live reset
+// and verification links in the logs and deliver nothing.
+const fs = require("fs");
+const path = require("path");
+
+const MAIL_FROM = process.env.MAIL_FROM || "SocialSync <no-reply@socialsync.local>";
+
+// ---- smtp driver ----
+class SmtpMailDriver {
+  constructor(options = {}) {
+    // Only needed when this driver is actually picked
+    const nodemailer = require("nodemailer");
+    const port = parseInt(options.port || process.env.SMTP_PORT) || 587;
+    this.transport = nodemailer.createTransport({
+      host: options.host || process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE === "true" || port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+
+  async send(message) {
+    const info = await this.transport.sendMail(message);
+    return { id: info.messageId };
+  }
+}
+
+// ---- file driver: one .json per message, newest sorts last ----
+class FileMailDriver {
+  constructor(options = {}) {
+    this.dir = path.resolve(
+      options.dir || process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "..", "mail-outbox")
+    );
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  async send(message) {
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const file = path.join(this.dir, `${id}.json`);
+    await fs.promises.writeFile(
+      file,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+    console.log(`📧 Mail to ${message.to} written to ${file}`);
+    return { id };
+  }
+}
+
+// ---- console driver ----
+class ConsoleMailDriver {
+  async send(message) {
+    console.log(
+      `📧 Mail to ${message.to}\n   Subject: ${message.subject}\n\n${message.text}\n`
+    );
+    return { id: null };
+  }
+}
+
+const drivers = {
+  smtp: SmtpMailDriver,
+  file: FileMailDriver,
+  console: ConsoleMailDriver,
+};
+
+function defaultDriver() {
+  if (process.env.MAIL_DRIVER) return process.env.MAIL_DRIVER;
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("MAIL_DRIVER must be set in production (smtp or file)");
+  }
+  return "console";
+}
+
+function createMailer(name = defaultDriver(), options = {}) {
+  const Driver = drivers[name];
+  if (!Driver) {
+    throw new Error(`Unknown MAIL_DRIVER "${name}"`);
+  }
+  const driver = new Driver(options);
+
+  return {
+    driver: name,
+    send({ to, subject, text, html }) {
+      return driver.send({ from: options.from || MAIL_FROM, to, subject, text, html });
+    },
+  };
+}
+
+module.exports = createMailer();
+module.exports.createMailer = createMailer;
+module.exports.drivers = drivers;
@@ -0,0 +1,952 @@
+// services/messaging.js
+// Direct and group messaging, shared by the REST routes (routes/messages.js
+// and /api/messages/*) and the Socket.IO handlers in server.js.
+//
+// Message.conversationId is one of:
+//   dm:<userId>:<userId>      1:1 thread, the two ids sorted
+//   group:<Conversation _id>  group thread
+//
+// Delivery goes through per-user socket rooms (every socket joins a room
+// named after its user id). DM read state is per message (readBy); group read
+// state is a marker per member on the Conversation.
+const mongoose = require("mongoose");
+const Conversation = require("../models/Conversation");
+const Media = require("../models/Media");
+const Message = require("../models/Message");
+const Post = require("../models/Post");
+const User = require("../models/User");
+const notifications = require("./notifications");
+const presence = require("./presence");
+const relations = require("./relations");
+const storage = require("./storage");
+
+const MAX_GROUP_MEMBERS = parseInt(process.env.MAX_GROUP_MEMBERS) || 50;
+const MAX_MESSAGE_LENGTH = 5000;
+const MESSAGES_PAGE_SIZE = 30;
+const MESSAGES_PAGE_MAX = 100;
+const MAX_ATTACHMENTS = 10;
+const PENDING_PUSH_LIMIT = 100;
+const MESSAGE_EDIT_WINDOW_MS =
+  (parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+// A single emoji, including ZWJ sequences, skin tones and flags
+const EMOJI_REGEX = /^(?:\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f)+$/u;
+const PICTOGRAPHIC_REGEX = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+const GROUP_PREFIX = "group:";
+const DM_PREFIX = "dm:";
+
+const SENDER_FIELDS = "username displayName avatarUrl";
+
+// Errors carry the HTTP status the REST routes respond with; sockets
+// forward the message as `message_error`
+function messagingError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// ---- conversation ids ----
+
+const isGroupKey = (conversationId) =>
+  typeof conversationId === "string" && conversationId.startsWith(GROUP_PREFIX);
+
+const isDmKey = (conversationId) =>
+  typeof conversationId === "string" && conversationId.startsWith(DM_PREFIX);
+
+const dmKey = (userA, userB) => `${DM_PREFIX}${[String(userA), String(userB)].sort().join(":")}`;
+
+// The two participant ids of a dm key, or null
+function dmParticipants(conversationId) {
+  if (!isDmKey(conversationId)) return null;
+  const ids = conversationId.slice(DM_PREFIX.length).split(":");
+  return ids.length === 2 ? ids : null;
+}
+
+function otherParticipant(conversationId, userId) {
+  const ids = dmParticipants(conversationId);
+  if (!ids || !ids.includes(String(userId))) return null;
+  return ids.find((id) => id !== String(userId)) || String(userId);
+}
+
+// ---- formatting ----
+
+// [{ emoji, count, userIds }] in first-reacted order
+function summarizeReactions(reactions = []) {
+  const byEmoji = new Map();
+  reactions.forEach((r) => {
+    if (!byEmoji.has(r.emoji)) byEmoji.set(r.emoji, []);
+    byEmoji.get(r.emoji).push(String(r.user));
+  });
+  return [...byEmoji].map(([emoji, userIds]) => ({ emoji, count: userIds.length, userIds }));
+}
+
+// API / socket shape of any message (expects sender populated)
+function formatMessage(msg, viewerId = null) {
+  const sender = msg.sender || {};
+  const senderId = sender._id || msg.sender;
+  const readers = (msg.readBy || []).filter((id) => String(id) !== String(senderId));
+  const deleted = !!msg.deletedAt;
+  return {
+    id: msg._id,
+    conversationId: msg.conversationId,
+    sender: {
+      id: senderId,
+      username: sender.username,
+      displayName: sender.displayName || sender.username,
+      avatarUrl: sender.avatarUrl,
+    },
+    text: deleted ? "" : msg.text,
+    attachments: deleted
+      ? []
+      : (msg.attachments || []).map((a) => ({
+          mediaId: a.media,
+          url: a.url,
+          type: a.type,
+          mimeType: a.mimeType,
+          name: a.name,
+          sizeBytes: a.sizeBytes,
+        })),
+    createdAt: msg.createdAt,
+    edited: !!msg.editedAt,
+    editedAt: msg.editedAt || null,
+    editableUntil: new Date(new Date(msg.createdAt).getTime() + MESSAGE_EDIT_WINDOW_MS),
+    deleted,
+    reactions: deleted ? [] : summarizeReactions(msg.reactions),
+    delivered: (msg.deliveredTo || []).length > 0,
+    read: readers.length > 0,
+    ...(viewerId ? { isMine: String(senderId) === String(viewerId) } : {}),
+  };
+}
+
+// Conversation list preview of a message
+function previewText(msg) {
+  if (!msg) return "";
+  if (msg.deletedAt) return "Message deleted";
+  if (msg.text) return msg.text;
+  return msg.attachments?.length ? "📎 Attachment" : "";
+}
+
+// Group read state comes from the members' read markers
+function formatGroupMessage(conversation, msg, viewerId = null) {
+  const data = formatMessage(msg, viewerId);
+  const sentAt = new Date(msg.createdAt);
+  return {
+    ...data,
+    read: conversation.members.some(
+      (m) =>
+        String(m.user?._id || m.user) !== String(data.sender.id) &&
+        m.lastReadAt &&
+        m.lastReadAt >= sentAt
+    ),
+    group: { id: conversation._id, title: conversation.title },
+  };
+}
+
+// Expects members.user populated
+function formatGroup(conversation) {
+  return {
+    id: conversation._id,
+    conversationId: conversation.key,
+    type: "group",
+    title: conversation.title,
+    members: conversation.members
+      .filter((m) => m.user && m.user.username)
+      .map((m) => ({
+        _id: m.user._id,
+        username: m.user.username,
+        displayName: m.user.displayName || m.user.username,
+        avatarUrl: m.user.avatarUrl,
+        lastReadAt: m.lastReadAt,
+        isAdmin: conversation.isAdmin(m.user._id),
+      })),
+    createdBy: conversation.createdBy,
+    lastMessageAt: conversation.lastMessageAt,
+  };
+}
+
+function validateText(text, { allowEmpty = false } = {}) {
+  if (typeof text !== "string") throw messagingError(400, "Invalid message");
+  if (!allowEmpty && !text.trim()) throw messagingError(400, "Message is empty");
+  if (text.length > MAX_MESSAGE_LENGTH) throw messagingError(400, "Message too long");
+}
+
+const attachmentType = (mimeType = "") =>
+  mimeType.startsWith("image/") ? "image" : mimeType.startsWith("video/") ? "video" : "file";
+
+// Uploads (POST /api/media/upload/message) the sender owns and has not
+// attached to another message yet
+async function resolveAttachments(senderId, mediaIds = []) {
+  if (!Array.isArray(mediaIds)) throw messagingError(400, "mediaIds must be an array");
+  const ids = [...new Set(mediaIds.map(String))];
+  if (!ids.length) return [];
+  if (ids.length > MAX_ATTACHMENTS) {
+    throw messagingError(400, `At most ${MAX_ATTACHMENTS} attachments per message`);
+  }
+  if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    throw messagingError(400, "Invalid media ID");
+  }
+
+  const media = await Media.find({ _id: { $in: ids }, ownerType: "User", ownerId: senderId });
+  if (media.length !== ids.length) throw messagingError(404, "Media not found");
+
+  const byId = new Map(media.map((m) => [String(m._id), m]));
+  return ids.map((id) => {
+    const m = byId.get(id);
+    return {
+      media: m._id,
+      url: m.url,
+      type: attachmentType(m.mimeType),
+      mimeType: m.mimeType,
+      name: m.originalName,
+      sizeBytes: m.sizeBytes,
+    };
+  });
+}
+
+// Validated { text, attachments } for a new message from { text, mediaIds }
+async function prepareContent(senderId, { text = "", mediaIds = [] } = {}) {
+  const attachments = await resolveAttachments(senderId, mediaIds);
+  validateText(text, { allowEmpty: attachments.length > 0 });
+  return { text, attachments };
+}
+
+// Attached media now belongs to the message (and leaves the user's library)
+async function claimAttachments(msg) {
+  if (!msg.attachments.length) return;
+  await Media.updateMany(
+    { _id: { $in: msg.attachments.map((a) => a.media) } },
+    { $set: { ownerType: "Message", ownerId: msg._id } }
+  );
+}
+
+// Deletes the message's attachments from storage, except media a post or
+// another message still points at: that goes back to the sender's library
+async function removeAttachments(msg, mediaIds) {
+  const [inPosts, inMessages] = await Promise.all([
+    Post.distinct("media", { media: { $in: mediaIds } }),
+    Message.distinct("attachments.media", {
+      _id: { $ne: msg._id },
+      "attachments.media": { $in: mediaIds },
+    }),
+  ]);
+  const shared = new Set([...inPosts, ...inMessages].map(String));
+  const sharedIds = mediaIds.filter((id) => shared.has(String(id)));
+  const unusedIds = mediaIds.filter((id) => !shared.has(String(id)));
+
+  if (sharedIds.length) {
+    await Media.updateMany(
+      { _id: { $in: sharedIds }, ownerType: "Message", ownerId: msg._id },
+      { $set: { ownerType: "User", ownerId: msg.sender } }
+    );
+  }
+  if (!unusedIds.length) return;
+
+  // Only media this message claimed
+  const media = await Media.find({ _id: { $in: unusedIds }, ownerType: "Message", ownerId: msg._id });
+  await Media.deleteMany({ _id: { $in: media.map((m) => m._id) } });
+  const keys = media.flatMap((m) => [m.storageKey, ...(m.variants || []).map((v) => v.storageKey)]);
+  await Promise.all(keys.map((key) => storage.remove(key)));
+}
+
+// ---- delivery ----
+
+// Senders hear about deliveries per conversation
+function emitDelivered(io, senderId, conversationId, messageIds, userId) {
+  if (!io) return;
+  io.to(String(senderId)).emit("message_delivered", {
+    conversationId,
+    messageIds: messageIds.map(String),
+    userId: String(userId),
+    at: new Date(),
+  });
+}
+
+// Mark a new message delivered to whichever recipients are connected now;
+// the rest get it from deliverPending when they next connect
+async function markDeliveredToOnline(io, msg, recipientIds) {
+  const online = await presence.onlineAmong(recipientIds);
+  if (!online.length) return;
+
+  await Message.updateOne({ _id: msg._id }, { $addToSet: { deliveredTo: { $each: online } } });
+  online.forEach((id) => {
+    msg.deliveredTo.push(id);
+    emitDelivered(io, msg.sender._id || msg.sender, msg.conversationId, [msg._id], id);
+  });
+}
+
+/**
+ * Called when a socket connects: everything sent to the user while they were
+ * offline is marked delivered, the senders get message_delivered, and the
+ * socket gets `pending_messages` with a per-conversation summary plus the
+ * newest PENDING_PUSH_LIMIT messages (older ones load with the thread).
+ */
+async function deliverPending(io, socket) {
+  const userId = new mongoose.Types.ObjectId(String(socket.userId));
+
+  const pending = await Message.aggregate([
+    {
+      $match: {
+        recipients: userId,
+        deliveredTo: { $ne: userId },
+        sender: { $ne: userId },
+        deletedAt: null,
+        deletedFor: { $ne: userId },
+      },
+    },
+    { $sort: { _id: 1 } },
+    {
+      $group: {
+        _id: { conversationId: "$conversationId", sender: "$sender" },
+        messageIds: { $push: "$_id" },
+        lastAt: { $last: "$createdAt" },
+      },
+    },
+  ]);
+  if (!pending.length) return { total: 0 };
+
+  const allIds = pending.flatMap((p) => p.messageIds);
+  await Message.updateMany({ _id: { $in: allIds } }, { $addToSet: { deliveredTo: userId } });
+
+  pending.forEach((p) =>
+    emitDelivered(io, p._id.sender, p._id.conversationId, p.messageIds, userId)
+  );
+
+  const byConversation = new Map();
+  pending.forEach((p) => {
+    const entry = byConversation.get(p._id.conversationId) || {
+      conversationId: p._id.conversationId,
+      count: 0,
+      lastAt: p.lastAt,
+    };
+    entry.count += p.messageIds.length;
+    if (p.lastAt > entry.lastAt) entry.lastAt = p.lastAt;
+    byConversation.set(p._id.conversationId, entry);
+  });
+
+  const recent = await Message.find({ _id: { $in: allIds } })
+    .sort({ _id: -1 })
+    .limit(PENDING_PUSH_LIMIT)
+    .populate("sender", SENDER_FIELDS)
+    .lean();
+
+  const summary = [...byConversation.values()];
+  socket.emit("pending_messages", {
+    total: allIds.length,
+    conversations: summary,
+    messages: recent.reverse().map((m) => formatMessage(m, userId)),
+  });
+
+  return { total: allIds.length, conversations: summary.length };
+}
+
+// ---- groups ----
+
+// A group by id or "group:<id>" key, only if `userId` is a member
+async function findGroupForMember(idOrKey, userId) {
+  const id = isGroupKey(idOrKey) ? idOrKey.slice(GROUP_PREFIX.length) : idOrKey;
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return Conversation.findOne({ _id: id, type: "group", "members.user": userId });
+}
+
+function memberState(conversation, userId) {
+  return conversation.members.find((m) => String(m.user) === String(userId));
+}
+
+// Members only see what was sent after they joined
+function visibleSince(conversation, userId) {
+  return memberState(conversation, userId)?.joinedAt || null;
+}
+
+function emitToMembers(io, conversation, event, payload, { except = null } = {}) {
+  if (!io) return;
+  conversation
+    .memberIds()
+    .filter((id) => id !== String(except))
+    .forEach((id) => io.to(id).emit(event, payload));
+}
+
+// Persist a message, advance the sender's read marker and bump the group
+async function createGroupMessage(conversation, senderId, { text, attachments = [] }) {
+  const msg = await Message.create({
+    conversationId: conversation.key,
+    sender: senderId,
+    recipients: conversation.memberIds().filter((id) => id !== String(senderId)),
+    text,
+    attachments,
+    deliveredTo: [],
+    readBy: [senderId],
+  });
+  await claimAttachments(msg);
+
+  await Conversation.updateOne(
+    { _id: conversation._id, "members.user": senderId },
+    {
+      $set: {
+        lastMessageAt: msg.createdAt,
+        "members.$.lastReadAt": msg.createdAt,
+      },
+    }
+  );
+
+  return msg.populate("sender", SENDER_FIELDS);
+}
+
+// `content` is { text, mediaIds }
+async function sendGroupMessage(io, conversation, senderId, content) {
+  const prepared = await prepareContent(senderId, content);
+  const msg = await createGroupMessage(conversation, senderId, prepared);
+  await markDeliveredToOnline(io, msg, msg.recipients);
+  const data = formatGroupMessage(conversation, msg);
+  emitToMembers(io, conversation, "new_message", data, { except: senderId });
+  return { message: msg, data };
+}
+
+async function markRead(conversation, userId, at = new Date()) {
+  await Conversation.updateOne(
+    { _id: conversation._id, "members.user": userId },
+    { $set: { "members.$.lastReadAt": at } }
+  );
+}
+
+// Messages from others newer than the member's read marker
+async function unreadCount(conversation, userId) {
+  const member = memberState(conversation, userId);
+  if (!member) return 0;
+
+  const since = member.lastReadAt || member.joinedAt;
+  const query = {
+    conversationId: conversation.key,
+    sender: { $ne: userId },
+    deletedAt: null,
+    deletedFor: { $ne: userId },
+  };
+  if (since) query.createdAt = { $gt: since };
+  return Message.countDocuments(query);
+}
+
+// ---- direct messages ----
+
+// `content` is { text, mediaIds }
+async function sendDirectMessage(io, senderId, recipientId, content) {
+  if (!mongoose.Types.ObjectId.isValid(recipientId)) {
+    throw messagingError(404, "User not found");
+  }
+  if (String(senderId) === String(recipientId)) {
+    throw messagingError(400, "You can't message yourself");
+  }
+
+  const recipient = await User.findById(recipientId).select("_id username");
+  if (!recipient) throw messagingError(404, "User not found");
+  if (await relations.isBlocked(senderId, recipient._id)) {
+    throw messagingError(403, "You can't message this user");
+  }
+
+  const { text, attachments } = await prepareContent(senderId, content);
+  const msg = await Message.create({
+    conversationId: dmKey(senderId, recipient._id),
+    sender: senderId,
+    recipients: [recipient._id],
+    text,
+    attachments,
+    deliveredTo: [],
+    readBy: [],
+  });
+  await claimAttachments(msg);
+  await msg.populate("sender", SENDER_FIELDS);
+
+  await markDeliveredToOnline(io, msg, [recipient._id]);
+
+  const data = formatMessage(msg);
+  if (io) io.to(String(recipient._id)).emit("new_message", data);
+
+  try {
+    await notifications.notify(io, {
+      user: recipient._id,
+      actor: senderId,
+      verb: "message",
+      targetType: "Message",
+      targetId: msg._id,
+    });
+  } catch (err) {
+    console.warn("⚠️ Message notification failed:", err.message);
+  }
+
+  return { message: msg, data, recipient };
+}
+
+// One entry point for sockets: `target` is { conversationId } for an existing
+// thread (dm or group) or { recipientId } to message a user directly
+async function sendMessage(io, senderId, target, content) {
+  if (isGroupKey(target.conversationId)) {
+    const group = await findGroupForMember(target.conversationId, senderId);
+    if (!group) throw messagingError(404, "Conversation not found");
+    return sendGroupMessage(io, group, senderId, content);
+  }
+
+  const recipientId = target.conversationId
+    ? otherParticipant(target.conversationId, senderId)
+    : target.recipientId;
+  if (!recipientId) throw messagingError(404, "Conversation not found");
+  return sendDirectMessage(io, senderId, recipientId, content);
+}
+
+// ---- history ----
+
+const pageSize = (limit) =>
+  Math.min(Math.max(parseInt(limit) || MESSAGES_PAGE_SIZE, 1), MESSAGES_PAGE_MAX);
+
+function cursorId(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw messagingError(400, "Invalid cursor");
+  return new mongoose.Types.ObjectId(String(id));
+}
+
+const findMessages = (query, sort, limit) =>
+  Message.find(query).sort(sort).limit(limit).populate("sender", SENDER_FIELDS).lean();
+
+// `rows` oldest first. prevCursor / nextCursor are the message ids to pass as
+// `before` / `after` for the adjacent pages, null at either end of the thread
+const historyPage = (rows, hasOlder, hasNewer, format) => ({
+  messages: rows.map(format),
+  prevCursor: hasOlder && rows.length ? String(rows[0]._id) : null,
+  nextCursor: hasNewer && rows.length ? String(rows[rows.length - 1]._id) : null,
+});
+
+// Messages a viewer may see in a thread: not deleted for them, and for group
+// members only from their join time
+function threadQuery(conversationId, { since = null, viewerId = null } = {}) {
+  const query = { conversationId };
+  if (since) query.createdAt = { $gte: since };
+  if (viewerId) query.deletedFor = { $ne: viewerId };
+  return query;
+}
+
+/**
+ * One page of a thread, oldest first. `before` / `after` are message ids;
+ * with neither, the newest page. Ordered by _id, which follows send order.
+ */
+async function getThreadPage(
+  conversationId,
+  { before = null, after = null, limit, since = null, viewerId = null, format = formatMessage } = {}
+) {
+  const size = pageSize(limit);
+  const query = threadQuery(conversationId, { since, viewerId });
+
+  if (after) {
+    query._id = { $gt: cursorId(after) };
+    const rows = await findMessages(query, { _id: 1 }, size + 1);
+    return historyPage(rows.slice(0, size), true, rows.length > size, format);
+  }
+
+  if (before) query._id = { $lt: cursorId(before) };
+  const rows = await findMessages(query, { _id: -1 }, size + 1);
+  return historyPage(rows.slice(0, size).reverse(), rows.length > size, !!before, format);
+}
+
+// Newest page of a 1:1 thread (or an older / newer one via before / after)
+async function getDirectMessages(userId, otherUserId, { before, after, limit } = {}) {
+  return getThreadPage(dmKey(userId, otherUserId), {
+    before,
+    after,
+    limit,
+    viewerId: userId,
+    format: (m) => formatMessage(m, userId),
+  });
+}
+
+/**
+ * Jump to a message: a page centred on it, with cursors to keep paging both
+ * ways. Only for participants (group members who joined before it was sent).
+ * Resolves to { conversationId, anchor, group, otherUserId, messages,
+ * prevCursor, nextCursor }.
+ */
+async function getMessageWindow(userId, messageId, { limit } = {}) {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    throw messagingError(404, "Message not found");
+  }
+  const anchor = await Message.findOne({ _id: messageId, deletedFor: { $ne: userId } })
+    .select("conversationId createdAt")
+    .lean();
+  if (!anchor) throw messagingError(404, "Message not found");
+
+  let group = null;
+  let otherUserId = null;
+  let since = null;
+  if (isGroupKey(anchor.conversationId)) {
+    group = await findGroupForMember(anchor.conversationId, userId);
+    since = group && visibleSince(group, userId);
+    if (!group || (since && anchor.createdAt < since)) {
+      throw messagingError(404, "Message not found");
+    }
+  } else {
+    otherUserId = otherParticipant(anchor.conversationId, userId);
+    if (!otherUserId) throw messagingError(404, "Message not found");
+  }
+
+  const half = Math.floor(pageSize(limit) / 2);
+  const query = threadQuery(anchor.conversationId, { since, viewerId: userId });
+  const [older, newer] = await Promise.all([
+    findMessages({ ...query, _id: { $lt: anchor._id } }, { _id: -1 }, half + 1),
+    // includes the anchor itself
+    findMessages({ ...query, _id: { $gte: anchor._id } }, { _id: 1 }, half + 2),
+  ]);
+
+  const rows = [...older.slice(0, half).reverse(), ...newer.slice(0, half + 1)];
+  const format = group
+    ? (m) => formatGroupMessage(group, m, userId)
+    : (m) => formatMessage(m, userId);
+
+  return {
+    conversationId: anchor.conversationId,
+    anchor: String(anchor._id),
+    group,
+    otherUserId,
+    ...historyPage(rows, older.length > half, newer.length > half + 1, format),
+  };
+}
+
+// Mark everything the other side sent as read and tell them. Returns how
+// many messages changed (groups only move the member's marker: always 0)
+async function markConversationRead(io, conversationId, userId) {
+  if (isGroupKey(conversationId)) {
+    const group = await findGroupForMember(conversationId, userId);
+    if (!group) return 0;
+    const at = new Date();
+    await markRead(group, userId, at);
+    emitToMembers(
+      io,
+      group,
+      "messages_read",
+      { conversationId: group.key, readBy: String(userId), at },
+      { except: userId }
+    );
+    return 0;
+  }
+
+  const otherId = otherParticipant(conversationId, userId);
+  if (!otherId) return 0;
+
+  const result = await Message.updateMany(
+    { conversationId, sender: { $ne: userId }, readBy: { $ne: userId } },
+    { $addToSet: { readBy: userId } }
+  );
+
+  if (result.modifiedCount > 0 && io) {
+    io.to(otherId).emit("messages_read", {
+      conversationId,
+      readBy: String(userId),
+      at: new Date(),
+    });
+  }
+  return result.modifiedCount;
+}
+
+// ---- edits, deletes and reactions ----
+
+// A message the user can see, plus who to broadcast changes to
+async function findMessageForParticipant(messageId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    throw messagingError(404, "Message not found");
+  }
+  const msg = await Message.findOne({ _id: messageId, deletedFor: { $ne: userId } });
+  if (!msg) throw messagingError(404, "Message not found");
+
+  if (isGroupKey(msg.conversationId)) {
+    const group = await findGroupForMember(msg.conversationId, userId);
+    const since = group && visibleSince(group, userId);
+    if (!group || (since && msg.createdAt < since)) {
+      throw messagingError(404, "Message not found");
+    }
+    return { msg, group, participantIds: group.memberIds() };
+  }
+
+  const participantIds = dmParticipants(msg.conversationId);
+  if (!participantIds || !participantIds.includes(String(userId))) {
+    throw messagingError(404, "Message not found");
+  }
+  return { msg, group: null, participantIds };
+}
+
+const emitToUsers = (io, userIds, event, payload) => {
+  if (io) [...new Set(userIds.map(String))].forEach((id) => io.to(id).emit(event, payload));
+};
+
+async function formatForBroadcast(msg, group) {
+  await msg.populate("sender", SENDER_FIELDS);
+  return group ? formatGroupMessage(group, msg) : formatMessage(msg);
+}
+
+// Own messages only, within MESSAGE_EDIT_WINDOW_MS of sending
+async function editMessage(io, userId, messageId, text) {
+  const { msg, group, participantIds } = await findMessageForParticipant(messageId, userId);
+
+  if (String(msg.sender) !== String(userId)) {
+    throw messagingError(403, "You can only edit your own messages");
+  }
+  if (msg.deletedAt) throw messagingError(400, "Message was deleted");
+  if (Date.now() - msg.createdAt.getTime() > MESSAGE_EDIT_WINDOW_MS) {
+    throw messagingError(403, "This message can no longer be edited");
+  }
+  validateText(text, { allowEmpty: msg.attachments.length > 0 });
+
+  msg.text = text;
+  msg.editedAt = new Date();
+  await msg.save();
+
+  const data = await formatForBroadcast(msg, group);
+  emitToUsers(io, participantIds, "message_updated", data);
+  return data;
+}
+
+/**
+ * "everyone" (sender only) blanks the message for the whole thread and removes
+ * its attachments from storage unless something else uses them; "me" hides it
+ * from the caller's history only.
+ */
+async function deleteMessage(io, userId, messageId, { scope = "me" } = {}) {
+  const { msg, participantIds } = await findMessageForParticipant(messageId, userId);
+  const payload = { messageId: msg._id, conversationId: msg.conversationId };
+
+  if (scope !== "everyone") {
+    await Message.updateOne({ _id: msg._id }, { $addToSet: { deletedFor: userId } });
+    // Only the caller's other tabs / devices
+    emitToUsers(io, [userId], "message_deleted", { ...payload, forEveryone: false });
+    return { ...payload, forEveryone: false };
+  }
+
+  if (String(msg.sender) !== String(userId)) {
+    throw messagingError(403, "You can only delete your own messages for everyone");
+  }
+
+  const mediaIds = msg.attachments.map((a) => a.media).filter(Boolean);
+  msg.text = "";
+  msg.attachments = [];
+  msg.reactions = [];
+  msg.deletedAt = msg.deletedAt || new Date();
+  await msg.save();
+
+  if (mediaIds.length) {
+    try {
+      await removeAttachments(msg, mediaIds);
+    } catch (err) {
+      console.warn("⚠️ Attachment cleanup failed:", err.message);
+    }
+  }
+
+  emitToUsers(io, participantIds, "message_deleted", { ...payload, forEveryone: true });
+  return { ...payload, forEveryone: true };
+}
+
+/**
+ * Set the caller's reaction (one per user; a new emoji replaces the old one).
+ * Reacting again with the same emoji removes it. Broadcasts reaction_added or
+ * reaction_removed with the updated summary.
+ */
+async function reactToMessage(io, userId, messageId, emoji) {
+  if (
+    typeof emoji !== "string" ||
+    emoji.length > 16 ||
+    !EMOJI_REGEX.test(emoji) ||
+    !PICTOGRAPHIC_REGEX.test(emoji)
+  ) {
+    throw messagingError(400, "Invalid emoji");
+  }
+
+  const { msg, participantIds } = await findMessageForParticipant(messageId, userId);
+  if (msg.deletedAt) throw messagingError(400, "Message was deleted");
+
+  // Single atomic updates, so concurrent reactions from others aren't lost:
+  // the same emoji again is pulled, anything else replaces the user's reaction
+  const reactor = new mongoose.Types.ObjectId(String(userId));
+  const live = { _id: msg._id, deletedAt: null };
+  let updated = await Message.findOneAndUpdate(
+    { ...live, reactions: { $elemMatch: { user: reactor, emoji } } },
+    { $pull: { reactions: { user: reactor } } },
+    { new: true }
+  ).select("reactions").lean();
+  const removed = !!updated;
+
+  if (!updated) {
+    updated = await Message.findOneAndUpdate(
+      live,
+      [
+        {
+          $set: {
+            reactions: {
+              $concatArrays: [
+                {
+                  $filter: {
+                    input: { $ifNull: ["$reactions", []] },
+                    cond: { $ne: ["$$this.user", reactor] },
+                  },
+                },
+                [{ user: reactor, emoji: { $literal: emoji } }],
+              ],
+            },
+          },
+        },
+      ],
+      { new: true, updatePipeline: true }
+    ).select("reactions").lean();
+  }
+  if (!updated) throw messagingError(400, "Message was deleted");
+
+  const payload = {
+    messageId: msg._id,
+    conversationId: msg.conversationId,
+    userId: String(userId),
+    emoji,
+    reactions: summarizeReactions(updated.reactions),
+  };
+  emitToUsers(io, participantIds, removed ? "reaction_removed" : "reaction_added", payload);
+  return { ...payload, removed };
+}
+
+// ---- conversation list ----
+
+async function listDirectConversations(userId) {
+  const myId = new mongoose.Types.ObjectId(String(userId));
+
+  const agg = await Message.aggregate([
+    {
+      $match: {
+        $or: [{ sender: myId }, { recipients: myId }],
+        conversationId: { $regex: /^dm:/ },
+        deletedFor: { $ne: myId },
+      },
+    },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: "$conversationId",
+        last: { $first: "$$ROOT" },
+      },
+    },
+  ]);
+
+  const otherIds = agg
+    .map((c) => otherParticipant(c._id, userId))
+    .filter((id) => id && mongoose.Types.ObjectId.isValid(id));
+  const users = await User.find({ _id: { $in: otherIds } }).select(SENDER_FIELDS).lean();
+  const usersById = new Map(users.map((u) => [String(u._id), u]));
+
+  const items = await Promise.all(
+    agg.map(async (c) => {
+      const other = usersById.get(otherParticipant(c._id, userId));
+      if (!other) return null;
+
+      return {
+        conversationId: c._id,
+        type: "dm",
+        with: {
+          _id: other._id,
+          username: other.username,
+          displayName: other.displayName || other.username,
+          avatarUrl: other.avatarUrl,
+        },
+        lastMessage: {
+          text: previewText(c.last),
+          createdAt: c.last.createdAt,
+          senderId: c.last.sender,
+        },
+        unreadCount: await Message.countDocuments({
+          conversationId: c._id,
+          sender: { $ne: myId },
+          readBy: { $ne: myId },
+          deletedAt: null,
+          deletedFor: { $ne: myId },
+        }),
+      };
+    })
+  );
+  return items.filter(Boolean);
+}
+
+// Group conversations are listed even before their first message
+async function listGroupConversations(userId) {
+  const groups = await Conversation.find({ type: "group", "members.user": userId }).populate(
+    "members.user",
+    SENDER_FIELDS
+  );
+
+  return Promise.all(
+    groups.map(async (g) => {
+      const last = await Message.findOne(
+        threadQuery(g.key, { since: visibleSince(g, userId), viewerId: userId })
+      )
+        .sort({ createdAt: -1 })
+        .select("text attachments deletedAt createdAt sender")
+        .lean();
+
+      return {
+        conversationId: g.key,
+        type: "group",
+        group: formatGroup(g),
+        lastMessage: last
+          ? { text: previewText(last), createdAt: last.createdAt, senderId: last.sender }
+          : { text: "", createdAt: g.createdAt, senderId: null },
+        unreadCount: await unreadCount(g, userId),
+      };
+    })
+  );
+}
+
+// Every conversation of the user, most recent activity first
+async function listConversations(userId) {
+  const [dms, groups] = await Promise.all([
+    listDirectConversations(userId),
+    listGroupConversations(userId),
+  ]);
+  return [...dms, ...groups].sort(
+    (a, b) => new Date(b.lastMessage.createdAt) - new Date(a.lastMessage.createdAt)
+  );
+}
+
+async function totalUnread(userId) {
+  const dmCount = await Message.countDocuments({
+    conversationId: { $regex: /^dm:/ },
+    recipients: userId,
+    sender: { $ne: userId },
+    readBy: { $ne: userId },
+    deletedAt: null,
+    deletedFor: { $ne: userId },
+  });
+
+  const groups = await Conversation.find({ type: "group", "members.user": userId });
+  const groupCounts = await Promise.all(groups.map((g) => unreadCount(g, userId)));
+
+  return dmCount + groupCounts.reduce((a, b) => a + b, 0);
+}
+
+module.exports = {
+  MAX_GROUP_MEMBERS,
+  MAX_MESSAGE_LENGTH,
+  MESSAGES_PAGE_SIZE,
+  MESSAGE_EDIT_WINDOW_MS,
+  isGroupKey,
+  isDmKey,
+  dmKey,
+  dmParticipants,
+  otherParticipant,
+  formatMessage,
+  formatGroupMessage,
+  formatGroup,
+  findGroupForMember,
+  memberState,
+  visibleSince,
+  emitToMembers,
+  sendMessage,
+  deliverPending,
+  sendDirectMessage,
+  sendGroupMessage,
+  getThreadPage,
+  getDirectMessages,
+  getMessageWindow,
+  editMessage,
+  deleteMessage,
+  reactToMessage,
+  markConversationRead,
+  markRead,
+  unreadCount,
+  listConversations,
+  totalUnread,
+};
@@ -0,0 +1,435 @@
+// services/notifications.js
+// Every notification goes through notify(): it persists the Notification,
+// refreshes the cached unread count and pushes `notification_created` to the
+// user's socket room. Muted/blocked actors are stored but never pushed and
+// never counted, and drop out of the lists.
+//
+// Likes, comments and replies on the same target, and new followers, are
+// grouped into one unread notification for NOTIFICATION_GROUP_WINDOW_HOURS:
+// "alice and 9 others liked your post". Direct messages group per sender, so
+// a conversation is one row however many messages arrive. Once read, the
+// next actor (or message) starts a new group.
+const mongoose = require("mongoose");
+const { redisHelpers } = require("../db");
+const Comment = require("../models/Comment");
+const Notification = require("../models/Notification");
+const Post = require("../models/Post");
+const User = require("../models/User");
+const relations = require("./relations");
+
+const UNREAD_CACHE_TTL = 300;
+const NOTIFICATIONS_PAGE_SIZE = 50;
+const NOTIFICATIONS_PAGE_MAX = 100;
+const RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 90;
+const GROUP_WINDOW_MS =
+  (parseInt(process.env.NOTIFICATION_GROUP_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+const MAX_GROUP_ACTORS = 100;
+const PREVIEW_ACTORS = 3;
+// Loaded per notification in lists; a few spare in case some are muted
+const PREVIEW_ACTORS_LOADED = 10;
+const SNIPPET_LENGTH = 100;
+const ACTOR_FIELDS = "username displayName avatarUrl";
+
+const GROUPED_BY_TARGET = ["like", "comment", "reply"];
+const GROUPED_BY_VERB = ["follow"];
+// One group per actor: for "message", that is the DM conversation
+const GROUPED_BY_ACTOR = ["message"];
+
+const unreadKey = (userId) => `notif:unread:${userId}`;
+
+// A notification is listed while at least one of its actors is visible;
+// actor-less (system) notifications always are
+function visibleFilter(userId, hiddenIds) {
+  return {
+    user: userId,
+    $or: [
+      { actors: { $elemMatch: { $nin: hiddenIds } } },
+      { "actors.0": { $exists: false }, actor: { $nin: hiddenIds } },
+    ],
+  };
+}
+
+function formatActor(u) {
+  return {
+    id: u._id,
+    username: u.username,
+    displayName: u.displayName || u.username,
+    avatarUrl: u.avatarUrl,
+  };
+}
+
+const snippet = (text) =>
+  text && text.length > SNIPPET_LENGTH ? `${text.slice(0, SNIPPET_LENGTH)}…` : text || "";
+
+// Thumb variant once the media worker is done, else the original upload
+function thumbnailOf(post) {
+  const thumb = post.media?.variants?.find((v) => v.name === "thumb");
+  return thumb?.url || post.mediaUrl || null;
+}
+
+// Post / comment snippets for a page of notifications, keyed by target id
+async function loadTargets(items) {
+  const idsOf = (type) =>
+    items.filter((n) => n.targetType === type && n.targetId).map((n) => n.targetId);
+
+  const [posts, comments] = await Promise.all([
+    Post.find({ _id: { $in: idsOf("Post") } })
+      .select("content mediaUrl media")
+      .populate("media", "variants")
+      .lean(),
+    Comment.find({ _id: { $in: idsOf("Comment") } })
+      .select("text post")
+      .populate({
+        path: "post",
+        select: "content mediaUrl media",
+        populate: { path: "media", select: "variants" },
+      })
+      .lean(),
+  ]);
+
+  const targets = new Map();
+  posts.forEach((p) =>
+    targets.set(String(p._id), {
+      type: "Post",
+      id: p._id,
+      snippet: snippet(p.content),
+      thumbnailUrl: thumbnailOf(p),
+    })
+  );
+  comments.forEach((c) =>
+    targets.set(String(c._id), {
+      type: "Comment",
+      id: c._id,
+      snippet: snippet(c.text),
+      postId: c.post?._id || null,
+      thumbnailUrl: c.post ? thumbnailOf(c.post) : null,
+    })
+  );
+  return targets;
+}
+
+function formatTarget(n, targets) {
+  if (!n.targetId) return null;
+  const found = targets.get(String(n.targetId));
+  if (found) return found;
+  // Posts and comments that were deleted since
+  const deletable = n.targetType === "Post" || n.targetType === "Comment";
+  return { type: n.targetType, id: n.targetId, ...(deletable && { deleted: true }) };
+}
+
+function formatNotification(n, { users, hidden, targets }) {
+  const ids = (n.actors?.length ? n.actors : [n.actor]).filter(Boolean).map(String);
+  const visibleIds = ids.filter((id) => !hidden.has(id));
+  const actors = visibleIds.map((id) => users.get(id)).filter(Boolean).map(formatActor);
+
+  return {
+    id: n._id,
+    verb: n.verb,
+    actor: actors[0] || null,
+    actors: actors.slice(0, PREVIEW_ACTORS),
+    actorCount: Math.max(actors.length, (n.actorCount || 1) - (ids.length - visibleIds.length)),
+    targetType: n.targetType,
+    targetId: n.targetId,
+    target: formatTarget(n, targets),
+    read: n.read,
+    createdAt: n.createdAt,
+    activityAt: n.activityAt || n.createdAt,
+  };
+}
+
+// Formats lean notifications with their actors and targets in two queries
+async function formatMany(items, hiddenIds) {
+  const actorIds = new Set();
+  items.forEach((n) =>
+    (n.actors?.length ? n.actors : [n.actor])
+      .filter(Boolean)
+      .forEach((id) => actorIds.add(String(id)))
+  );
+
+  const [users, targets] = await Promise.all([
+    User.find({ _id: { $in: [...actorIds] } }).select(ACTOR_FIELDS).lean(),
+    loadTargets(items),
+  ]);
+
+  const ctx = {
+    users: new Map(users.map((u) => [String(u._id), u])),
+    hidden: new Set(hiddenIds.map(String)),
+    targets,
+  };
+  return items.map((n) => formatNotification(n, ctx));
+}
+
+const VERBS = Notification.schema.path("verb").enumValues;
+
+// "like,comment" -> ["like", "comment"]; null when any verb is unknown
+function parseVerbs(value) {
+  if (!value) return [];
+  const verbs = String(value).split(",").map((v) => v.trim()).filter(Boolean);
+  return verbs.every((v) => VERBS.includes(v)) ? verbs : null;
+}
+
+// Cursors are "<activityAt ISO>_<id>" of the last notification on a page
+const encodeCursor = (n) => `${new Date(n.activityAt || n.createdAt).toISOString()}_${n._id}`;
+
+function parseCursor(cursor) {
+  const [at, id] = String(cursor).split("_");
+  const date = new Date(at);
+  if (isNaN(date) || !mongoose.Types.ObjectId.isValid(id)) return null;
+  return { at: date, id: new mongoose.Types.ObjectId(id) };
+}
+
+function pageSize(limit) {
+  return Math.min(Math.max(parseInt(limit) || NOTIFICATIONS_PAGE_SIZE, 1), NOTIFICATIONS_PAGE_MAX);
+}
+
+/**
+ * Newest first. `cursor` comes from a previous page's nextCursor (parsed with
+ * parseCursor); `verbs` narrows the list. nextCursor is null on the last page.
+ */
+async function listNotifications(userId, { cursor = null, limit, verbs = [] } = {}) {
+  const hiddenIds = await relations.getHiddenIds(userId);
+  const size = pageSize(limit);
+
+  const query = visibleFilter(userId, hiddenIds);
+  if (verbs.length) query.verb = { $in: verbs };
+  if (cursor) {
+    query.$and = [
+      {
+        $or: [
+          { activityAt: { $lt: cursor.at } },
+          { activityAt: cursor.at, _id: { $lt: cursor.id } },
+        ],
+      },
+    ];
+  }
+
+  const items = await Notification.find(query)
+    .sort({ activityAt: -1, _id: -1 })
+    .limit(size + 1)
+    .slice("actors", PREVIEW_ACTORS_LOADED)
+    .lean();
+
+  const page = items.slice(0, size);
+  return {
+    notifications: await formatMany(page, hiddenIds),
+    nextCursor: items.length > size ? encodeCursor(page[page.length - 1]) : null,
+  };
+}
+
+// Everyone in a grouped notification, newest first; null if not the user's
+async function listActors(userId, notificationId) {
+  const n = await Notification.findOne({ _id: notificationId, user: userId })
+    .select("actor actors")
+    .lean();
+  if (!n) return null;
+
+  const hidden = new Set((await relations.getHiddenIds(userId)).map(String));
+  const ids = (n.actors?.length ? n.actors : [n.actor])
+    .filter(Boolean)
+    .map(String)
+    .filter((id) => !hidden.has(id));
+  const users = await User.find({ _id: { $in: ids } }).select(ACTOR_FIELDS).lean();
+  const byId = new Map(users.map((u) => [String(u._id), u]));
+  return ids.map((id) => byId.get(id)).filter(Boolean).map(formatActor);
+}
+
+async function invalidateUnread(userId) {
+  if (!redisHelpers?.client()) return;
+  try {
+    await redisHelpers.client().del(unreadKey(userId));
+  } catch (e) {
+    console.warn("⚠️ Cache error:", e.message);
+  }
+}
+
+async function unreadCount(userId) {
+  try {
+    const cached = await redisHelpers.getJSON(unreadKey(userId));
+    if (typeof cached === "number") return cached;
+  } catch (e) {
+    console.warn("⚠️ Cache error:", e.message);
+  }
+
+  const hiddenIds = await relations.getHiddenIds(userId);
+  const count = await Notification.countDocuments({
+    ...visibleFilter(userId, hiddenIds),
+    read: false,
+  });
+
+  try {
+    await redisHelpers.setJSON(unreadKey(userId), count, { ex: UNREAD_CACHE_TTL });
+  } catch (e) {
+    console.warn("⚠️ Cache error:", e.message);
+  }
+  return count;
+}
+
+// Other tabs/devices keep their badge in sync
+async function emitUnreadCount(io, userId) {
+  if (!io) return;
+  io.to(String(userId)).emit("notification_count", {
+    unreadCount: await unreadCount(userId),
+  });
+}
+
+function groupMatch({ verb, actor, targetType, targetId }) {
+  if (GROUPED_BY_TARGET.includes(verb) && targetId) return { verb, targetType, targetId };
+  if (GROUPED_BY_VERB.includes(verb)) return { verb };
+  if (GROUPED_BY_ACTOR.includes(verb)) {
+    return { verb, actor: new mongoose.Types.ObjectId(String(actor)) };
+  }
+  return null;
+}
+
+// Adds the actor to the newest open group, moving them to the front if
+// they were already in it. Resolves null when there is no group to join.
+function joinGroup(user, actor, match) {
+  const actorId = new mongoose.Types.ObjectId(String(actor));
+  const current = { $ifNull: ["$actors", []] };
+
+  return Notification.findOneAndUpdate(
+    {
+      user,
+      ...match,
+      read: false,
+      createdAt: { $gte: new Date(Date.now() - GROUP_WINDOW_MS) },
+    },
+    [
+      {
+        $set: {
+          actorCount: {
+            $cond: [
+              { $in: [actorId, current] },
+              "$actorCount",
+              { $add: [{ $ifNull: ["$actorCount", 1] }, 1] },
+            ],
+          },
+          actors: {
+            $slice: [
+              {
+                $concatArrays: [
+                  [actorId],
+                  { $filter: { input: current, cond: { $ne: ["$$this", actorId] } } },
+                ],
+              },
+              MAX_GROUP_ACTORS,
+            ],
+          },
+          actor: actorId,
+          activityAt: "$$NOW",
+        },
+      },
+    ],
+    { new: true, sort: { activityAt: -1 }, updatePipeline: true }
+  ).lean();
+}
+
+/**
+ * Create (or group) a notification for `user` and push it to their sockets.
+ * Returns null (and stores nothing) when the actor is the user.
+ */
+async function notify(io, { user, actor, verb, targetType, targetId }) {
+  if (actor && String(actor) === String(user)) return null;
+
+  const hiddenIds = actor ? await relations.getHiddenIds(user) : [];
+  const hidden = hiddenIds.some((id) => String(id) === String(actor));
+
+  // Hidden actors never join a visible group
+  const match = actor && !hidden ? groupMatch({ verb, actor, targetType, targetId }) : null;
+  let notification = match ? await joinGroup(user, actor, match) : null;
+  const grouped = !!notification;
+
+  if (!notification) {
+    const created = await Notification.create({
+      user,
+      actor,
+      actors: actor ? [actor] : [],
+      verb,
+      targetType,
+      targetId,
+      read: false,
+    });
+    notification = created.toObject();
+    await invalidateUnread(user);
+  }
+
+  if (!io || hidden) return notification;
+
+  const [formatted] = await formatMany([notification], hiddenIds);
+  io.to(String(user)).emit("notification_created", {
+    notification: formatted,
+    grouped,
+    unreadCount: await unreadCount(user),
+  });
+  return notification;
+}
+
+// Returns the notification, or null if it isn't the user's
+async function markRead(io, userId, notificationId) {
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, user: userId },
+    { read: true },
+    { new: true }
+  );
+  if (!notification) return null;
+
+  await invalidateUnread(userId);
+  await emitUnreadCount(io, userId);
+  return notification;
+}
+
+// Everything unread (optionally only up to `before`, or only some verbs)
+async function markAllRead(io, userId, { before = null, verbs = [] } = {}) {
+  const query = { user: userId, read: false };
+  if (before) query.activityAt = { $lte: before };
+  if (verbs.length) query.verb = { $in: verbs };
+
+  const { modifiedCount } = await Notification.updateMany(query, { read: true });
+  if (modifiedCount > 0) {
+    await invalidateUnread(userId);
+    await emitUnreadCount(io, userId);
+  }
+  return modifiedCount;
+}
+
+// Dismiss one notification; false if it isn't the user's
+async function deleteNotification(io, userId, notificationId) {
+  const deleted = await Notification.findOneAndDelete({ _id: notificationId, user: userId });
+  if (!deleted) return false;
+
+  if (!deleted.read) {
+    await invalidateUnread(userId);
+    await emitUnreadCount(io, userId);
+  }
+  return true;
+}
+
+// Retention: read notifications untouched for RETENTION_DAYS are removed.
+// Unread ones are kept however old they are.
+async function pruneRead(days = RETENTION_DAYS) {
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const { deletedCount } = await Notification.deleteMany({
+    read: true,
+    activityAt: { $lt: cutoff },
+  });
+  return deletedCount;
+}
+
+module.exports = {
+  NOTIFICATIONS_PAGE_SIZE,
+  NOTIFICATIONS_PAGE_MAX,
+  VERBS,
+  parseVerbs,
+  parseCursor,
+  formatMany,
+  listNotifications,
+  listActors,
+  invalidateUnread,
+  unreadCount,
+  emitUnreadCount,
+  notify,
+  markRead,
+  markAllRead,
+  deleteNotification,
+  pruneRead,
+};
@@ -0,0 +1,259 @@
+// services/presence.js
+// Who is online, tracked per user as a set of socket ids so every tab and
+// device counts. A user goes online with their first socket and offline
+// with their last; "last seen" is written to the User on the way out.
+// Presence is only sent to sockets that subscribed to a user and passed
+// that user's presenceVisibility check (see canSeePresence).
+//
+// The socket sets live in Redis so every server instance sees them:
+//   presence:sockets:<userId>  zset socketId -> expiry (ms)
+//   presence:online            zset userId -> latest expiry (ms)
+// Each instance refreshes its own sockets every PRESENCE_HEARTBEAT_MS. If an
+// instance dies its sockets expire after PRESENCE_TTL_MS and the sweep on a
+// surviving instance announces those users offline. Without Redis, presence
+// falls back to this process's memory.
+const { redisHelpers } = require("../db");
+const Follow = require("../models/Follow");
+const User = require("../models/User");
+const relations = require("./relations");
+
+const PRESENCE_VISIBILITY = ["everyone", "followers", "nobody"];
+const MAX_SUBSCRIPTIONS = 100;
+const PRESENCE_TTL_MS = (parseInt(process.env.PRESENCE_TTL_SECONDS) || 90) * 1000;
+const PRESENCE_HEARTBEAT_MS = Math.floor(PRESENCE_TTL_MS / 3);
+
+const ONLINE_KEY = "presence:online";
+const socketsKey = (userId) => `presence:sockets:${userId}`;
+
+// userId -> Set<socketId>, only used when Redis is down
+const localConnections = new Map();
+
+function redis() {
+  const client = redisHelpers.client();
+  return client?.isReady ? client : null;
+}
+
+// Subscribers to a user's presence join this room
+function presenceRoom(userId) {
+  return `presence:${userId}`;
+}
+
+// Resolves true when this is the user's first open socket on any instance
+async function addConnection(userId, socketId) {
+  const key = String(userId);
+  const client = redis();
+
+  if (!client) {
+    let sockets = localConnections.get(key);
+    if (!sockets) {
+      sockets = new Set();
+      localConnections.set(key, sockets);
+    }
+    sockets.add(socketId);
+    return sockets.size === 1;
+  }
+
+  const now = Date.now();
+  const expiresAt = now + PRESENCE_TTL_MS;
+  const [, , count] = await client
+    .multi()
+    .zRemRangeByScore(socketsKey(key), "-inf", now)
+    .zAdd(socketsKey(key), { score: expiresAt, value: socketId })
+    .zCard(socketsKey(key))
+    .pExpire(socketsKey(key), PRESENCE_TTL_MS)
+    .zAdd(ONLINE_KEY, { score: expiresAt, value: key })
+    .exec();
+  return Number(count) === 1;
+}
+
+// Resolves true when the user's last open socket just closed
+async function removeConnection(userId, socketId) {
+  const key = String(userId);
+  const client = redis();
+
+  if (!client) {
+    const sockets = localConnections.get(key);
+    if (!sockets || !sockets.delete(socketId)) return false;
+    if (sockets.size > 0) return false;
+    localConnections.delete(key);
+    return true;
+  }
+
+  const [, , count] = await client
+    .multi()
+    .zRem(socketsKey(key), socketId)
+    .zRemRangeByScore(socketsKey(key), "-inf", Date.now())
+    .zCard(socketsKey(key))
+    .exec();
+  if (Number(count) > 0) return false;
+
+  // Only one instance gets to announce the user offline
+  return (await client.zRem(ONLINE_KEY, key)) === 1;
+}
+
+// Subset of userIds with at least one live socket
+async function onlineAmong(userIds) {
+  const ids = (userIds || []).map(String);
+  if (!ids.length) return [];
+
+  const client = redis();
+  if (!client) return ids.filter((id) => localConnections.has(id));
+
+  const now = Date.now();
+  const multi = client.multi();
+  ids.forEach((id) => multi.zCount(socketsKey(id), now, "+inf"));
+  const counts = await multi.exec();
+  return ids.filter((id, i) => Number(counts[i]) > 0);
+}
+
+async function isOnline(userId) {
+  return (await onlineAmong([userId])).length > 0;
+}
+
+// user needs _id and presenceVisibility
+async function canSeePresence(viewerId, user) {
+  if (!user) return false;
+  if (String(user._id) === String(viewerId)) return true;
+
+  const visibility = user.presenceVisibility || "everyone";
+  if (visibility === "nobody") return false;
+  if (await relations.isBlocked(viewerId, user._id)) return false;
+  if (visibility === "everyone") return true;
+
+  return !!(await Follow.exists({
+    follower: viewerId,
+    followee: user._id,
+    status: { $ne: "pending" },
+  }));
+}
+
+function presenceState(user, visible, online) {
+  if (!visible) {
+    return { userId: String(user._id), hidden: true, online: false, lastSeenAt: null };
+  }
+  return {
+    userId: String(user._id),
+    hidden: false,
+    online,
+    lastSeenAt: online ? null : user.lastSeenAt || null,
+  };
+}
+
+// Presence of several users as seen by viewerId
+async function getPresence(viewerId, userIds) {
+  const ids = [...new Set((userIds || []).map(String))].slice(0, MAX_SUBSCRIPTIONS);
+  const users = await User.find({ _id: { $in: ids } })
+    .select("_id presenceVisibility lastSeenAt")
+    .lean();
+  const online = new Set(await onlineAmong(users.map((u) => u._id)));
+
+  return Promise.all(
+    users.map(async (user) =>
+      presenceState(
+        user,
+        await canSeePresence(viewerId, user),
+        online.has(String(user._id))
+      )
+    )
+  );
+}
+
+// Joins the socket to the presence rooms it may see and returns their state
+async function subscribe(socket, userIds) {
+  const states = await getPresence(socket.userId, userIds);
+  states
+    .filter((s) => !s.hidden)
+    .forEach((s) => socket.join(presenceRoom(s.userId)));
+  return states;
+}
+
+function unsubscribe(socket, userIds) {
+  (userIds || []).forEach((id) => socket.leave(presenceRoom(id)));
+}
+
+// Drop a viewer's subscription, e.g. after an unfollow or a block
+function unwatch(io, viewerId, userId) {
+  io.in(String(viewerId)).socketsLeave(presenceRoom(userId));
+}
+
+// Visibility changed: everyone re-subscribes and is checked again
+function resetWatchers(io, userId) {
+  const room = presenceRoom(userId);
+  io.to(room).emit("presence_reset", { userId: String(userId) });
+  io.in(room).socketsLeave(room);
+}
+
+function userOnline(io, socket) {
+  io.to(presenceRoom(socket.userId)).emit("user_online", {
+    userId: socket.userId,
+    username: socket.username,
+  });
+}
+
+async function userOffline(io, userId, lastSeenAt = new Date()) {
+  await User.updateOne({ _id: userId }, { lastSeenAt });
+  io.to(presenceRoom(userId)).emit("user_offline", {
+    userId: String(userId),
+    lastSeenAt,
+  });
+}
+
+// Users whose sockets all expired without a disconnect (crashed instance)
+async function sweepExpired(io) {
+  const client = redis();
+  if (!client) return;
+
+  const stale = await client.zRangeByScore(ONLINE_KEY, "-inf", Date.now());
+  for (const userId of stale) {
+    if ((await client.zRem(ONLINE_KEY, userId)) !== 1) continue;
+    await userOffline(io, userId);
+  }
+}
+
+// Refresh this instance's sockets, then sweep
+async function heartbeat(io) {
+  const client = redis();
+  if (!client) return;
+
+  const expiresAt = Date.now() + PRESENCE_TTL_MS;
+  const users = new Set();
+  const multi = client.multi();
+  for (const socket of io.of("/").sockets.values()) {
+    multi.zAdd(socketsKey(socket.userId), { score: expiresAt, value: socket.id });
+    users.add(String(socket.userId));
+  }
+  users.forEach((userId) => {
+    multi.pExpire(socketsKey(userId), PRESENCE_TTL_MS);
+    multi.zAdd(ONLINE_KEY, { score: expiresAt, value: userId });
+  });
+  if (users.size) await multi.exec();
+
+  await sweepExpired(io);
+}
+
+function startHeartbeat(io) {
+  const timer = setInterval(() => {
+    heartbeat(io).catch((err) => console.warn("⚠️ Presence heartbeat error:", err.message));
+  }, PRESENCE_HEARTBEAT_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  PRESENCE_VISIBILITY,
+  MAX_SUBSCRIPTIONS,
+  presenceRoom,
+  addConnection,
+  removeConnection,
+  onlineAmong,
+  isOnline,
+  canSeePresence,
+  getPresence,
+  subscribe,
+  unsubscribe,
+  unwatch,
+  resetWatchers,
+  userOnline,
+  userOffline,
+  startHeartbeat,
+};
@@ -0,0 +1,46 @@
+// services/relations.js
+// Block and mute lookups shared by the HTTP routes, sockets and feeds.
+// Blocks are symmetric for visibility: neither side sees the other.
+// Mutes are one-way and silent: only the muter's feed/notifications change.
+const Block = require("../models/Block");
+const Mute = require("../models/Mute");
+
+// True if either user has blocked the other
+async function isBlocked(userA, userB) {
+  if (!userA || !userB) return false;
+  return !!(await Block.exists({
+    $or: [
+      { blocker: userA, blocked: userB },
+      { blocker: userB, blocked: userA },
+    ],
+  }));
+}
+
+// Users I blocked plus users who blocked me
+async function getBlockedIds(userId) {
+  const [blocked, blockedBy] = await Promise.all([
+    Block.find({ blocker: userId }).distinct("blocked"),
+    Block.find({ blocked: userId }).distinct("blocker"),
+  ]);
+  return [...blocked, ...blockedBy];
+}
+
+async function getMutedIds(userId) {
+  return Mute.find({ muter: userId }).distinct("muted");
+}
+
+// Authors whose posts and notifications should never reach `userId`
+async function getHiddenIds(userId) {
+  const [blocked, muted] = await Promise.all([
+    getBlockedIds(userId),
+    getMutedIds(userId),
+  ]);
+  return [...blocked, ...muted];
+}
+
+module.exports = {
+  isBlocked,
+  getBlockedIds,
+  getMutedIds,
+  getHiddenIds,
+};
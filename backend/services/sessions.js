@@ -0,0 +1,285 @@
+// services/sessions.js
+// Server-side login sessions. Logging in creates a Session and hands out:
+//   - an access token: a JWT of ACCESS_TOKEN_TTL_MINUTES carrying the
+//     session id as `sid`
+//   - a refresh token: "<session id>.<secret>", valid REFRESH_TOKEN_TTL_DAYS;
+//     only a sha256 of the secret is stored
+// Each refresh rotates the secret. The secret just rotated away still works
+// for REFRESH_REUSE_GRACE_MS, since a client retrying after a timeout or
+// a page unloading mid-refresh legitimately sends it again. After that,
+// presenting it means the token was copied, so the session is revoked.
+//
+// The HTTP auth middleware and the Socket.IO handshake both call isActive()
+// with the token's sid, so logout takes effect on the next request instead
+// of when the JWT runs out. Active sessions are cached in Redis for
+// SESSION_CACHE_TTL seconds and the cache entry is dropped on revocation.
+// lastUsedAt is bumped on refresh and on cache misses, so it is accurate to
+// about a minute. listSessions() describes each device from its user agent
+// only; there is no IP geolocation.
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const { redisHelpers } = require("../db");
+const Session = require("../models/Session");
+
+const ACCESS_TOKEN_TTL_SECONDS =
+  (parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15) * 60;
+const REFRESH_TOKEN_TTL_MS =
+  (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const SESSION_CACHE_TTL = 60;
+const LAST_USED_RESOLUTION_MS = SESSION_CACHE_TTL * 1000;
+const REFRESH_REUSE_GRACE_MS = 10 * 1000;
+
+const BROWSERS = [
+  [/Edg(e|A|iOS)?\//, "Edge"],
+  [/OPR\/|Opera/, "Opera"],
+  [/SamsungBrowser\//, "Samsung Internet"],
+  [/Firefox\/|FxiOS\//, "Firefox"],
+  [/Chrome\/|CriOS\//, "Chrome"],
+  [/Safari\//, "Safari"],
+];
+const PLATFORMS = [
+  [/iPhone|iPad|iPod/, "iOS"],
+  [/Android/, "Android"],
+  [/Windows/, "Windows"],
+  [/Mac OS X|Macintosh/, "macOS"],
+  [/CrOS/, "ChromeOS"],
+  [/Linux/, "Linux"],
+];
+
+const cacheKey = (sessionId) => `session:active:${sessionId}`;
+
+function sessionError(statusCode, message, code) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+}
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+// req.ip honours "trust proxy"; the leftmost X-Forwarded-For is client-supplied
+function clientInfo(req) {
+  if (!req) return {};
+  return {
+    userAgent: String(req.headers?.["user-agent"] || "").slice(0, 300),
+    ip: req.ip || "",
+  };
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { sub: String(user._id), username: user.username, sid: String(sessionId) },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+}
+
+function tokenPair(user, session, secret) {
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  };
+}
+
+// "<sessionId>.<secret>" -> { sessionId, secret } or null
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== "string") return null;
+  const [sessionId, secret] = refreshToken.split(".");
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return { sessionId, secret };
+}
+
+async function forget(sessionIds) {
+  const client = redisHelpers.client();
+  if (!client || !sessionIds.length) return;
+  try {
+    await client.del(sessionIds.map((id) => cacheKey(id)));
+  } catch (e) {
+    console.warn("⚠️ Cache error:", e.message);
+  }
+}
+
+// "Firefox on Windows", "Safari on iOS"... from the user agent alone
+function describeDevice(userAgent = "") {
+  const match = (table) => table.find(([re]) => re.test(userAgent))?.[1];
+  const browser = match(BROWSERS);
+  const platform = match(PLATFORMS);
+
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || "Unknown device";
+}
+
+// user needs _id and username; req is used for the device description
+async function createSession(user, req) {
+  const secret = newSecret();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashSecret(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    ...clientInfo(req),
+  });
+  return { session, ...tokenPair(user, session, secret) };
+}
+
+// Swap a refresh token for a new pair. Throws 401 when the token is unknown,
+// expired, revoked or replayed after the grace period.
+async function refreshSession(refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) throw sessionError(401, "Invalid refresh token", "INVALID_REFRESH_TOKEN");
+
+  const now = new Date();
+  const presented = hashSecret(parsed.secret);
+  const secret = newSecret();
+
+  const live = { _id: parsed.sessionId, revokedAt: null, expiresAt: { $gt: now } };
+  const update = { refreshTokenHash: hashSecret(secret), lastUsedAt: now, ...clientInfo(req) };
+
+  // Conditional on the current hash so two refreshes can't both win
+  let session = await Session.findOneAndUpdate(
+    { ...live, refreshTokenHash: presented },
+    { ...update, previousTokenHash: presented, rotatedAt: now },
+    { new: true }
+  ).populate("user", "username isDeactivated isBanned");
+
+  // The previous secret, resent within the grace period: rotate again, but
+  // keep previousTokenHash/rotatedAt so the grace period doesn't slide
+  if (!session) {
+    session = await Session.findOneAndUpdate(
+      {
+        ...live,
+        previousTokenHash: presented,
+        rotatedAt: { $gt: new Date(now.getTime() - REFRESH_REUSE_GRACE_MS) },
+      },
+      update,
+      { new: true }
+    ).populate("user", "username isDeactivated isBanned");
+  }
+
+  if (!session) {
+    const replayed = await Session.exists({
+      _id: parsed.sessionId,
+      previousTokenHash: presented,
+      revokedAt: null,
+    });
+    if (replayed) {
+      await revokeSession(parsed.sessionId, null, "refresh_token_reuse");
+      console.warn("⚠️ Refresh token reuse, session revoked:", parsed.sessionId);
+    }
+    throw sessionError(401, "Session expired or revoked", "SESSION_REVOKED");
+  }
+
+  const user = session.user;
+  if (!user || user.isDeactivated || user.isBanned) {
+    await revokeSession(session._id, null, "account_unavailable");
+    throw sessionError(401, "Session expired or revoked", "SESSION_REVOKED");
+  }
+
+  return { session, ...tokenPair(user, session, secret) };
+}
+
+// Pass userId to make sure the session belongs to that user.
+// Resolves true if a live session was revoked.
+async function revokeSession(sessionId, userId, reason = "logout") {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+  const filter = { _id: sessionId, revokedAt: null };
+  if (userId) filter.user = userId;
+
+  const result = await Session.updateOne(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+  await forget([String(sessionId)]);
+  return result.modifiedCount > 0;
+}
+
+// "Log out everywhere", optionally keeping the current session.
+// Resolves the ids of the revoked sessions.
+async function revokeAllSessions(userId, { except, reason = "logout_all" } = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  const ids = (await Session.find(filter).select("_id").lean()).map((s) => String(s._id));
+  if (!ids.length) return [];
+
+  await Session.updateMany(
+    { _id: { $in: ids }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  await forget(ids);
+  return ids;
+}
+
+// Is the access token's session still live? Tokens without a sid predate
+// sessions and are refused.
+async function isActive(sessionId, userId) {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) return false;
+
+  try {
+    if (await redisHelpers.getJSON(cacheKey(sessionId))) return true;
+  } catch (e) {
+    console.warn("⚠️ Cache error:", e.message);
+  }
+
+  const active = await Session.exists({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!active) return false;
+
+  try {
+    await redisHelpers.setJSON(cacheKey(sessionId), 1, { ex: SESSION_CACHE_TTL });
+  } catch (e) {
+    console.warn("⚠️ Cache error:", e.message);
+  }
+
+  const now = Date.now();
+  Session.updateOne(
+    { _id: sessionId, lastUsedAt: { $lt: new Date(now - LAST_USED_RESOLUTION_MS) } },
+    { lastUsedAt: new Date(now) }
+  ).catch((e) => console.warn("⚠️ Session touch error:", e.message));
+  return true;
+}
+
+// A user's live sessions, most recently used first
+async function listSessions(userId, currentSessionId) {
+  const list = await Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ lastUsedAt: -1 })
+    .select("userAgent ip createdAt lastUsedAt expiresAt")
+    .lean();
+
+  return list.map((session) => ({
+    id: String(session._id),
+    device: describeDevice(session.userAgent),
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: String(session._id) === String(currentSessionId),
+  }));
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  isActive,
+  listSessions,
+  describeDevice,
+};
@@ -0,0 +1,94 @@
+// services/storage.js
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { pipeline } = require("stream/promises");
+
+// ---- local disk driver: files live under backend/uploads, served at /uploads ----
+class LocalStorageDriver {
+  constructor(options = {}) {
+    this.root = path.resolve(options.root || path.join(__dirname, "..", "uploads"));
+    this.publicPath = options.publicPath || "/uploads";
+    fs.mkdirSync(this.root, { recursive: true });
+  }
+
+  // Keys are generated by us, but never let one escape the uploads root
+  resolve(key) {
+    const full = path.resolve(this.root, key);
+    if (!full.startsWith(this.root + path.sep)) {
+      throw new Error("Invalid storage key");
+    }
+    return full;
+  }
+
+  async saveStream(key, stream) {
+    const full = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(full), { recursive: true });
+    await pipeline(stream, fs.createWriteStream(full));
+    const { size } = await fs.promises.stat(full);
+    return { key, sizeBytes: size };
+  }
+
+  async saveBuffer(key, buffer) {
+    const full = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(full), { recursive: true });
+    await fs.promises.writeFile(full, buffer);
+    return { key, sizeBytes: buffer.length };
+  }
+
+  async read(key) {
+    return fs.promises.readFile(this.resolve(key));
+  }
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  }
+
+  url(key) {
+    return `${this.publicPath}/${key.split("/").map(encodeURIComponent).join("/")}`;
+  }
+}
+
+const drivers = {
+  local: LocalStorageDriver,
+};
+
+function createStorage(name = process.env.STORAGE_DRIVER || "local", options = {}) {
+  const Driver = drivers[name];
+  if (!Driver) {
+    throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+  }
+  return new Driver(options);
+}
+
+// The extension decides the Content-Type /uploads is served with, so it comes
+// from the (sniffed) MIME type and never from the client's filename
+const EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "video/mp4": ".mp4",
+  "video/webm": ".webm",
+  "video/quicktime": ".mov",
+  "application/pdf": ".pdf",
+  "application/zip": ".zip",
+  "text/plain": ".txt",
+};
+
+// <ownerId>/<timestamp>-<random><ext> - unguessable and grouped per owner
+function generateKey(ownerId, mimeType) {
+  const ext = EXTENSIONS[mimeType] || ".bin";
+  return `${ownerId}/${Date.now()}-${crypto.randomBytes(8).toString("hex")}${ext}`;
+}
+
+module.exports = createStorage();
+module.exports.createStorage = createStorage;
+module.exports.generateKey = generateKey;
+module.exports.EXTENSIONS = EXTENSIONS;
+module.exports.drivers = drivers;
+module.exports.LocalStorageDriver = LocalStorageDriver;
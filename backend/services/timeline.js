@@ -0,0 +1,254 @@
+// services/timeline.js
+// Home timelines as Redis sorted sets: timeline:<userId> -> postId scored by
+// createdAt (ms). Posts are pushed into followers' timelines when created
+// (fan-out on write); authors above FANOUT_FOLLOWER_THRESHOLD are skipped and
+// their posts are merged in when the timeline is read (fan-out on read).
+const Follow = require("../models/Follow");
+const Post = require("../models/Post");
+const User = require("../models/User");
+const { redisHelpers } = require("../db");
+const { pastCursor } = require("../utils/cursors");
+
+const TIMELINE_MAX_LENGTH = parseInt(process.env.TIMELINE_MAX_LENGTH) || 800;
+const TIMELINE_TTL_SECONDS = 7 * 24 * 60 * 60; // idle timelines expire, rebuilt on next read
+const FANOUT_FOLLOWER_THRESHOLD =
+  parseInt(process.env.FANOUT_FOLLOWER_THRESHOLD) || 10000;
+const FANOUT_BATCH_SIZE = 500;
+const HEAVY_AUTHORS_TTL_MS = 5 * 60 * 1000;
+
+const timelineKey = (userId) => `timeline:${userId}`;
+
+// Accepted follow edges (older documents may predate the status field)
+const ACCEPTED = { $ne: "pending" };
+
+function client() {
+  const c = redisHelpers.client();
+  return c && c.isReady ? c : null;
+}
+
+// ---- heavy authors (fan-out on read) ----
+
+let heavyAuthors = { ids: [], expiresAt: 0 };
+
+async function getHeavyAuthorIds() {
+  if (Date.now() < heavyAuthors.expiresAt) return heavyAuthors.ids;
+
+  const ids = await User.find({
+    followersCount: { $gte: FANOUT_FOLLOWER_THRESHOLD },
+  }).distinct("_id");
+
+  heavyAuthors = {
+    ids: ids.map(String),
+    expiresAt: Date.now() + HEAVY_AUTHORS_TTL_MS,
+  };
+  return heavyAuthors.ids;
+}
+
+async function isHeavyAuthor(userId) {
+  return (await getHeavyAuthorIds()).includes(String(userId));
+}
+
+// ---- writes ----
+
+// Add entries to every timeline in `userIds` that is already built. Cold
+// timelines are skipped: they get rebuilt from Mongo on their next read, and
+// seeding them with a single post would make them look complete.
+async function pushToTimelines(c, userIds, entries) {
+  for (let i = 0; i < userIds.length; i += FANOUT_BATCH_SIZE) {
+    const batch = userIds.slice(i, i + FANOUT_BATCH_SIZE);
+
+    const existsMulti = c.multi();
+    batch.forEach((id) => existsMulti.exists(timelineKey(id)));
+    const exists = await existsMulti.exec();
+
+    const warm = batch.filter((id, idx) => exists[idx]);
+    if (!warm.length) continue;
+
+    const writeMulti = c.multi();
+    warm.forEach((id) => {
+      const key = timelineKey(id);
+      writeMulti.zAdd(key, entries);
+      writeMulti.zRemRangeByRank(key, 0, -(TIMELINE_MAX_LENGTH + 1));
+    });
+    await writeMulti.exec();
+  }
+}
+
+async function removeFromTimelines(c, userIds, postIds) {
+  if (!postIds.length) return;
+  for (let i = 0; i < userIds.length; i += FANOUT_BATCH_SIZE) {
+    const multi = c.multi();
+    userIds
+      .slice(i, i + FANOUT_BATCH_SIZE)
+      .forEach((id) => multi.zRem(timelineKey(id), postIds));
+    await multi.exec();
+  }
+}
+
+async function getFollowerIds(userId) {
+  const ids = await Follow.find({ followee: userId, status: ACCEPTED }).distinct(
+    "follower"
+  );
+  return ids.map(String);
+}
+
+const entryFor = (post) => ({
+  score: new Date(post.createdAt).getTime(),
+  value: String(post._id),
+});
+
+// New post: the author's own timeline always, followers' unless heavy
+async function fanOutPost(post) {
+  const c = client();
+  if (!c) return;
+
+  const authorId = String(post.userId);
+  const targets = [authorId];
+  if (!(await isHeavyAuthor(authorId))) {
+    targets.push(...(await getFollowerIds(authorId)));
+  }
+
+  await pushToTimelines(c, targets, [entryFor(post)]);
+}
+
+async function removePost(post) {
+  const c = client();
+  if (!c) return;
+
+  const authorId = String(post.userId);
+  const targets = [authorId, ...(await getFollowerIds(authorId))];
+  await removeFromTimelines(c, targets, [String(post._id)]);
+}
+
+// `before` is a parsed feed cursor ({ at, id }, see utils/cursors)
+async function recentPostsBy(authorIds, { before = null, limit = TIMELINE_MAX_LENGTH } = {}) {
+  const query = { userId: { $in: authorIds }, ...(before && pastCursor(before)) };
+
+  return Post.find(query)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit)
+    .select("_id createdAt")
+    .lean();
+}
+
+// Follow accepted: backfill the followee's recent posts
+async function addAuthor(userId, authorId) {
+  const c = client();
+  if (!c || (await isHeavyAuthor(authorId))) return;
+
+  const posts = await recentPostsBy([authorId]);
+  if (posts.length) await pushToTimelines(c, [String(userId)], posts.map(entryFor));
+}
+
+// Unfollow / block: drop the author's posts from the timeline
+async function removeAuthor(userId, authorId) {
+  const c = client();
+  if (!c) return;
+
+  const posts = await recentPostsBy([authorId]);
+  await removeFromTimelines(
+    c,
+    [String(userId)],
+    posts.map((p) => String(p._id))
+  );
+}
+
+// ---- reads ----
+
+async function rebuild(c, userId) {
+  const heavyIds = await getHeavyAuthorIds();
+  const followeeIds = await Follow.find({ follower: userId, status: ACCEPTED }).distinct(
+    "followee"
+  );
+  const authorIds = [
+    userId,
+    ...followeeIds.filter((id) => !heavyIds.includes(String(id))),
+  ];
+
+  const posts = await recentPostsBy(authorIds);
+  if (!posts.length) return;
+
+  const key = timelineKey(userId);
+  await c
+    .multi()
+    .del(key)
+    .zAdd(key, posts.map(entryFor))
+    .expire(key, TIMELINE_TTL_SECONDS)
+    .exec();
+}
+
+// Newest first, then highest post id: Redis orders equal scores by member,
+// and same-length ObjectId hex strings sort like the ids themselves
+const newerFirst = (a, b) =>
+  b.createdAt - a.createdAt || (a.postId < b.postId ? 1 : a.postId > b.postId ? -1 : 0);
+
+/**
+ * One page of a user's home timeline, newest first. `before` is the parsed
+ * feed cursor ({ at, id }); posts sharing its createdAt are told apart by id.
+ * Returns [{ postId, createdAt }] or null when Redis is unavailable, in which
+ * case the caller should fall back to querying Mongo directly.
+ */
+async function read(userId, { before = null, limit = 10 } = {}) {
+  const c = client();
+  if (!c) return null;
+
+  const key = timelineKey(userId);
+  if (!(await c.exists(key))) await rebuild(c, String(userId));
+  await c.expire(key, TIMELINE_TTL_SECONDS);
+
+  // Start at the cursor's score and skip the members there that were
+  // already served (ids at or above the cursor's)
+  let max = "+inf";
+  let offset = 0;
+  if (before) {
+    const at = before.at.getTime();
+    const sameScore = await c.zRangeByScore(key, at, at);
+    max = at;
+    offset = sameScore.filter((postId) => postId >= String(before.id)).length;
+  }
+  const stored = await c.zRangeWithScores(key, max, "-inf", {
+    BY: "SCORE",
+    REV: true,
+    LIMIT: { offset, count: limit },
+  });
+
+  // Paged past the end of a trimmed timeline: older posts only live in Mongo
+  if (stored.length < limit && (await c.zCard(key)) >= TIMELINE_MAX_LENGTH) {
+    return null;
+  }
+
+  const entries = stored.map((e) => ({ postId: e.value, createdAt: new Date(e.score) }));
+
+  // Merge in posts from followed heavy authors, which were never fanned out
+  const heavyIds = await getHeavyAuthorIds();
+  if (heavyIds.length) {
+    const followedHeavy = await Follow.find({
+      follower: userId,
+      followee: { $in: heavyIds },
+      status: ACCEPTED,
+    }).distinct("followee");
+
+    if (followedHeavy.length) {
+      const seen = new Set(entries.map((e) => e.postId));
+      const heavyPosts = await recentPostsBy(followedHeavy, { before, limit });
+      heavyPosts.forEach((p) => {
+        if (!seen.has(String(p._id))) {
+          entries.push({ postId: String(p._id), createdAt: p.createdAt });
+        }
+      });
+      entries.sort(newerFirst);
+    }
+  }
+
+  return entries.slice(0, limit);
+}
+
+module.exports = {
+  fanOutPost,
+  removePost,
+  addAuthor,
+  removeAuthor,
+  read,
+  TIMELINE_MAX_LENGTH,
+  FANOUT_FOLLOWER_THRESHOLD,
+};
@@ -0,0 +1,299 @@
+// services/twoFactor.js
+// Optional TOTP two-factor authentication (RFC 6238: SHA-1, 6 digits, 30s).
+//
+// Enrolment: beginEnrollment() stores a pending secret and returns the
+// otpauth:// URI for the authenticator app. confirmEnrollment() checks a code
+// against it, turns 2FA on and returns RECOVERY_CODE_COUNT one-time recovery
+// codes. Those are shown once; only their sha256 is kept.
+//
+// Login: when 2FA is on, the password step only yields a short-lived
+// challenge token (issueChallenge). The session is created after
+// verifySecondFactor() accepts a code or a recovery code. A TOTP code is
+// accepted once; twoFactorLastStep rejects replays within its window.
+//
+// Secrets are stored AES-256-GCM encrypted with TWO_FACTOR_KEY (falls back
+// to a key derived from JWT_SECRET).
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+
+const ISSUER = "SocialSync";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous and next code too, for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = "5m";
+const SECRET_FIELDS = "+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes";
+
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function twoFactorError(statusCode, message, code) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+}
+
+// ---- TOTP ----
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const char of text.replace(/=+$/, "").toUpperCase()) {
+    const index = BASE32.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+function hotp(key, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+// Time step the code belongs to, or null
+function matchCode(secret, code, now = Date.now()) {
+  const clean = String(code || "").replace(/\s+/g, "");
+  if (!/^\d{6}$/.test(clean)) return null;
+
+  const key = base32Decode(secret);
+  const step = currentStep(now);
+  for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+    const expected = Buffer.from(hotp(key, step + drift));
+    if (crypto.timingSafeEqual(expected, Buffer.from(clean))) return step + drift;
+  }
+  return null;
+}
+
+function otpauthUri(username, secret) {
+  const label = encodeURIComponent(`${ISSUER}:${username}`);
+  return (
+    `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}` +
+    `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`
+  );
+}
+
+// ---- secret storage ----
+
+function encryptionKey() {
+  return crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_KEY || `${process.env.JWT_SECRET}:two-factor`)
+    .digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map((b) => b.toString("base64url")).join(".");
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, data] = stored.split(".").map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+}
+
+// ---- recovery codes ----
+
+function normalizeRecoveryCode(code) {
+  return String(code || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+}
+
+// "3f9a-c21b" style: 8 hex chars
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString("hex");
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+}
+
+// ---- enrolment ----
+
+async function beginEnrollment(userId) {
+  const user = await User.findById(userId).select("username twoFactorEnabled");
+  if (!user) throw twoFactorError(404, "User not found");
+  if (user.twoFactorEnabled) {
+    throw twoFactorError(400, "Two-factor authentication is already on", "TWO_FACTOR_ENABLED");
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await User.updateOne({ _id: userId }, { twoFactorPendingSecret: encryptSecret(secret) });
+  return { secret, otpauthUri: otpauthUri(user.username, secret) };
+}
+
+// Resolves the plain recovery codes (only ever returned here)
+async function confirmEnrollment(userId, code) {
+  const user = await User.findById(userId).select(`twoFactorEnabled ${SECRET_FIELDS}`);
+  if (!user) throw twoFactorError(404, "User not found");
+  if (user.twoFactorEnabled) {
+    throw twoFactorError(400, "Two-factor authentication is already on", "TWO_FACTOR_ENABLED");
+  }
+  if (!user.twoFactorPendingSecret) {
+    throw twoFactorError(400, "Start two-factor setup first", "TWO_FACTOR_NOT_STARTED");
+  }
+
+  const secret = decryptSecret(user.twoFactorPendingSecret);
+  const step = matchCode(secret, code);
+  if (step === null) throw twoFactorError(400, "Invalid code", "INVALID_CODE");
+
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: userId },
+    {
+      twoFactorEnabled: true,
+      twoFactorSecret: user.twoFactorPendingSecret,
+      twoFactorPendingSecret: null,
+      twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode),
+      twoFactorLastStep: step,
+    }
+  );
+  return recoveryCodes;
+}
+
+// ---- login ----
+
+function issueChallenge(user) {
+  return jwt.sign(
+    { sub: String(user._id), purpose: "2fa_login" },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL }
+  );
+}
+
+// userId from a challenge token, or null if it is invalid/expired
+function readChallenge(challengeToken) {
+  try {
+    const payload = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return payload.purpose === "2fa_login" ? payload.sub : null;
+  } catch {
+    return null;
+  }
+}
+
+// Checks a TOTP code or, failing that, burns a recovery code.
+// Resolves { method, recoveryCodesLeft? } or throws 401.
+async function verifySecondFactor(userId, { code, recoveryCode } = {}) {
+  const user = await User.findById(userId).select(`twoFactorEnabled twoFactorLastStep ${SECRET_FIELDS}`);
+  if (!user || !user.twoFactorEnabled || !user.twoFactorSecret) {
+    throw twoFactorError(400, "Two-factor authentication is off", "TWO_FACTOR_DISABLED");
+  }
+
+  if (code) {
+    const step = matchCode(decryptSecret(user.twoFactorSecret), code);
+    // Conditional on the last step so a code can't be used twice
+    const accepted =
+      step !== null &&
+      (
+        await User.updateOne(
+          {
+            _id: userId,
+            $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }],
+          },
+          { twoFactorLastStep: step }
+        )
+      ).modifiedCount === 1;
+    if (accepted) return { method: "totp" };
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: userId, twoFactorRecoveryCodes: hash },
+      { $pull: { twoFactorRecoveryCodes: hash } }
+    );
+    if (result.modifiedCount === 1) {
+      return {
+        method: "recovery_code",
+        recoveryCodesLeft: user.twoFactorRecoveryCodes.length - 1,
+      };
+    }
+  }
+
+  throw twoFactorError(401, "Invalid code", "INVALID_CODE");
+}
+
+// ---- disabling ----
+
+// Needs the password and a current code (or a recovery code). Failures are
+// 403, not 401: the session itself is fine and clients must not log out.
+async function disable(userId, { password, code, recoveryCode } = {}) {
+  const user = await User.findById(userId).select("passwordHash twoFactorEnabled");
+  if (!user) throw twoFactorError(404, "User not found");
+  if (!user.twoFactorEnabled) {
+    throw twoFactorError(400, "Two-factor authentication is off", "TWO_FACTOR_DISABLED");
+  }
+  if (!password || !(await bcrypt.compare(password, user.passwordHash))) {
+    throw twoFactorError(403, "Incorrect password", "INVALID_PASSWORD");
+  }
+
+  try {
+    await verifySecondFactor(userId, { code, recoveryCode });
+  } catch (err) {
+    if (err.statusCode === 401) throw twoFactorError(403, err.message, err.code);
+    throw err;
+  }
+  await User.updateOne(
+    { _id: userId },
+    {
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorPendingSecret: null,
+      twoFactorRecoveryCodes: [],
+      twoFactorLastStep: null,
+    }
+  );
+}
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  beginEnrollment,
+  confirmEnrollment,
+  issueChallenge,
+  readChallenge,
+  verifySecondFactor,
+  disable,
+  // exposed for checking against other authenticator implementations
+  matchCode,
+  base32Encode,
+  base32Decode,
+};
@@ -0,0 +1,28 @@
+// utils/cursors.js
+// Keyset cursors are "<createdAt ISO>_<id>" of the last item on a page. The
+// _id breaks ties between items sharing a createdAt (same millisecond, or
+// backfilled by a migration), as in services/notifications.
+const mongoose = require("mongoose");
+
+const encodeCursor = (doc) => `${new Date(doc.createdAt).toISOString()}_${doc._id}`;
+
+// { at: Date, id: ObjectId }, or null when the cursor doesn't parse
+function parseCursor(cursor) {
+  const [at, id] = String(cursor).split("_");
+  const date = new Date(at);
+  if (isNaN(date) || !mongoose.Types.ObjectId.isValid(id)) return null;
+  return { at: date, id: new mongoose.Types.ObjectId(id) };
+}
+
+// Filter for items past `cursor` in a { createdAt, _id } sort; -1 = newest first
+function pastCursor(cursor, direction = -1) {
+  const op = direction < 0 ? "$lt" : "$gt";
+  return {
+    $or: [
+      { createdAt: { [op]: cursor.at } },
+      { createdAt: cursor.at, _id: { [op]: cursor.id } },
+    ],
+  };
+}
+
+module.exports = { encodeCursor, parseCursor, pastCursor };
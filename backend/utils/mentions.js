@@ -0,0 +1,21 @@
+// utils/mentions.js
+const User = require("../models/User");
+
+// @username not preceded by a word character, so emails don't count
+const MENTION_REGEX = /(?<![A-Za-z0-9_])@([A-Za-z0-9_]+)/g;
+const MAX_MENTIONS = 20;
+
+function extractMentions(text) {
+  if (!text || typeof text !== "string") return [];
+  const names = Array.from(text.matchAll(MENTION_REGEX)).map((m) => m[1]);
+  return [...new Set(names)].slice(0, MAX_MENTIONS);
+}
+
+// Ids of the users mentioned in `text`; unknown usernames are dropped
+async function resolveMentions(text) {
+  const names = extractMentions(text);
+  if (!names.length) return [];
+  return User.find({ username: { $in: names } }).distinct("_id");
+}
+
+module.exports = { extractMentions, resolveMentions, MENTION_REGEX };
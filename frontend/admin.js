@@ -13,10 +13,9 @@ document.addEventListener('DOMContentLoaded', async () => {
 
 async function checkAdminAccess() {
     try {
-        let token = sessionStorage.getItem('token');
+        const token = await freshAccessToken();
         if (!token) return false;
-        
-        token = token.replace(/^"(.*)"$/, '$1').trim();
+
         const res = await fetch('/api/admin/info', {
             method: 'GET',
             headers: {
@@ -32,15 +31,13 @@ async function checkAdminAccess() {
     }
 }
 
-async function apiFetch(path, opts = {}) {
-    let token = sessionStorage.getItem('token');
+async function apiFetch(path, opts = {}, retried = false) {
+    const token = await freshAccessToken();
     if (!token) {
         window.location.href = 'login.html';
         throw new Error('No token');
     }
 
-    token = token.replace(/^"(.*)"$/, '$1').trim();
-
     const headers = {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${token}`,
@@ -52,8 +49,12 @@ async function apiFetch(path, opts = {}) {
         headers
     });
 
+    if (res.status === 401 && !retried && (await refreshSession())) {
+        return apiFetch(path, opts, true);
+    }
+
     if (res.status === 401 || res.status === 403) {
-        sessionStorage.removeItem('token');
+        clearSession();
         window.location.href = 'login.html';
         throw new Error('Unauthorized');
     }
@@ -315,8 +316,9 @@ function displayTopEvents(events) {
 
 function logout() {
     if (confirm('Logout from admin panel?')) {
-        sessionStorage.removeItem('token');
-        window.location.href = 'login.html';
+        logoutSession().then(() => {
+            window.location.href = 'login.html';
+        });
     }
 }
 
@@ -1,10 +1,8 @@
 //script.js
 
 // ==================== AUTH CHECK ====================
-const token = sessionStorage.getItem("token");
-
-// Redirect to login if no token
-if (!token) {
+// Redirect to login if there is no session to use or refresh
+if (!sessionStorage.getItem("token") && !sessionStorage.getItem("refreshToken")) {
   window.location.href = "/login.html";
 }
 // Dynamic API base - works on localhost:3000 and Render deployment
@@ -16,11 +14,11 @@ const API_URL = (() => {
   return window.location.origin;
 })();
 // ==================== API HELPER ====================
-async function fetchAPI(endpoint, options = {}) {
+async function fetchAPI(endpoint, options = {}, retried = false) {
   const defaultOptions = {
     headers: {
       "Content-Type": "application/json",
-      Authorization: `Bearer ${token}`,
+      Authorization: `Bearer ${await freshAccessToken()}`,
     },
   };
 
@@ -30,9 +28,13 @@ async function fetchAPI(endpoint, options = {}) {
     headers: { ...defaultOptions.headers, ...options.headers },
   });
 
+  if (response.status === 401 && !retried && (await refreshSession())) {
+    return fetchAPI(endpoint, options, true);
+  }
+
   if (response.status === 401) {
-    // Token expired or invalid
-    sessionStorage.removeItem("token");
+    // Session expired or revoked
+    clearSession();
     window.location.href = "/login.html";
     return;
   }
@@ -235,8 +237,8 @@ if (btnPost) {
 // ==================== LOGOUT ====================
 const logoutBtn = document.querySelector(".logout-btn");
 if (logoutBtn) {
-  logoutBtn.addEventListener("click", function () {
-    sessionStorage.removeItem("token");
+  logoutBtn.addEventListener("click", async function () {
+    await logoutSession();
     window.location.href = "/login.html";
   });
 }
@@ -14,6 +14,7 @@ document.addEventListener("DOMContentLoaded", () => {
   // Elements that might exist on page
   const feedBtn = document.querySelector(".feed-btn");
   const newMsgBtn = document.querySelector(".new-message-btn");
+  const newGroupBtn = document.querySelector(".new-group-btn");
   const logoutBtn = document.querySelector(".logout-btn");
   const searchBtn = document.querySelector(".search-btn");
 
@@ -27,8 +28,14 @@ document.addEventListener("DOMContentLoaded", () => {
   // ✅ Initialize Socket.IO for real-time updates
   let socket = null;
 
+  // The open chat overlay ({ conversationId, thread }), for live updates
+  let openThread = null;
+
+  // Presence of the user in the open DM ({ userId, el })
+  let openPresence = null;
+
   // If no token -> send user to login immediately (prevent 401s)
-  if (!sessionStorage.getItem("token")) {
+  if (!sessionStorage.getItem("token") && !sessionStorage.getItem("refreshToken")) {
     window.location.href = "login.html";
     return;
   }
@@ -37,9 +44,16 @@ document.addEventListener("DOMContentLoaded", () => {
   initSocket();
   loadConversations();
 
+  // Deep links: messages.html?to=<username> or ?message=<messageId>
+  const linkParams = new URLSearchParams(window.location.search);
+  if (linkParams.get("message")) {
+    openMessage(linkParams.get("message"));
+  } else if (linkParams.get("to")) {
+    openChatThread(linkParams.get("to"));
+  }
+
   function initSocket() {
-    const token = sessionStorage.getItem("token");
-    if (!token || socket) return;
+    if (socket) return;
 
     try {
       // Use dynamic URL - HTTPS in production, HTTP:3000 on localhost
@@ -54,28 +68,117 @@ document.addEventListener("DOMContentLoaded", () => {
         transports: ["websocket", "polling"],
         upgrade: true,
         path: "/socket.io/",
-        auth: { token },
+        // Called on every (re)connect so a refreshed access token is used
+        auth: (cb) => freshAccessToken().then((token) => cb({ token })),
       });
 
       socket.on("connect", () => {
         console.log("✅ Socket.IO connected");
+        // Subscriptions don't survive a reconnect
+        if (openPresence) {
+          socket.emit("presence_subscribe", { userIds: [openPresence.userId] });
+        }
       });
 
       socket.on("connect_error", (err) => {
         console.error("❌ Socket.IO error:", err);
+        if (err.message === "Session revoked") {
+          clearSession();
+          window.location.href = "login.html";
+        }
+      });
+
+      socket.on("session_revoked", () => {
+        // Stop the disconnect that follows from triggering a reconnect
+        socket.disconnect();
+        clearSession();
+        window.location.href = "login.html";
       });
 
-      socket.on("disconnect", () => {
+      socket.on("disconnect", (reason) => {
         console.warn("⚠️ Socket disconnected");
+        // Socket.IO doesn't retry after a server-side disconnect; a revoked
+        // session is refused with connect_error above
+        if (reason === "io server disconnect") socket.connect();
       });
 
       socket.on("new_message", (msg) => {
         console.log("📩 New message:", msg);
         loadConversations();
+        if (openGroupId && msg.group && String(msg.group.id) === String(openGroupId)) {
+          refreshOpenGroup();
+        }
+      });
+
+      // Group created / renamed / members changed
+      socket.on("group_updated", () => loadConversations());
+      socket.on("group_removed", () => loadConversations());
+
+      // Edits, deletes and reactions in the open thread
+      const inOpenThread = (data) =>
+        openThread && String(openThread.conversationId) === String(data.conversationId);
+
+      socket.on("message_updated", (msg) => {
+        if (inOpenThread(msg)) openThread.thread.update(msg);
+      });
+      socket.on("message_deleted", (data) => {
+        if (inOpenThread(data)) openThread.thread.applyDelete(data);
+        loadConversations();
+      });
+      const applyReactions = (data) => {
+        if (inOpenThread(data)) {
+          openThread.thread.patch(data.messageId, { reactions: data.reactions });
+        }
+      };
+      socket.on("reaction_added", applyReactions);
+      socket.on("reaction_removed", applyReactions);
+
+      // Ticks on my messages: delivered (to a device) and read
+      socket.on("message_delivered", (data) => {
+        if (!inOpenThread(data)) return;
+        const ids = data.messageIds.map(String);
+        openThread.thread.patchWhere((m) => ids.includes(String(m.id)), {
+          delivered: true,
+        });
+      });
+      socket.on("messages_read", (data) => {
+        loadConversations();
+        if (!inOpenThread(data) || String(data.readBy) === String(getMyIdFromToken())) {
+          return;
+        }
+        const readAt = new Date(data.at || Date.now()).getTime();
+        openThread.thread.patchWhere(
+          (m) =>
+            String(m.sender?.id) === String(getMyIdFromToken()) &&
+            new Date(m.createdAt).getTime() <= readAt,
+          { delivered: true, read: true }
+        );
+      });
+
+      // Sent while we were offline; delivered as soon as we connected
+      socket.on("pending_messages", (data) => {
+        if (data.total > 0) loadConversations();
       });
 
-      socket.on("new_notification", (nf) => {
-        console.log("🔔 Notification:", nf);
+      // Online / last seen for the open DM
+      const isOpenPresence = (data) =>
+        openPresence && String(openPresence.userId) === String(data.userId);
+
+      socket.on("presence_state", (states) => {
+        (states || []).filter(isOpenPresence).forEach(renderPresence);
+      });
+      socket.on("user_online", (data) => {
+        if (isOpenPresence(data)) renderPresence({ ...data, online: true });
+      });
+      socket.on("user_offline", (data) => {
+        if (isOpenPresence(data)) renderPresence({ ...data, online: false });
+      });
+      // Their visibility changed; ask again
+      socket.on("presence_reset", (data) => {
+        if (isOpenPresence(data)) {
+          renderPresence({ hidden: true });
+          socket.emit("presence_subscribe", { userIds: [data.userId] });
+        }
       });
     } catch (err) {
       console.error("❌ Socket.IO initialization error:", err);
@@ -214,6 +317,14 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
+  // new group button -> group creation overlay
+  if (newGroupBtn) {
+    newGroupBtn.addEventListener("click", (e) => {
+      e.preventDefault();
+      openNewGroupOverlay();
+    });
+  }
+
   // new message button -> open search overlay
   if (newMsgBtn) {
     newMsgBtn.addEventListener("click", (e) => {
@@ -227,8 +338,9 @@ document.addEventListener("DOMContentLoaded", () => {
       ev.preventDefault();
       ev.stopPropagation();
       if (confirm("Logout from SocialSync?")) {
-        sessionStorage.removeItem("token");
-        window.location.href = "login.html";
+        logoutSession().then(() => {
+          window.location.href = "login.html";
+        });
       }
     });
   }
@@ -238,6 +350,10 @@ document.addEventListener("DOMContentLoaded", () => {
     convListContainer.addEventListener("click", (ev) => {
       const item = ev.target.closest(".conversation-item");
       if (!item) return;
+      if (item.dataset.groupId) {
+        openGroupThread(item.dataset.groupId);
+        return;
+      }
       const username = item.dataset.username;
       if (!username) return;
       openChatThread(username);
@@ -245,7 +361,7 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   /* ----- Robust API helper ----- */
-  async function apiFetch(path, opts = {}) {
+  async function apiFetch(path, opts = {}, retried = false) {
     const userHeaders = {};
     if (opts.headers instanceof Headers) {
       for (const pair of opts.headers.entries()) userHeaders[pair[0]] = pair[1];
@@ -256,26 +372,12 @@ document.addEventListener("DOMContentLoaded", () => {
     userHeaders["Content-Type"] =
       userHeaders["Content-Type"] || "application/json";
 
-    let token = sessionStorage.getItem("token") || "";
+    // Refreshed first if the access token has expired
+    const token = await freshAccessToken();
     if (!token) {
-      sessionStorage.removeItem("token");
+      clearSession();
       window.location.href = "login.html";
-      throw new Error("No token found – redirecting to login");
-    }
-    token = token.replace(/^"(.*)"$/, "$1").trim();
-
-    try {
-      const parts = token.split(".");
-      if (parts.length >= 2) {
-        const payload = JSON.parse(atob(parts[1]));
-        if (payload && payload.exp && Date.now() >= payload.exp * 1000) {
-          sessionStorage.removeItem("token");
-          window.location.href = "login.html";
-          throw new Error("Token expired – please login again");
-        }
-      }
-    } catch (e) {
-      console.warn("Unable to decode token payload locally:", e);
+      throw new Error("Session expired – please login again");
     }
 
     userHeaders["Authorization"] = `Bearer ${token}`;
@@ -287,10 +389,15 @@ document.addEventListener("DOMContentLoaded", () => {
 
     const res = await fetch(API_BASE + path, fetchOpts);
 
+    // Revoked or expired early: refresh once and retry
+    if (res.status === 401 && !retried && (await refreshSession())) {
+      return apiFetch(path, opts, true);
+    }
+
     if (res.status === 401) {
       const txt = await res.text().catch(() => res.statusText);
       console.error("401 from API:", txt);
-      sessionStorage.removeItem("token");
+      clearSession();
       window.location.href = "login.html";
       throw new Error("Unauthorized – token rejected by server");
     }
@@ -321,12 +428,13 @@ document.addEventListener("DOMContentLoaded", () => {
         return;
       }
 
-      // Dedupe by username (case-insensitive)
+      // Dedupe DMs by username (case-insensitive); groups by conversation id
       const dedupedByUsername = new Map();
       data.conversations.forEach((conv) => {
-        const key = String(
-          conv.with?.username || conv.with?._id || ""
-        ).toLowerCase();
+        const key =
+          conv.type === "group"
+            ? conv.conversationId
+            : String(conv.with?.username || conv.with?._id || "").toLowerCase();
         if (!key) return;
 
         if (!dedupedByUsername.has(key)) {
@@ -362,9 +470,16 @@ document.addEventListener("DOMContentLoaded", () => {
       sortedConvs.forEach((conv) => {
         const item = document.createElement("div");
         item.className = "conversation-item";
-        item.dataset.username = conv.with.username;
 
-        const displayName = conv.with.displayName || conv.with.username;
+        const isGroup = conv.type === "group";
+        let displayName;
+        if (isGroup) {
+          item.dataset.groupId = conv.group.id;
+          displayName = groupTitle(conv.group);
+        } else {
+          item.dataset.username = conv.with.username;
+          displayName = conv.with.displayName || conv.with.username;
+        }
         const lastMsg = conv.lastMessage?.text || "No messages yet";
         const timeStr = conv.lastMessage?.createdAt
           ? timeAgo(new Date(conv.lastMessage.createdAt).getTime())
@@ -379,11 +494,15 @@ document.addEventListener("DOMContentLoaded", () => {
 
         item.innerHTML = `
         <div class="conversation-avatar">
-          <svg width="50" height="50" viewBox="0 0 50 50" fill="none">
+          ${
+            isGroup
+              ? `<div style="width:50px;height:50px;border-radius:50%;background:#6B7FD7;display:flex;align-items:center;justify-content:center;font-size:22px">👥</div>`
+              : `<svg width="50" height="50" viewBox="0 0 50 50" fill="none">
             <circle cx="25" cy="25" r="25" fill="#6B7FD7"/>
             <path d="M25 25C28.866 25 32 21.866 32 18C32 14.134 28.866 11 25 11C21.134 11 18 14.134 18 18C18 21.866 21.134 25 25 25Z" fill="white"/>
             <path d="M25 27.5C17.2156 27.5 11 33.7156 11 41.5V45H39V41.5C39 33.7156 32.7844 27.5 25 27.5Z" fill="white"/>
-          </svg>
+          </svg>`
+          }
         </div>
         <div class="conversation-info">
           <h3>${escapeHtml(displayName)}</h3>
@@ -421,7 +540,7 @@ document.addEventListener("DOMContentLoaded", () => {
         document
           .getElementById("loginAgainBtn")
           .addEventListener("click", () => {
-            sessionStorage.removeItem("token");
+            clearSession();
             window.location.href = "login.html";
           });
         document
@@ -550,14 +669,328 @@ document.addEventListener("DOMContentLoaded", () => {
     input.focus();
   }
 
-  /* ----- Chat modal ----- */
-  async function openChatThread(username) {
+  /* ----- Message bodies ----- */
+  const QUICK_REACTIONS = ["👍", "❤️", "😂", "😮", "😢", "🙏"];
+
+  const actionButtonStyle =
+    "background:transparent;border:1px solid rgba(255,255,255,0.08);color:inherit;border-radius:8px;padding:2px 6px;font-size:11px;cursor:pointer";
+
+  function renderAttachments(attachments) {
+    return attachments
+      .map((a) => {
+        const url = escapeHtml(a.url);
+        if (a.type === "image") {
+          return `<a href="${url}" target="_blank" rel="noopener"><img src="${url}" alt="" style="display:block;max-width:240px;max-height:240px;border-radius:8px;margin-top:6px" /></a>`;
+        }
+        if (a.type === "video") {
+          return `<video src="${url}" controls style="display:block;max-width:260px;border-radius:8px;margin-top:6px"></video>`;
+        }
+        return `<a href="${url}" target="_blank" rel="noopener" style="display:block;margin-top:6px;color:inherit">📎 ${escapeHtml(
+          a.name || "File"
+        )}</a>`;
+      })
+      .join("");
+  }
+
+  // ✓ sent, ✓✓ delivered, blue ✓✓ read
+  function deliveryTicks(m) {
+    if (m.read) return ` <span title="Read" style="color:#4fc3f7">✓✓</span>`;
+    if (m.delivered) return ` <span title="Delivered">✓✓</span>`;
+    return ` <span title="Sent">✓</span>`;
+  }
+
+  // Text, attachments, reactions, actions and the time line of a bubble
+  function messageBodyHtml(m, mine) {
+    const time = `<div style="font-size:11px;color:var(--muted);margin-top:6px;text-align:right">${timeAgo(
+      new Date(m.createdAt).getTime()
+    )}${m.edited && !m.deleted ? " · edited" : ""}${mine ? deliveryTicks(m) : ""}</div>`;
+
+    if (m.deleted) {
+      return `<div style="font-style:italic;opacity:0.7">Message deleted</div>${time}`;
+    }
+
+    const myId = String(getMyIdFromToken());
+    const canEdit = mine && new Date(m.editableUntil).getTime() > Date.now();
+    const reactions = (m.reactions || [])
+      .map(
+        (r) =>
+          `<button data-action="react" data-emoji="${escapeHtml(r.emoji)}" style="${actionButtonStyle}${
+            r.userIds.includes(myId) ? ";border-color:var(--accent)" : ""
+          }">${escapeHtml(r.emoji)} ${r.count}</button>`
+      )
+      .join("");
+
+    return `
+      ${m.text ? `<div>${escapeHtml(m.text)}</div>` : ""}
+      ${renderAttachments(m.attachments || [])}
+      ${reactions ? `<div style="display:flex;gap:4px;flex-wrap:wrap;margin-top:6px">${reactions}</div>` : ""}
+      <div style="display:flex;gap:6px;margin-top:6px;opacity:0.7">
+        <button data-action="pick-reaction" title="React" style="${actionButtonStyle}">😊</button>
+        ${canEdit ? `<button data-action="edit" style="${actionButtonStyle}">Edit</button>` : ""}
+        <button data-action="delete" style="${actionButtonStyle}">Delete</button>
+      </div>
+      ${time}
+    `;
+  }
+
+  /* ----- Attachments ----- */
+  // Multipart upload, so no JSON Content-Type (see apiFetch)
+  async function uploadAttachment(file) {
+    const token = await freshAccessToken();
+    const form = new FormData();
+    form.append("file", file);
+
+    const res = await fetch(`${API_BASE}/media/upload/message`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}` },
+      body: form,
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.message || `HTTP ${res.status}`);
+    return data;
+  }
+
+  // 📎 button plus chips for uploads waiting to go out with the next message
+  function createAttachmentPicker(button, chips) {
+    let pending = [];
+    const input = document.createElement("input");
+    input.type = "file";
+    input.style.display = "none";
+    button.after(input);
+
+    function draw() {
+      chips.innerHTML = pending
+        .map(
+          (p, i) =>
+            `<span style="display:inline-flex;gap:6px;align-items:center;padding:4px 8px;border-radius:8px;background:rgba(255,255,255,0.04);font-size:12px">📎 ${escapeHtml(
+              p.name
+            )}<button data-index="${i}" style="background:transparent;border:none;color:inherit;cursor:pointer">✕</button></span>`
+        )
+        .join("");
+      chips.style.display = pending.length ? "flex" : "none";
+    }
+
+    button.addEventListener("click", () => input.click());
+    input.addEventListener("change", async () => {
+      const file = input.files[0];
+      input.value = "";
+      if (!file) return;
+      button.disabled = true;
+      try {
+        const media = await uploadAttachment(file);
+        pending.push({ id: media._id, name: file.name });
+        draw();
+      } catch (err) {
+        alert("Upload failed: " + err.message);
+      } finally {
+        button.disabled = false;
+      }
+    });
+    chips.addEventListener("click", (ev) => {
+      const remove = ev.target.closest("[data-index]");
+      if (!remove) return;
+      pending.splice(Number(remove.dataset.index), 1);
+      draw();
+    });
+
+    draw();
+    return {
+      mediaIds: () => pending.map((p) => p.id),
+      clear() {
+        pending = [];
+        draw();
+      },
+    };
+  }
+
+  /* ----- Thread history ----- */
+  // Renders a thread one page at a time: older messages load when scrolled
+  // to the top, newer ones at the bottom (after jumping to a message).
+  // fetchPage(query) resolves to { messages, prevCursor, nextCursor }.
+  function createThreadHistory(msgScroll, fetchPage, renderBubble) {
+    const state = { messages: [], prevCursor: null, nextCursor: null, loading: false };
+
+    // Redraw without moving the viewport
+    function redraw() {
+      const fromTop = msgScroll.scrollTop;
+      draw();
+      msgScroll.scrollTop = fromTop;
+    }
+
+    function patch(messageId, fields) {
+      patchWhere((m) => String(m.id) === String(messageId), fields);
+    }
+
+    function patchWhere(predicate, fields) {
+      let changed = false;
+      state.messages = state.messages.map((m) => {
+        if (!predicate(m)) return m;
+        changed = true;
+        return { ...m, ...fields };
+      });
+      if (changed) redraw();
+    }
+
+    function applyDelete({ messageId, forEveryone }) {
+      if (forEveryone) {
+        patch(messageId, { deleted: true, text: "", attachments: [], reactions: [] });
+        return;
+      }
+      state.messages = state.messages.filter((m) => String(m.id) !== String(messageId));
+      redraw();
+    }
+
+    msgScroll.addEventListener("click", async (ev) => {
+      const button = ev.target.closest("[data-action]");
+      const bubble = button && button.closest("[data-message-id]");
+      if (!bubble) return;
+      const message = state.messages.find(
+        (m) => String(m.id) === bubble.dataset.messageId
+      );
+      if (!message) return;
+
+      try {
+        await runMessageAction(button.dataset.action, message, button.dataset.emoji);
+      } catch (err) {
+        alert(err.message);
+      }
+    });
+
+    async function runMessageAction(action, message, emoji) {
+      const path = `/conversations/messages/${encodeURIComponent(message.id)}`;
+      const mine = String(message.sender?.id) === String(getMyIdFromToken());
+
+      if (action === "pick-reaction" || action === "react") {
+        const choice =
+          emoji || prompt(`React with (${QUICK_REACTIONS.join(" ")}):`, QUICK_REACTIONS[0]);
+        if (!choice) return;
+        const result = await apiFetch(`${path}/reactions`, {
+          method: "POST",
+          body: JSON.stringify({ emoji: choice.trim() }),
+        });
+        patch(message.id, { reactions: result.reactions });
+      } else if (action === "edit") {
+        const text = prompt("Edit message:", message.text);
+        if (text === null || text === message.text) return;
+        const result = await apiFetch(path, {
+          method: "PATCH",
+          body: JSON.stringify({ text }),
+        });
+        patch(message.id, result.message);
+      } else if (action === "delete") {
+        let scope = null;
+        if (mine && confirm("Delete this message for everyone?")) {
+          scope = "everyone";
+        } else if (confirm("Delete this message for you?")) {
+          scope = "me";
+        }
+        if (!scope) return;
+        const result = await apiFetch(`${path}?scope=${scope}`, { method: "DELETE" });
+        applyDelete(result);
+        loadConversations();
+      }
+    }
+
+    function draw() {
+      msgScroll.innerHTML = "";
+      state.messages.forEach((m) => {
+        const bubble = renderBubble(m);
+        bubble.dataset.messageId = m.id;
+        msgScroll.appendChild(bubble);
+      });
+    }
+
+    // Replace the loaded window; scroll to `anchorId` or the newest message
+    function reset(page, anchorId = null) {
+      state.messages = page.messages || [];
+      state.prevCursor = page.prevCursor || null;
+      state.nextCursor = page.nextCursor || null;
+      draw();
+
+      const anchor =
+        anchorId && msgScroll.querySelector(`[data-message-id="${anchorId}"]`);
+      if (anchor) {
+        anchor.scrollIntoView({ block: "center" });
+        anchor.style.outline = "2px solid var(--accent)";
+      } else {
+        msgScroll.scrollTop = msgScroll.scrollHeight;
+      }
+    }
+
+    async function loadMore(older) {
+      const cursor = older ? state.prevCursor : state.nextCursor;
+      if (!cursor || state.loading) return;
+      state.loading = true;
+      try {
+        const page = await fetchPage(
+          `${older ? "before" : "after"}=${encodeURIComponent(cursor)}`
+        );
+        const fromBottom = msgScroll.scrollHeight - msgScroll.scrollTop;
+        const fromTop = msgScroll.scrollTop;
+
+        if (older) {
+          state.messages = [...(page.messages || []), ...state.messages];
+          state.prevCursor = page.prevCursor || null;
+        } else {
+          state.messages = [...state.messages, ...(page.messages || [])];
+          state.nextCursor = page.nextCursor || null;
+        }
+        draw();
+
+        // keep the same messages in view
+        msgScroll.scrollTop = older ? msgScroll.scrollHeight - fromBottom : fromTop;
+      } catch (err) {
+        console.warn("Failed to load messages:", err);
+      } finally {
+        state.loading = false;
+      }
+    }
+
+    msgScroll.addEventListener("scroll", () => {
+      if (msgScroll.scrollTop < 60) {
+        loadMore(true);
+      } else if (
+        msgScroll.scrollHeight - msgScroll.scrollTop - msgScroll.clientHeight <
+        60
+      ) {
+        loadMore(false);
+      }
+    });
+
+    return {
+      reset,
+      patch,
+      patchWhere,
+      applyDelete,
+      update: (message) => patch(message.id, message),
+      // false while a jump left newer messages unloaded
+      isAtLatest: () => !state.nextCursor,
+    };
+  }
+
+  // Open whichever thread a message belongs to, scrolled to that message
+  async function openMessage(messageId) {
     try {
       const data = await apiFetch(
-        `/conversations/user/${encodeURIComponent(username)}`
+        `/conversations/messages/${encodeURIComponent(messageId)}/context`
       );
+      if (data.type === "group") {
+        openGroupThread(data.conversation.id, { initial: data });
+      } else {
+        openChatThread(data.with.username, { initial: data });
+      }
+    } catch (err) {
+      alert("Failed to open message: " + err.message);
+    }
+  }
+
+  /* ----- Chat modal ----- */
+  // `initial` is a page to start from instead of the newest one (jump to message)
+  async function openChatThread(username, { initial = null } = {}) {
+    try {
+      const threadPath = `/conversations/user/${encodeURIComponent(username)}`;
+      const data = initial || (await apiFetch(threadPath));
       const convUser = data.with;
-      const messages = data.messages || [];
 
       const overlay = document.createElement("div");
       overlay.style.position = "fixed";
@@ -581,7 +1014,7 @@ document.addEventListener("DOMContentLoaded", () => {
               )}</div>
               <div style="color:var(--muted);font-size:13px">@${escapeHtml(
                 convUser.username
-              )}</div>
+              )} <span id="threadPresence"></span></div>
             </div>
             <div style="display:flex;gap:8px;align-items:center">
               <button id="closeThread" style="background:transparent;border:none;color:#bdbdbd;font-weight:700;cursor:pointer">✕</button>
@@ -590,7 +1023,9 @@ document.addEventListener("DOMContentLoaded", () => {
 
           <div id="msgScroll" style="flex:1;overflow:auto;padding:14px;display:flex;flex-direction:column;gap:10px;background:linear-gradient(180deg, rgba(255,255,255,0.00), rgba(255,255,255,0.01))"></div>
 
+          <div id="attachChips" style="display:none;gap:6px;flex-wrap:wrap;padding:8px 10px 0"></div>
           <div style="padding:10px;border-top:1px solid rgba(255,255,255,0.03);display:flex;gap:8px;align-items:center">
+            <button id="attachBtn" title="Attach a file" style="padding:10px;border-radius:10px;border:1px solid rgba(255,255,255,0.06);background:transparent;color:inherit;cursor:pointer">📎</button>
             <input id="chatInput" placeholder="Write a message..." style="flex:1;padding:10px;border-radius:10px;border:1px solid rgba(255,255,255,0.04);background:transparent;color:inherit" />
             <button id="sendChat" style="padding:10px 14px;border-radius:10px;border:none;background:var(--accent);color:white;font-weight:700;cursor:pointer">Send</button>
           </div>
@@ -599,6 +1034,8 @@ document.addEventListener("DOMContentLoaded", () => {
       document.body.appendChild(overlay);
 
       const close = () => {
+        openThread = null;
+        unwatchPresence();
         overlay.remove();
         loadConversations();
       };
@@ -606,39 +1043,39 @@ document.addEventListener("DOMContentLoaded", () => {
       overlay.addEventListener("click", (ev) => {
         if (ev.target === overlay) close();
       });
+      watchPresence(convUser._id, overlay.querySelector("#threadPresence"));
 
       const msgScroll = overlay.querySelector("#msgScroll");
       const chatInput = overlay.querySelector("#chatInput");
       const sendBtn = overlay.querySelector("#sendChat");
+      const attachments = createAttachmentPicker(
+        overlay.querySelector("#attachBtn"),
+        overlay.querySelector("#attachChips")
+      );
 
-      function renderMessages(msgs) {
-        msgScroll.innerHTML = "";
-        msgs.forEach((m) => {
-          const bubble = document.createElement("div");
-          const mine =
-            String(m.sender && (m.sender._id || m.sender)) ===
-            String(getMyIdFromToken());
-          bubble.style.alignSelf = mine ? "flex-end" : "flex-start";
-          bubble.style.maxWidth = "78%";
-          bubble.style.padding = "10px 12px";
-          bubble.style.borderRadius = "10px";
-          bubble.style.background = mine
-            ? "linear-gradient(90deg,#6b7fd7,#5563c8)"
-            : "rgba(255,255,255,0.02)";
-          bubble.style.color = mine ? "#fff" : "var(--text)";
-          bubble.style.fontSize = "14px";
-          bubble.innerHTML = `
-            <div>${escapeHtml(m.text)}</div>
-            <div style="font-size:11px;color:var(--muted);margin-top:6px;text-align:right">${timeAgo(
-              new Date(m.createdAt).getTime()
-            )}</div>
-          `;
-          msgScroll.appendChild(bubble);
-        });
-        msgScroll.scrollTop = msgScroll.scrollHeight;
+      function renderBubble(m) {
+        const bubble = document.createElement("div");
+        const mine = String(m.sender?.id) === String(getMyIdFromToken());
+        bubble.style.alignSelf = mine ? "flex-end" : "flex-start";
+        bubble.style.maxWidth = "78%";
+        bubble.style.padding = "10px 12px";
+        bubble.style.borderRadius = "10px";
+        bubble.style.background = mine
+          ? "linear-gradient(90deg,#6b7fd7,#5563c8)"
+          : "rgba(255,255,255,0.02)";
+        bubble.style.color = mine ? "#fff" : "var(--text)";
+        bubble.style.fontSize = "14px";
+        bubble.innerHTML = messageBodyHtml(m, mine);
+        return bubble;
       }
 
-      renderMessages(messages);
+      const thread = createThreadHistory(
+        msgScroll,
+        (query) => apiFetch(`${threadPath}?${query}`),
+        renderBubble
+      );
+      thread.reset(data, data.anchor);
+      openThread = { conversationId: data.conversationId, thread };
 
       sendBtn.addEventListener("click", () => sendMessage());
       chatInput.addEventListener("keydown", (e) => {
@@ -650,9 +1087,10 @@ document.addEventListener("DOMContentLoaded", () => {
 
       async function sendMessage() {
         const text = chatInput.value.trim();
-        if (!text) return;
+        const mediaIds = attachments.mediaIds();
+        if (!text && !mediaIds.length) return;
         try {
-          const body = { text };
+          const body = { text, mediaIds };
           await apiFetch(
             `/conversations/user/${encodeURIComponent(
               convUser.username
@@ -662,12 +1100,10 @@ document.addEventListener("DOMContentLoaded", () => {
               body: JSON.stringify(body),
             }
           );
-          // reload messages after send
-          const refreshed = await apiFetch(
-            `/conversations/user/${encodeURIComponent(convUser.username)}`
-          );
-          renderMessages(refreshed.messages || []);
+          // reload the newest page after send
+          thread.reset(await apiFetch(threadPath));
           chatInput.value = "";
+          attachments.clear();
           loadConversations();
         } catch (err) {
           alert("Send failed: " + err.message);
@@ -678,6 +1114,262 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
+  function watchPresence(userId, el) {
+    unwatchPresence();
+    if (!userId || !el) return;
+    openPresence = { userId: String(userId), el };
+    if (socket) socket.emit("presence_subscribe", { userIds: [openPresence.userId] });
+  }
+
+  function unwatchPresence() {
+    if (!openPresence) return;
+    if (socket) socket.emit("presence_unsubscribe", { userIds: [openPresence.userId] });
+    openPresence = null;
+  }
+
+  function renderPresence(state) {
+    if (!openPresence) return;
+    const el = openPresence.el;
+    if (state.hidden) {
+      el.textContent = "";
+    } else if (state.online) {
+      el.innerHTML = `<span style="color:#31a24c">●</span> Online`;
+    } else if (state.lastSeenAt) {
+      el.textContent = `Last seen ${timeAgo(new Date(state.lastSeenAt).getTime())}`;
+    } else {
+      el.textContent = "Offline";
+    }
+  }
+
+  /* ----- Group conversations ----- */
+  let openGroupId = null;
+  let refreshOpenGroup = () => {};
+
+  function groupTitle(group) {
+    if (group.title) return group.title;
+    const myId = getMyIdFromToken();
+    const names = (group.members || [])
+      .filter((m) => String(m._id) !== String(myId))
+      .map((m) => m.displayName || m.username);
+    return names.join(", ") || "Group";
+  }
+
+  function parseUsernames(value) {
+    return value
+      .split(/[\s,]+/)
+      .map((u) => u.replace(/^@/, "").trim())
+      .filter(Boolean);
+  }
+
+  function openNewGroupOverlay() {
+    const overlay = document.createElement("div");
+    overlay.style.cssText =
+      "position:fixed;inset:0;background:rgba(3,6,10,0.6);z-index:9999;display:flex;align-items:center;justify-content:center";
+    overlay.innerHTML = `
+      <div style="width:520px;max-width:94%;background:linear-gradient(180deg,#0f0f10,#0b0b0b);border:1px solid rgba(255,255,255,0.04);padding:18px;border-radius:12px;display:flex;flex-direction:column;gap:10px">
+        <div style="display:flex;justify-content:space-between;align-items:center">
+          <strong style="color:#fff;font-size:16px">New group</strong>
+          <button id="closeNewGroup" style="background:transparent;border:none;color:#bdbdbd;font-weight:700;cursor:pointer">✕</button>
+        </div>
+        <input id="groupTitleInput" placeholder="Group name (optional)" style="padding:12px;border-radius:8px;border:1px solid rgba(255,255,255,0.04);background:transparent;color:inherit" />
+        <input id="groupMembersInput" placeholder="Usernames, separated by commas" style="padding:12px;border-radius:8px;border:1px solid rgba(255,255,255,0.04);background:transparent;color:inherit" />
+        <button id="createGroupBtn" style="padding:10px 14px;border-radius:10px;border:none;background:var(--accent);color:white;font-weight:700;cursor:pointer">Create</button>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+
+    const close = () => overlay.remove();
+    overlay.querySelector("#closeNewGroup").addEventListener("click", close);
+    overlay.addEventListener("click", (ev) => {
+      if (ev.target === overlay) close();
+    });
+
+    overlay.querySelector("#createGroupBtn").addEventListener("click", async () => {
+      const title = overlay.querySelector("#groupTitleInput").value.trim();
+      const members = parseUsernames(overlay.querySelector("#groupMembersInput").value);
+      if (!members.length) {
+        alert("Add at least one member");
+        return;
+      }
+      try {
+        const data = await apiFetch("/conversations/groups", {
+          method: "POST",
+          body: JSON.stringify({ title, members }),
+        });
+        close();
+        loadConversations();
+        openGroupThread(data.conversation.id);
+      } catch (err) {
+        alert("Failed to create group: " + err.message);
+      }
+    });
+
+    overlay.querySelector("#groupMembersInput").focus();
+  }
+
+  async function openGroupThread(groupId, { initial = null } = {}) {
+    try {
+      const threadPath = `/conversations/groups/${groupId}`;
+      let data = initial || (await apiFetch(threadPath));
+      const myId = getMyIdFromToken();
+
+      const overlay = document.createElement("div");
+      overlay.style.cssText =
+        "position:fixed;inset:0;background:rgba(3,6,10,0.6);z-index:9999;display:flex;align-items:center;justify-content:center";
+      overlay.innerHTML = `
+        <div style="width:760px;max-width:96%;height:80vh;max-height:760px;background:linear-gradient(180deg,#0f0f10,#0b0b0b);border:1px solid rgba(255,255,255,0.04);padding:12px;border-radius:12px;display:flex;flex-direction:column;overflow:hidden">
+          <div style="display:flex;align-items:center;gap:12px;padding:8px;border-bottom:1px solid rgba(255,255,255,0.03)">
+            <div style="width:44px;height:44px;border-radius:50%;background:#6b7fd7;display:flex;align-items:center;justify-content:center;font-size:20px">👥</div>
+            <div style="flex:1">
+              <div id="groupTitle" style="font-weight:800"></div>
+              <div id="groupMembers" style="color:var(--muted);font-size:13px"></div>
+            </div>
+            <div style="display:flex;gap:8px;align-items:center">
+              <button id="addGroupMembers" style="background:transparent;border:1px solid rgba(255,255,255,0.06);color:inherit;border-radius:8px;padding:6px 10px;cursor:pointer">+ Add</button>
+              <button id="leaveGroup" style="background:transparent;border:1px solid rgba(255,255,255,0.06);color:#f66;border-radius:8px;padding:6px 10px;cursor:pointer">Leave</button>
+              <button id="closeThread" style="background:transparent;border:none;color:#bdbdbd;font-weight:700;cursor:pointer">✕</button>
+            </div>
+          </div>
+
+          <div id="msgScroll" style="flex:1;overflow:auto;padding:14px;display:flex;flex-direction:column;gap:10px"></div>
+
+          <div id="attachChips" style="display:none;gap:6px;flex-wrap:wrap;padding:8px 10px 0"></div>
+          <div style="padding:10px;border-top:1px solid rgba(255,255,255,0.03);display:flex;gap:8px;align-items:center">
+            <button id="attachBtn" title="Attach a file" style="padding:10px;border-radius:10px;border:1px solid rgba(255,255,255,0.06);background:transparent;color:inherit;cursor:pointer">📎</button>
+            <input id="chatInput" placeholder="Write a message..." style="flex:1;padding:10px;border-radius:10px;border:1px solid rgba(255,255,255,0.04);background:transparent;color:inherit" />
+            <button id="sendChat" style="padding:10px 14px;border-radius:10px;border:none;background:var(--accent);color:white;font-weight:700;cursor:pointer">Send</button>
+          </div>
+        </div>
+      `;
+      document.body.appendChild(overlay);
+
+      const msgScroll = overlay.querySelector("#msgScroll");
+      const chatInput = overlay.querySelector("#chatInput");
+
+      function renderHeader() {
+        const conv = data.conversation;
+        overlay.querySelector("#groupTitle").textContent = groupTitle(conv);
+        overlay.querySelector("#groupMembers").textContent = `${
+          conv.members.length
+        } members · ${conv.members.map((m) => "@" + m.username).join(", ")}`;
+        overlay.querySelector("#addGroupMembers").style.display = conv.members.some(
+          (m) => String(m._id) === String(myId) && m.isAdmin
+        )
+          ? ""
+          : "none";
+      }
+
+      function renderBubble(m) {
+        const mine = String(m.sender?.id) === String(myId);
+        const bubble = document.createElement("div");
+        bubble.style.cssText = `align-self:${
+          mine ? "flex-end" : "flex-start"
+        };max-width:78%;padding:10px 12px;border-radius:10px;font-size:14px;background:${
+          mine ? "linear-gradient(90deg,#6b7fd7,#5563c8)" : "rgba(255,255,255,0.02)"
+        };color:${mine ? "#fff" : "var(--text)"}`;
+        bubble.innerHTML = `
+          ${
+            mine
+              ? ""
+              : `<div style="font-size:12px;font-weight:700;margin-bottom:4px">${escapeHtml(
+                  m.sender?.displayName || m.sender?.username || ""
+                )}</div>`
+          }
+          ${messageBodyHtml(m, mine)}
+        `;
+        return bubble;
+      }
+
+      const thread = createThreadHistory(
+        msgScroll,
+        (query) => apiFetch(`${threadPath}?${query}`),
+        renderBubble
+      );
+
+      const attachments = createAttachmentPicker(
+        overlay.querySelector("#attachBtn"),
+        overlay.querySelector("#attachChips")
+      );
+
+      // Reload header and newest page; `force` also after a jump
+      openGroupId = groupId;
+      openThread = { conversationId: data.conversation.conversationId, thread };
+      refreshOpenGroup = async (force = false) => {
+        if (!force && !thread.isAtLatest()) return;
+        data = await apiFetch(threadPath);
+        renderHeader();
+        thread.reset(data);
+      };
+
+      const close = () => {
+        openGroupId = null;
+        openThread = null;
+        refreshOpenGroup = () => {};
+        overlay.remove();
+        loadConversations();
+      };
+      overlay.querySelector("#closeThread").addEventListener("click", close);
+      overlay.addEventListener("click", (ev) => {
+        if (ev.target === overlay) close();
+      });
+
+      overlay.querySelector("#addGroupMembers").addEventListener("click", async () => {
+        const input = prompt("Usernames to add (comma separated):");
+        if (!input) return;
+        try {
+          await apiFetch(`/conversations/groups/${groupId}/members`, {
+            method: "POST",
+            body: JSON.stringify({ members: parseUsernames(input) }),
+          });
+          await refreshOpenGroup(true);
+        } catch (err) {
+          alert("Failed to add members: " + err.message);
+        }
+      });
+
+      overlay.querySelector("#leaveGroup").addEventListener("click", async () => {
+        if (!confirm("Leave this group?")) return;
+        try {
+          await apiFetch(`/conversations/groups/${groupId}/leave`, { method: "POST" });
+          close();
+        } catch (err) {
+          alert("Failed to leave group: " + err.message);
+        }
+      });
+
+      async function sendMessage() {
+        const text = chatInput.value.trim();
+        const mediaIds = attachments.mediaIds();
+        if (!text && !mediaIds.length) return;
+        try {
+          await apiFetch(`/conversations/groups/${groupId}/messages`, {
+            method: "POST",
+            body: JSON.stringify({ text, mediaIds }),
+          });
+          chatInput.value = "";
+          attachments.clear();
+          await refreshOpenGroup(true);
+          loadConversations();
+        } catch (err) {
+          alert("Send failed: " + err.message);
+        }
+      }
+
+      overlay.querySelector("#sendChat").addEventListener("click", () => sendMessage());
+      chatInput.addEventListener("keydown", (e) => {
+        if (e.key === "Enter" && !e.shiftKey) {
+          e.preventDefault();
+          sendMessage();
+        }
+      });
+
+      renderHeader();
+      thread.reset(data, data.anchor);
+    } catch (err) {
+      alert("Failed to open group: " + err.message);
+    }
+  }
+
   /* ----- Helper functions ----- */
   function getMyIdFromToken() {
     try {
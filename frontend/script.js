@@ -17,6 +17,8 @@ try {
   socket = io(API_BASE, {
     transports: ["websocket", "polling"],
     upgrade: false,
+    // Called on every (re)connect so a refreshed access token is used
+    auth: (cb) => freshAccessToken().then((token) => cb({ token })),
   });
 } catch (err) {
   console.error("❌ Socket.IO initialization failed:", err);
@@ -36,31 +38,84 @@ function initSocket() {
 
   socket.on("connect_error", (err) => {
     console.error("❌ Socket connection error:", err);
+    if (err.message === "Session revoked") {
+      clearSession();
+      window.location.href = "/login.html";
+    }
+  });
+
+  socket.on("session_revoked", () => {
+    // Stop the disconnect that follows from triggering a reconnect
+    socket.disconnect();
+    clearSession();
+    window.location.href = "/login.html";
   });
 
-  socket.on("disconnect", () => {
+  socket.on("disconnect", (reason) => {
     console.warn("⚠️ Socket disconnected");
+    // Socket.IO doesn't retry after a server-side disconnect; a revoked
+    // session is refused with connect_error above
+    if (reason === "io server disconnect") socket.connect();
   });
 
-  socket.on("receive_message", (msg) => {
+  socket.on("new_message", (msg) => {
     console.log("📨 New message:", msg);
     if (typeof showDesktopNotification === "function") {
       showDesktopNotification(msg);
     }
   });
+
+  // Notifications are pushed as they are created; no polling
+  socket.on("notification_created", ({ notification, unreadCount }) => {
+    showNotificationBadge(unreadCount);
+
+    const view = document.getElementById("notifications-view");
+    if (view && view.classList.contains("active")) loadNotifications();
+
+    // Messages already get their own desktop notification
+    if (!notification || notification.verb === "message") return;
+    const actor = notification.actor || {};
+    showInAppToast(
+      notificationActorsHtml(notification),
+      escapeHtml(notificationVerbText(notification)),
+      actor.avatarUrl,
+      () => switchToNotifications(),
+      "View"
+    );
+  });
+
+  // Read on another tab or device
+  socket.on("notification_count", ({ unreadCount }) => {
+    showNotificationBadge(unreadCount);
+  });
+
+  // Messages that arrived while we were offline
+  socket.on("pending_messages", (data) => {
+    if (!data || !data.total) return;
+    showInAppToast(
+      "New messages",
+      `You have ${data.total} new message${data.total === 1 ? "" : "s"}`,
+      undefined,
+      () => {
+        window.location.href = "/messages.html";
+      },
+      "Open"
+    );
+  });
 }
 
 const API_URL = API_BASE;
 const token = sessionStorage.getItem("token");
 
-// Redirect to login if no token (kept as-is)
-if (!token) {
+// Redirect to login if there is no session to use or refresh
+if (!token && !sessionStorage.getItem("refreshToken")) {
   window.location.href = "/login.html";
 }
 
 let currentUser = null;
 let nextCursor = null;
 let isLoading = false;
+let feedMode = "home"; // "home" (following) or "explore" (everyone)
 
 // =====================================================
 //  AUTHENTICATION CHECK (IIFE)
@@ -80,6 +135,12 @@ let isLoading = false;
   console.log("🔐 Checking authentication...");
 
   let token = sessionStorage.getItem("token");
+  const canRefresh = !!sessionStorage.getItem("refreshToken");
+
+  if (!token && canRefresh) {
+    console.log("🔄 No access token - will refresh the session");
+    return;
+  }
 
   if (!token) {
     console.error("❌ No token found - redirecting to login");
@@ -96,7 +157,7 @@ let isLoading = false;
   const parts = token.split(".");
   if (parts.length !== 3) {
     console.error("❌ Invalid token format - redirecting to login");
-    sessionStorage.removeItem("token");
+    clearSession();
     window.location.href = "/login.html";
     return;
   }
@@ -111,9 +172,14 @@ let isLoading = false;
       const expiry = new Date(payload.exp * 1000);
       const now = new Date();
 
+      if (now >= expiry && canRefresh) {
+        console.log("🔄 Access token expired - will refresh the session");
+        return;
+      }
+
       if (now >= expiry) {
         console.error("❌ Token expired at:", expiry);
-        sessionStorage.removeItem("token");
+        clearSession();
         window.location.href = "/login.html";
         return;
       }
@@ -131,9 +197,10 @@ let isLoading = false;
 //  GENERIC HELPERS
 // =====================================================
 
-// Single API helper
-async function fetchAPI(endpoint, options = {}) {
-  const token = options.token || sessionStorage.getItem("token") || "";
+// Single API helper; on a 401 the session is refreshed and the request
+// retried once
+async function fetchAPI(endpoint, options = {}, retried = false) {
+  const token = options.token || (await freshAccessToken()) || "";
 
   const defaultHeaders = {
     "Content-Type": "application/json",
@@ -151,9 +218,13 @@ async function fetchAPI(endpoint, options = {}) {
     },
   });
 
+  if (response.status === 401 && !retried && !options.token && (await refreshSession())) {
+    return fetchAPI(endpoint, options, true);
+  }
+
   if (response.status === 401) {
     console.error("Unauthorized - redirecting to login");
-    sessionStorage.removeItem("token");
+    clearSession();
     window.location.href = "/login.html";
     return;
   }
@@ -209,7 +280,7 @@ function escapeHtml(str) {
 //   });
 // }
 async function fetchWithToken(path, opts = {}) {
-  const token = sessionStorage.getItem("token");
+  const token = await freshAccessToken();
 
   const headers = {
     "Content-Type": "application/json",
@@ -225,6 +296,27 @@ async function fetchWithToken(path, opts = {}) {
   });
 }
 
+// Multipart upload to /api/media/upload (no JSON Content-Type, the
+// browser sets the multipart boundary itself). Resolves to the Media doc.
+async function uploadMedia(file) {
+  const token = await freshAccessToken();
+  const form = new FormData();
+  form.append("file", file);
+
+  const response = await fetch(`${API_URL}/api/media/upload`, {
+    method: "POST",
+    credentials: "include",
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+    body: form,
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.message || `Upload failed (${response.status})`);
+  }
+  return data;
+}
+
 // =====================================================
 //  USER DATA & FOLLOWERS
 // =====================================================
@@ -252,11 +344,28 @@ async function loadUserData() {
     if (user.avatarUrl && avatarEl) {
       avatarEl.innerHTML = `<img src="${user.avatarUrl}" style="width:100%;height:100%;border-radius:50%;object-fit:cover;">`;
     }
+
+    const verifyBanner = document.getElementById("verify-email-banner");
+    if (verifyBanner) {
+      verifyBanner.style.display = user.emailVerified === false ? "block" : "none";
+    }
   } catch (error) {
     console.error("Error loading user:", error);
   }
 }
 
+async function resendVerificationEmail(button) {
+  button.disabled = true;
+  try {
+    await fetchAPI("/api/auth/verify-email/resend", { method: "POST" });
+    button.textContent = "Email sent";
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    alert(error.message || "Failed to send email");
+    button.disabled = false;
+  }
+}
+
 async function showFollowersList(userId) {
   try {
     console.log("Loading followers for user:", userId);
@@ -268,6 +377,18 @@ async function showFollowersList(userId) {
   }
 }
 
+async function showPostLikes(event, postId) {
+  // The count sits inside the like button; don't toggle the like as well
+  event.stopPropagation();
+  try {
+    const { users } = await fetchAPI(`/api/posts/${postId}/likes`);
+    displayUserListModal(users, "Likes");
+  } catch (error) {
+    console.error("Error loading likes:", error);
+    alert("Failed to load likes");
+  }
+}
+
 async function showFollowingList(userId) {
   try {
     console.log("Loading following for user:", userId);
@@ -357,6 +478,8 @@ async function showMyFollowing() {
 // expose follower helpers
 window.showFollowersList = showFollowersList;
 window.showFollowingList = showFollowingList;
+window.showPostLikes = showPostLikes;
+window.openMention = openMention;
 window.closeUserListModal = closeUserListModal;
 
 // =====================================================
@@ -377,8 +500,8 @@ async function loadFeed(isInitial = false) {
     }
 
     const endpoint = nextCursor
-      ? `/api/posts/feed?cursor=${nextCursor}`
-      : "/api/posts/feed";
+      ? `/api/posts/feed?mode=${feedMode}&cursor=${nextCursor}`
+      : `/api/posts/feed?mode=${feedMode}`;
 
     console.log("🔍 Fetching feed from:", endpoint);
     const response = await fetchAPI(endpoint);
@@ -396,7 +519,9 @@ async function loadFeed(isInitial = false) {
     if (!posts || posts.length === 0) {
       if (isInitial) {
         feedContainer.innerHTML =
-          '<div style="padding:20px;text-align:center;color:#8b8d91;">No posts yet. Be the first to post!</div>';
+          feedMode === "home"
+            ? '<div style="padding:20px;text-align:center;color:#8b8d91;">Your feed is empty. Follow people or check Explore!</div>'
+            : '<div style="padding:20px;text-align:center;color:#8b8d91;">No posts yet. Be the first to post!</div>';
       } else {
         feedContainer.insertAdjacentHTML(
           "beforeend",
@@ -441,6 +566,27 @@ async function loadFeed(isInitial = false) {
   }
 }
 
+// Link @username for the users the server resolved; other @words stay text.
+// There is no public profile page yet, so a mention opens that user's card
+// in the search modal (follow / unfollow from there).
+function renderMentions(text, mentions = []) {
+  if (!text || !mentions.length) return text || "";
+  const known = new Set(mentions);
+  return text.replace(/(^|[^A-Za-z0-9_])@([A-Za-z0-9_]+)/g, (match, before, name) =>
+    known.has(name)
+      ? `${before}<a href="#" class="mention" onclick="openMention(event, '${name}')" style="color:#667eea;text-decoration:none;">@${name}</a>`
+      : match
+  );
+}
+
+function openMention(event, username) {
+  event.preventDefault();
+  event.stopPropagation();
+  showSearchModal();
+  document.getElementById("searchInput").value = username;
+  searchUsers();
+}
+
 function createPostHTML(post) {
   const avatar =
     post.avatar !== "👤"
@@ -458,7 +604,7 @@ function createPostHTML(post) {
           <div class="post-username">@${post.username} · ${post.timestamp}</div>
         </div>
       </div>
-      <div class="post-content">${post.content}</div>
+      <div class="post-content">${renderMentions(post.content, post.mentions)}</div>
       ${
         post.mediaUrl
           ? `<img src="${post.mediaUrl}" class="post-media" alt="Post media">`
@@ -468,7 +614,9 @@ function createPostHTML(post) {
         <button class="action-btn ${
           post.liked ? "liked" : ""
         }" onclick="toggleLike('${post.id}')">
-          ${post.liked ? "❤️" : "🤍"} <span id="likes-${post.id}">${
+          ${post.liked ? "❤️" : "🤍"} <span id="likes-${
+    post.id
+  }" onclick="showPostLikes(event, '${post.id}')" title="See who liked this">${
     post.likes
   }</span>
         </button>
@@ -499,7 +647,7 @@ function createPostHTML(post) {
             id="comment-input-${post.id}" 
             placeholder="Write a comment..." 
             style="flex:1;padding:10px 15px;border-radius:20px;border:1px solid #3a3b3c;background:#18191a;color:#e4e6eb;font-size:14px;"
-            onkeypress="handleCommentKeyPress(event, '${post.id}')"
+            onkeydown="handleCommentKeyPress(event, '${post.id}')"
           >
           <button 
             onclick="addComment('${post.id}')" 
@@ -529,10 +677,10 @@ async function toggleLike(postId) {
       const btn = likesElement.closest(".action-btn");
       if (result.liked) {
         btn.classList.add("liked");
-        btn.innerHTML = `❤️ <span id="likes-${postId}">${result.likes}</span>`;
+        btn.innerHTML = `❤️ <span id="likes-${postId}" onclick="showPostLikes(event, '${postId}')" title="See who liked this">${result.likes}</span>`;
       } else {
         btn.classList.remove("liked");
-        btn.innerHTML = `🤍 <span id="likes-${postId}">${result.likes}</span>`;
+        btn.innerHTML = `🤍 <span id="likes-${postId}" onclick="showPostLikes(event, '${postId}')" title="See who liked this">${result.likes}</span>`;
       }
     }
   } catch (error) {
@@ -560,7 +708,85 @@ async function toggleComments(postId) {
   }
 }
 
-async function loadComments(postId) {
+// postId -> { commentId, username } while the comment box is in reply mode
+const replyTargets = {};
+
+function renderComment(comment, postId) {
+  const author = comment.author || {};
+  const commentId = comment._id || comment.id;
+  const commentText = comment.text || comment.content || "";
+  const isReply = !!comment.parentComment;
+  const avatar = author.avatarUrl
+    ? `<img src="${author.avatarUrl}" style="width:100%;height:100%;object-fit:cover;">`
+    : "👤";
+
+  const isMyComment =
+    currentUser &&
+    (currentUser.id === author.id ||
+      currentUser._id === author._id ||
+      currentUser.id === author._id);
+
+  return `
+    <div class="comment-item" data-comment-id="${commentId}" style="display:flex;gap:10px;padding:12px;background:#18191a;border-radius:8px;transition:all 0.3s ease;${
+      isReply ? "margin-left:46px;" : ""
+    }">
+      <div style="width:36px;height:36px;border-radius:50%;background:linear-gradient(135deg,#667eea 0%,#764ba2 100%);display:flex;align-items:center;justify-content:center;font-size:16px;overflow:hidden;flex-shrink:0;">
+        ${avatar}
+      </div>
+      <div style="flex:1;">
+        <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:5px;">
+          <div>
+            <span style="font-weight:600;color:#e4e6eb;font-size:14px;">${
+              author.displayName || author.username || "Unknown"
+            }</span>
+            <span style="color:#8b8d91;font-size:12px;margin-left:8px;">@${
+              author.username || "unknown"
+            }</span>
+          </div>
+          ${
+            isMyComment
+              ? `
+            <button 
+              onclick="deleteComment('${commentId}', '${postId}')" 
+              style="background:none;border:none;color:#ff7979;cursor:pointer;font-size:18px;padding:4px 8px;"
+              title="Delete comment">
+              🗑️
+            </button>
+          `
+              : ""
+          }
+        </div>
+        <div style="color:#e4e6eb;font-size:14px;margin-bottom:5px;">${renderMentions(
+          commentText,
+          comment.mentions
+        )}</div>
+        <div style="color:#8b8d91;font-size:12px;display:flex;gap:12px;">
+          <span>${formatTimestamp(comment.createdAt)}</span>
+          <span id="comment-like-${commentId}" style="cursor:pointer;" onclick="toggleCommentLike('${commentId}')">${
+            comment.liked ? "❤️" : "🤍"
+          } <span>${comment.likesCount || 0}</span></span>
+          <span style="cursor:pointer;" onclick="startReply('${postId}', '${
+            comment.parentComment || commentId
+          }', '${author.username || ""}')">Reply</span>
+        </div>
+      </div>
+    </div>
+    ${
+      isReply
+        ? ""
+        : `<div id="replies-${commentId}" style="display:flex;flex-direction:column;gap:8px;"></div>
+    ${
+      comment.replyCount > 0
+        ? `<div id="replies-toggle-${commentId}" style="margin-left:46px;color:#8b8d91;font-size:13px;cursor:pointer;" onclick="loadReplies('${commentId}', '${postId}')">View ${
+            comment.replyCount
+          } ${comment.replyCount === 1 ? "reply" : "replies"}</div>`
+        : ""
+    }`
+    }
+  `;
+}
+
+async function loadComments(postId, cursor = null) {
   try {
     const commentsList = document.getElementById(`comments-list-${postId}`);
 
@@ -569,79 +795,113 @@ async function loadComments(postId) {
       return;
     }
 
-    commentsList.innerHTML =
-      '<div style="text-align:center;color:#8b8d91;padding:10px;">Loading comments...</div>';
+    if (!cursor) {
+      commentsList.innerHTML =
+        '<div style="text-align:center;color:#8b8d91;padding:10px;">Loading comments...</div>';
+    }
 
-    const comments = await fetchAPI(`/api/posts/${postId}/comments`);
+    const query = cursor ? `?cursor=${encodeURIComponent(cursor)}` : "";
+    const { comments, nextCursor } = await fetchAPI(
+      `/api/posts/${postId}/comments${query}`
+    );
 
-    if (!comments || comments.length === 0) {
+    document.getElementById(`comments-more-${postId}`)?.remove();
+
+    if (!cursor && (!comments || comments.length === 0)) {
       commentsList.innerHTML =
         '<div style="text-align:center;color:#8b8d91;padding:10px;">No comments yet. Be the first to comment!</div>';
       return;
     }
 
-    commentsList.innerHTML = comments
-      .map((comment) => {
-        const author = comment.author || {};
-        const commentId = comment._id || comment.id;
-        const commentText = comment.text || comment.content || "";
-        const avatar = author.avatarUrl
-          ? `<img src="${author.avatarUrl}" style="width:100%;height:100%;object-fit:cover;">`
-          : "👤";
-
-        const isMyComment =
-          currentUser &&
-          (currentUser.id === author.id ||
-            currentUser._id === author._id ||
-            currentUser.id === author._id);
-
-        return `
-          <div class="comment-item" data-comment-id="${commentId}" style="display:flex;gap:10px;padding:12px;background:#18191a;border-radius:8px;transition:all 0.3s ease;">
-            <div style="width:36px;height:36px;border-radius:50%;background:linear-gradient(135deg,#667eea 0%,#764ba2 100%);display:flex;align-items:center;justify-content:center;font-size:16px;overflow:hidden;flex-shrink:0;">
-              ${avatar}
-            </div>
-            <div style="flex:1;">
-              <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:5px;">
-                <div>
-                  <span style="font-weight:600;color:#e4e6eb;font-size:14px;">${
-                    author.displayName || author.username || "Unknown"
-                  }</span>
-                  <span style="color:#8b8d91;font-size:12px;margin-left:8px;">@${
-                    author.username || "unknown"
-                  }</span>
-                </div>
-                ${
-                  isMyComment
-                    ? `
-                  <button 
-                    onclick="deleteComment('${commentId}', '${postId}')" 
-                    style="background:none;border:none;color:#ff7979;cursor:pointer;font-size:18px;padding:4px 8px;"
-                    title="Delete comment">
-                    🗑️
-                  </button>
-                `
-                    : ""
-                }
-              </div>
-              <div style="color:#e4e6eb;font-size:14px;margin-bottom:5px;">${commentText}</div>
-              <div style="color:#8b8d91;font-size:12px;">${formatTimestamp(
-                comment.createdAt
-              )}</div>
-            </div>
-          </div>
-        `;
-      })
-      .join("");
+    const html = comments.map((comment) => renderComment(comment, postId)).join("");
+    if (cursor) {
+      commentsList.insertAdjacentHTML("beforeend", html);
+    } else {
+      commentsList.innerHTML = html;
+    }
+
+    if (nextCursor) {
+      commentsList.insertAdjacentHTML(
+        "beforeend",
+        `<div id="comments-more-${postId}" style="text-align:center;color:#667eea;font-size:13px;cursor:pointer;padding:6px;" onclick="loadComments('${postId}', '${nextCursor}')">Load more comments</div>`
+      );
+    }
   } catch (error) {
     console.error("Error loading comments:", error);
     const commentsList = document.getElementById(`comments-list-${postId}`);
-    if (commentsList) {
+    if (commentsList && !cursor) {
       commentsList.innerHTML =
         '<div style="text-align:center;color:#ff7979;padding:10px;">Failed to load comments</div>';
     }
   }
 }
 
+async function loadReplies(commentId, postId, cursor = null) {
+  const container = document.getElementById(`replies-${commentId}`);
+  const toggle = document.getElementById(`replies-toggle-${commentId}`);
+  if (!container) return;
+
+  try {
+    if (toggle) toggle.textContent = "Loading replies...";
+
+    const query = cursor ? `?cursor=${encodeURIComponent(cursor)}` : "";
+    const { replies, nextCursor } = await fetchAPI(
+      `/api/comments/${commentId}/replies${query}`
+    );
+
+    const html = replies.map((reply) => renderComment(reply, postId)).join("");
+    if (cursor) {
+      container.insertAdjacentHTML("beforeend", html);
+    } else {
+      container.innerHTML = html;
+    }
+
+    if (toggle) {
+      if (nextCursor) {
+        toggle.textContent = "View more replies";
+        toggle.onclick = () => loadReplies(commentId, postId, nextCursor);
+      } else {
+        toggle.remove();
+      }
+    }
+  } catch (error) {
+    console.error("Error loading replies:", error);
+    if (toggle) toggle.textContent = "Failed to load replies";
+  }
+}
+
+async function toggleCommentLike(commentId) {
+  try {
+    const result = await fetchAPI(`/api/comments/${commentId}/like`, {
+      method: "POST",
+    });
+
+    const likeElement = document.getElementById(`comment-like-${commentId}`);
+    if (likeElement) {
+      likeElement.innerHTML = `${result.liked ? "❤️" : "🤍"} <span>${
+        result.likesCount
+      }</span>`;
+    }
+  } catch (error) {
+    console.error("Error toggling comment like:", error);
+  }
+}
+
+function startReply(postId, commentId, username) {
+  const input = document.getElementById(`comment-input-${postId}`);
+  if (!input) return;
+
+  replyTargets[postId] = { commentId, username };
+  input.placeholder = `Replying to @${username}... (Esc to cancel)`;
+  input.focus();
+}
+
+function cancelReply(postId) {
+  delete replyTargets[postId];
+  const input = document.getElementById(`comment-input-${postId}`);
+  if (input) input.placeholder = "Write a comment...";
+}
+
 async function addComment(postId) {
   try {
     const input = document.getElementById(`comment-input-${postId}`);
@@ -654,15 +914,20 @@ async function addComment(postId) {
 
     input.disabled = true;
 
+    const replyTo = replyTargets[postId];
     const result = await fetchAPI(`/api/posts/${postId}/comments`, {
       method: "POST",
-      body: JSON.stringify({ content: text }),
+      body: JSON.stringify({
+        content: text,
+        parentCommentId: replyTo ? replyTo.commentId : undefined,
+      }),
     });
 
     console.log("✅ Comment added:", result);
 
     input.value = "";
     input.disabled = false;
+    cancelReply(postId);
 
     const countElement = document.getElementById(`comments-count-${postId}`);
     if (countElement) {
@@ -674,6 +939,9 @@ async function addComment(postId) {
     }
 
     await loadComments(postId);
+    if (result.parentComment) {
+      await loadReplies(result.parentComment, postId);
+    }
   } catch (error) {
     console.error("❌ Error adding comment:", error);
     alert("Failed to add comment: " + (error.message || "Unknown error"));
@@ -697,16 +965,20 @@ async function deleteComment(commentId, postId) {
       commentElement.style.pointerEvents = "none";
     }
 
-    await fetchAPI(`/api/comments/${commentId}`, {
+    const result = await fetchAPI(`/api/comments/${commentId}`, {
       method: "DELETE",
     });
 
     console.log("✅ Comment deleted successfully");
 
+    // A top-level comment takes its replies with it
+    document.getElementById(`replies-${commentId}`)?.remove();
+    document.getElementById(`replies-toggle-${commentId}`)?.remove();
+
     const countElement = document.getElementById(`comments-count-${postId}`);
     if (countElement) {
       const currentCount = parseInt(countElement.textContent) || 0;
-      const newCount = Math.max(0, currentCount - 1);
+      const newCount = Math.max(0, currentCount - (result.deletedCount || 1));
       countElement.textContent = newCount;
       console.log(`📊 Updated count from ${currentCount} to ${newCount}`);
     }
@@ -745,6 +1017,8 @@ function handleCommentKeyPress(event, postId) {
   if (event.key === "Enter") {
     event.preventDefault();
     addComment(postId);
+  } else if (event.key === "Escape") {
+    cancelReply(postId);
   }
 }
 
@@ -753,6 +1027,9 @@ window.toggleComments = toggleComments;
 window.loadComments = loadComments;
 window.addComment = addComment;
 window.deleteComment = deleteComment;
+window.loadReplies = loadReplies;
+window.startReply = startReply;
+window.toggleCommentLike = toggleCommentLike;
 window.handleCommentKeyPress = handleCommentKeyPress;
 
 console.log("✅ Comment functionality loaded");
@@ -761,16 +1038,22 @@ console.log("✅ Comment functionality loaded");
 //  NOTIFICATIONS (CENTER + SIDEBAR BADGE)
 // =====================================================
 
+function showNotificationBadge(count) {
+  const badge = document.getElementById("notificationBadge");
+  if (!badge) return;
+  if (Number(count) > 0) {
+    badge.textContent = String(count);
+    badge.style.display = "inline-block";
+  } else {
+    badge.style.display = "none";
+  }
+}
+
+// Initial count; after that the socket keeps the badge current
 async function checkNotifications() {
   try {
     const result = await fetchAPI("/api/notifications/unread/count");
-    const badge = document.getElementById("notificationBadge");
-    if (result.count > 0) {
-      badge.textContent = result.count;
-      badge.style.display = "inline-block";
-    } else {
-      badge.style.display = "none";
-    }
+    showNotificationBadge(result.count);
 
     // keep sidebar badge in sync
     updateSidebarMessagesBadge && updateSidebarMessagesBadge();
@@ -779,167 +1062,192 @@ async function checkNotifications() {
   }
 }
 
-async function loadNotifications() {
+function notificationVerbText(n) {
+  switch (n.verb) {
+    case "follow":
+      return "started following you";
+    case "follow_request":
+      return "requested to follow you";
+    case "follow_accept":
+      return "accepted your follow request";
+    case "mention":
+      return n.targetType === "Comment" ? "mentioned you in a comment" : "mentioned you in a post";
+    case "like":
+      return n.targetType === "Comment" ? "liked your comment" : "liked your post";
+    case "comment":
+      return "commented on your post";
+    case "reply":
+      return "replied to your comment";
+    case "message":
+      return "sent you a message";
+    default:
+      return n.verb;
+  }
+}
+
+// "alice", "alice and bob", "alice and 9 others" (escaped)
+function notificationActorsHtml(n) {
+  const name = (a) => escapeHtml(a.displayName || a.username || "Someone");
+  const actors = n.actors && n.actors.length ? n.actors : [n.actor || {}];
+  const count = n.actorCount || 1;
+  const first = `<strong>${name(actors[0])}</strong>`;
+  if (count === 2 && actors[1]) return `${first} and <strong>${name(actors[1])}</strong>`;
+  if (count > 1) return `${first} and ${count - 1} others`;
+  return first;
+}
+
+// Expand a grouped notification into everyone behind it
+async function toggleNotificationActors(notificationId, button) {
+  const list = document.getElementById(`notif-actors-${notificationId}`);
+  if (!list) return;
+  if (list.style.display === "block") {
+    list.style.display = "none";
+    button.textContent = "See all";
+    return;
+  }
+  try {
+    const actors = await fetchAPI(`/api/notifications/${notificationId}/actors`);
+    list.innerHTML = (actors || [])
+      .map(
+        (a) =>
+          `<div style="padding:2px 0;">${escapeHtml(a.displayName || a.username)} <span style="color:#8b8d91;">@${escapeHtml(a.username)}</span></div>`
+      )
+      .join("");
+    list.style.display = "block";
+    button.textContent = "Hide";
+  } catch (error) {
+    console.error("Error loading notification actors:", error);
+  }
+}
+
+// Notifications list state: cursor for "Load more", verb filter, and when
+// the first page was loaded (mark-all-read stops there)
+let notifCursor = null;
+let notifVerb = "";
+let notifLoadedAt = null;
+
+function renderNotification(n) {
+  const actor = n.actor || {};
+  const avatar = actor.avatarUrl
+    ? `<img src="${actor.avatarUrl}" style="width:100%;height:100%;border-radius:50%;object-fit:cover;">`
+    : "👤";
+
+  const verbText = notificationVerbText(n);
+  const target = n.target || {};
+  const snippet =
+    target.snippet && !target.deleted
+      ? `<div style="color:#b0b3b8;font-size:13px;margin-bottom:4px;">“${escapeHtml(target.snippet)}”</div>`
+      : "";
+  const thumbnail = target.thumbnailUrl
+    ? `<img src="${target.thumbnailUrl}" style="width:44px;height:44px;border-radius:6px;object-fit:cover;flex-shrink:0;">`
+    : "";
+  const seeAll =
+    (n.actorCount || 1) > 1
+      ? `<button onclick="toggleNotificationActors('${n.id}', this)" style="background:none;border:none;color:#667eea;cursor:pointer;font-size:12px;padding:0;margin-left:8px;">See all</button>`
+      : "";
+
+  const time = new Date(n.activityAt || n.createdAt).toLocaleString();
+
+  return `
+    <div class="notification-item" id="notif-${n.id}" style="padding:15px 20px;border-bottom:1px solid #2f3336;display:flex;gap:12px;align-items:center;${
+      !n.read ? "background:rgba(102,126,234,0.05);" : ""
+    }">
+      <div style="width:50px;height:50px;border-radius:50%;background:linear-gradient(135deg,#667eea 0%,#764ba2 100%);display:flex;align-items:center;justify-content:center;font-size:24px;flex-shrink:0;overflow:hidden;">
+        ${avatar}
+      </div>
+      <div style="flex:1;">
+        <div style="color:#e4e6eb;font-size:14px;margin-bottom:4px;">
+          ${notificationActorsHtml(n)} ${verbText}
+        </div>
+        ${snippet}
+        <div style="color:#8b8d91;font-size:12px;">${time}${seeAll}</div>
+        <div id="notif-actors-${n.id}" style="display:none;margin-top:6px;font-size:13px;color:#e4e6eb;"></div>
+      </div>
+      ${thumbnail}
+      ${
+        !n.read
+          ? `<button onclick="markNotificationRead('${n.id}')" style="padding:6px 12px;background:#667eea;border:none;border-radius:6px;color:white;cursor:pointer;font-size:12px;">Mark read</button>`
+          : ""
+      }
+      <button onclick="dismissNotification('${n.id}')" title="Dismiss" style="background:none;border:none;color:#8b8d91;cursor:pointer;font-size:16px;">✕</button>
+    </div>
+  `;
+}
+
+async function loadNotifications({ append = false } = {}) {
+  const container = document.getElementById("notifications-list");
+  const more = document.getElementById("notifications-more");
   try {
-    const container = document.getElementById("notifications-list");
-    container.innerHTML =
-      '<div style="padding:20px;text-align:center;color:#8b8d91;">Loading...</div>';
+    if (!append) {
+      notifCursor = null;
+      notifLoadedAt = new Date().toISOString();
+      container.innerHTML =
+        '<div style="padding:20px;text-align:center;color:#8b8d91;">Loading...</div>';
+    }
 
-    const notifications = await fetchAPI("/api/notifications");
+    const params = new URLSearchParams({ limit: "20" });
+    if (notifVerb) params.set("verb", notifVerb);
+    if (append && notifCursor) params.set("cursor", notifCursor);
 
-    if (!notifications || notifications.length === 0) {
+    const page = await fetchAPI(`/api/notifications?${params}`);
+    const items = (page && page.notifications) || [];
+    notifCursor = (page && page.nextCursor) || null;
+    if (more) more.style.display = notifCursor ? "block" : "none";
+
+    if (!append && items.length === 0) {
       container.innerHTML =
         '<div style="padding:20px;text-align:center;color:#8b8d91;">No notifications yet</div>';
       return;
     }
 
-    container.innerHTML = notifications
-      .map((n) => {
-        const actor = n.actor || {};
-        const actorName = actor.displayName || actor.username || "Someone";
-        const avatar = actor.avatarUrl
-          ? `<img src="${actor.avatarUrl}" style="width:100%;height:100%;border-radius:50%;object-fit:cover;">`
-          : "👤";
-
-        let verbText = "";
-        switch (n.verb) {
-          case "follow":
-            verbText = "started following you";
-            break;
-          case "like":
-            verbText = "liked your post";
-            break;
-          case "comment":
-            verbText = "commented on your post";
-            break;
-          default:
-            verbText = n.verb;
-        }
-
-        const time = new Date(n.createdAt).toLocaleString();
-
-        return `
-          <div class="notification-item" style="padding:15px 20px;border-bottom:1px solid #2f3336;display:flex;gap:12px;align-items:center;${
-            !n.read ? "background:rgba(102,126,234,0.05);" : ""
-          }">
-            <div style="width:50px;height:50px;border-radius:50%;background:linear-gradient(135deg,#667eea 0%,#764ba2 100%);display:flex;align-items:center;justify-content:center;font-size:24px;flex-shrink:0;overflow:hidden;">
-              ${avatar}
-            </div>
-            <div style="flex:1;">
-              <div style="color:#e4e6eb;font-size:14px;margin-bottom:4px;">
-                <strong>${actorName}</strong> ${verbText}
-              </div>
-              <div style="color:#8b8d91;font-size:12px;">${time}</div>
-            </div>
-            ${
-              !n.read
-                ? `<button onclick="markNotificationRead('${n.id}')" style="padding:6px 12px;background:#667eea;border:none;border-radius:6px;color:white;cursor:pointer;font-size:12px;">Mark read</button>`
-                : ""
-            }
-          </div>
-        `;
-      })
-      .join("");
+    const html = items.map(renderNotification).join("");
+    if (append) container.insertAdjacentHTML("beforeend", html);
+    else container.innerHTML = html;
   } catch (error) {
     console.error("Error loading notifications:", error);
-    document.getElementById("notifications-list").innerHTML =
-      '<div style="padding:20px;text-align:center;color:#ff7979;">Failed to load notifications</div>';
+    if (!append) {
+      container.innerHTML =
+        '<div style="padding:20px;text-align:center;color:#ff7979;">Failed to load notifications</div>';
+    }
   }
 }
 
-async function markNotificationRead(notificationId) {
+function filterNotifications(verb) {
+  notifVerb = verb;
+  loadNotifications();
+}
+
+async function markAllNotificationsRead() {
   try {
-    await fetchAPI(`/api/notifications/${notificationId}/read`, {
+    await fetchAPI("/api/notifications/read-all", {
       method: "PUT",
+      body: JSON.stringify({ before: notifLoadedAt, verb: notifVerb || undefined }),
     });
     await loadNotifications();
     await checkNotifications();
   } catch (error) {
-    console.error("Error marking notification as read:", error);
+    console.error("Error marking all notifications as read:", error);
   }
 }
 
-// sidebar unread badge + polling
-const SIDEBAR_BADGE_ID = "sidebarMessagesBadge";
-const NOTIF_COUNT_PATH = "/api/notifications/unread/count";
-
-function showSidebarBadge(count) {
-  const badge = document.getElementById(SIDEBAR_BADGE_ID);
-  if (!badge) return;
-  if (Number(count) > 0) {
-    badge.textContent = String(count);
-    badge.style.display = "inline-block";
-  } else {
-    badge.style.display = "none";
-  }
-}
-
-let _notifPoll = { timer: null, interval: 30000, attempts: 0 };
-
-async function pollNotificationCountOnce() {
+async function dismissNotification(notificationId) {
   try {
-    const token = sessionStorage.getItem("token");
-    if (!token) {
-      showSidebarBadge(0);
-      return;
-    }
-
-    const res = await fetchWithToken(NOTIF_COUNT_PATH, { method: "GET" });
-
-    if (!res.ok) {
-      if (res.status === 401) {
-        console.warn(
-          "Unread-count: unauthorized (401). Stopping polling until re-auth."
-        );
-        showSidebarBadge(0);
-        stopNotificationsPolling();
-        return;
-      }
-      if (res.status === 404) {
-        console.warn(
-          "Unread-count: endpoint not found (404). Stopping polling."
-        );
-        showSidebarBadge(0);
-        stopNotificationsPolling();
-        return;
-      }
-      console.warn("Unread-count: non-ok status", res.status);
-      throw new Error("Non-ok status " + res.status);
-    }
-
-    const data = await res.json();
-    showSidebarBadge(data.count || 0);
-
-    _notifPoll.attempts = 0;
-    _notifPoll.interval = 30000;
-  } catch (err) {
-    _notifPoll.attempts = (_notifPoll.attempts || 0) + 1;
-    _notifPoll.interval = Math.min(
-      300000,
-      30000 * Math.pow(Math.min(_notifPoll.attempts - 1, 5), 2)
-    );
-    console.warn(
-      "pollNotificationCountOnce error (backing off):",
-      err,
-      "next interval:",
-      _notifPoll.interval
-    );
-  }
-}
-
-function startNotificationsPolling() {
-  if (_notifPoll.timer) return;
-  async function loop() {
-    await pollNotificationCountOnce();
-    _notifPoll.timer = setTimeout(loop, _notifPoll.interval);
+    await fetchAPI(`/api/notifications/${notificationId}`, { method: "DELETE" });
+    document.getElementById(`notif-${notificationId}`)?.remove();
+  } catch (error) {
+    console.error("Error dismissing notification:", error);
   }
-  loop();
 }
 
-function stopNotificationsPolling() {
-  if (_notifPoll.timer) {
-    clearTimeout(_notifPoll.timer);
-    _notifPoll.timer = null;
+async function markNotificationRead(notificationId) {
+  try {
+    await fetchAPI(`/api/notifications/${notificationId}/read`, {
+      method: "PUT",
+    });
+    await loadNotifications();
+    await checkNotifications();
+  } catch (error) {
+    console.error("Error marking notification as read:", error);
   }
 }
 
@@ -1041,6 +1349,9 @@ async function checkFollowStatus(userId) {
       if (result.following) {
         btn.textContent = "Unfollow";
         btn.style.background = "#2f3336";
+      } else if (result.requested) {
+        btn.textContent = "Requested";
+        btn.style.background = "#2f3336";
       } else {
         btn.textContent = "Follow";
         btn.style.background = "#667eea";
@@ -1064,7 +1375,8 @@ async function toggleFollow(userId) {
     return;
   }
 
-  const isFollowing = btn.textContent.trim() === "Unfollow";
+  // "Requested" is a pending request to a private account; clicking cancels it
+  const isFollowing = ["Unfollow", "Requested"].includes(btn.textContent.trim());
   const originalText = btn.textContent;
   const originalBg = btn.style.background;
 
@@ -1088,7 +1400,7 @@ async function toggleFollow(userId) {
         method: "POST",
       });
       console.log("Follow result:", result);
-      btn.textContent = "Unfollow";
+      btn.textContent = result.requested ? "Requested" : "Unfollow";
       btn.style.background = "#2f3336";
     }
 
@@ -1148,7 +1460,7 @@ function selectPostType(type, event) {
 async function submitPost() {
   try {
     let content,
-      mediaUrl = null;
+      mediaId = null;
 
     if (selectedPostType === "text") {
       content = document.getElementById("textPostInput").value.trim();
@@ -1165,13 +1477,8 @@ async function submitPost() {
         return;
       }
 
-      const file = fileInput.files[0];
-      mediaUrl = await new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = (e) => resolve(e.target.result);
-        reader.onerror = reject;
-        reader.readAsDataURL(file);
-      });
+      const media = await uploadMedia(fileInput.files[0]);
+      mediaId = media._id;
 
       content = caption || "Posted a file";
     }
@@ -1181,7 +1488,7 @@ async function submitPost() {
       body: JSON.stringify({
         content,
         type: selectedPostType,
-        mediaUrl,
+        mediaId,
       }),
     });
 
@@ -1190,7 +1497,7 @@ async function submitPost() {
     await loadFeed(true);
   } catch (error) {
     console.error("Error creating post:", error);
-    alert("Failed to create post");
+    alert("Failed to create post: " + (error.message || "Unknown error"));
   }
 }
 
@@ -1242,10 +1549,11 @@ function showDesktopNotification(message) {
         () => {
           const convId =
             message.conversationId ||
-            [currentUser && currentUser.id, message.sender.id]
-              .filter(Boolean)
-              .sort()
-              .join("_");
+            "dm:" +
+              [currentUser && currentUser.id, message.sender.id]
+                .filter(Boolean)
+                .sort()
+                .join(":");
           openConversation(
             message.sender.id,
             message.sender.username,
@@ -1266,7 +1574,7 @@ function showDesktopNotification(message) {
         window.focus();
         const convId =
           message.conversationId ||
-          [currentUser && currentUser.id, message.sender.id].sort().join("_");
+          "dm:" + [currentUser && currentUser.id, message.sender.id].sort().join(":");
         openConversation(
           message.sender.id,
           message.sender.username,
@@ -1500,11 +1808,9 @@ async function shareMessageToUser(recipientId, username) {
         method: "POST",
         body: JSON.stringify({
           user: recipientId,
-          actor: currentUser?.id || currentUser?._id,
           verb: "system",
           targetType: "Post",
           targetId: shareTarget.id,
-          read: false,
         }),
       });
     } catch (notifErr) {
@@ -1559,6 +1865,11 @@ function switchToHome(event) {
     .forEach((el) => el.classList.remove("active"));
   const firstToggle = document.querySelector(".toggle-btn:first-child");
   if (firstToggle) firstToggle.classList.add("active");
+
+  if (feedMode !== "home") {
+    feedMode = "home";
+    loadFeed(true);
+  }
 }
 
 function switchToNotifications(event) {
@@ -1575,7 +1886,7 @@ function switchToNotifications(event) {
   loadNotifications();
 }
 
-function showFeed(event) {
+function showFeed(event, mode = "home") {
   document
     .querySelectorAll(".content")
     .forEach((el) => el.classList.remove("active"));
@@ -1588,6 +1899,15 @@ function showFeed(event) {
 
   const bar = document.getElementById("globalChatInput");
   if (bar) bar.style.display = "flex";
+
+  if (feedMode !== mode) {
+    feedMode = mode;
+    loadFeed(true);
+  }
+}
+
+function showExplore(event) {
+  showFeed(event, "explore");
 }
 
 // =====================================================
@@ -1595,23 +1915,13 @@ function showFeed(event) {
 // =====================================================
 
 async function logout() {
-  try {
-    const token = sessionStorage.getItem("token");
-    if (token) {
-      await fetch(`${API_URL}/api/auth/logout`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${token}`,
-        },
-        credentials: "include",
-      });
-    }
-  } catch (err) {
-    console.warn("Logout log failed (ignoring):", err);
-  }
+  await logoutSession();
+  window.location.href = "/login.html";
+}
 
-  sessionStorage.removeItem("token");
+async function logoutEverywhere() {
+  if (!confirm("Log out of SocialSync on every device?")) return;
+  await logoutSession({ everywhere: true });
   window.location.href = "/login.html";
 }
 
@@ -1639,9 +1949,6 @@ async function init() {
     // Initialize Socket.IO (defined elsewhere)
     initSocket && initSocket();
 
-    // central notification polling
-    setInterval(checkNotifications, 30000);
-
     // sidebar badge periodic update (simple)
     console.log("🚀 Page loaded - updating badges...");
     updateSidebarMessagesBadge && updateSidebarMessagesBadge();
@@ -1685,10 +1992,6 @@ async function init() {
 document.addEventListener("DOMContentLoaded", () => {
   console.log("🚀 DOMContentLoaded fired, calling init()...");
   init();
-
-  // immediate sidebar badge & resilient polling
-  pollNotificationCountOnce().catch(() => {});
-  startNotificationsPolling();
 });
 
 console.log("✅ Script loaded successfully");
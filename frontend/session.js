@@ -0,0 +1,102 @@
+// =====================================================
+//  SESSION (access + refresh tokens)
+// =====================================================
+// Access tokens only live a few minutes. Login/signup also return a refresh
+// token which POST /api/auth/refresh swaps for a new pair (the old refresh
+// token stops working). Pages load this file before their own script and,
+// on a 401, call refreshSession() once and retry.
+
+const SESSION_API = (() => {
+  if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
+    return `http://${window.location.hostname}:3000/api`;
+  }
+  return window.location.origin + '/api';
+})();
+
+// Refresh a little before the access token actually runs out
+const TOKEN_EXPIRY_SKEW_MS = 30 * 1000;
+
+let refreshInFlight = null;
+
+function getAccessToken() {
+  return (sessionStorage.getItem("token") || "").replace(/^"(.*)"$/, "$1").trim();
+}
+
+function saveSession(data) {
+  if (data.token) sessionStorage.setItem("token", data.token);
+  if (data.refreshToken) sessionStorage.setItem("refreshToken", data.refreshToken);
+}
+
+function clearSession() {
+  sessionStorage.removeItem("token");
+  sessionStorage.removeItem("refreshToken");
+}
+
+function tokenExpired(token) {
+  try {
+    const payload = JSON.parse(atob(token.split(".")[1]));
+    return !!payload.exp && Date.now() >= payload.exp * 1000 - TOKEN_EXPIRY_SKEW_MS;
+  } catch {
+    return true;
+  }
+}
+
+// Resolves the new access token, or null when the session is gone.
+// Concurrent callers share one request: a refresh token only works once.
+function refreshSession() {
+  if (refreshInFlight) return refreshInFlight;
+
+  const refreshToken = sessionStorage.getItem("refreshToken");
+  if (!refreshToken) return Promise.resolve(null);
+
+  refreshInFlight = fetch(`${SESSION_API}/auth/refresh`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ refreshToken }),
+  })
+    .then(async (res) => {
+      if (!res.ok) {
+        // 429/5xx: keep the refresh token and let the caller retry later
+        if (res.status === 401 || res.status === 400) clearSession();
+        return null;
+      }
+      const data = await res.json();
+      saveSession(data);
+      return data.token;
+    })
+    .catch((err) => {
+      console.warn("⚠️ Session refresh failed:", err);
+      return null;
+    })
+    .finally(() => {
+      refreshInFlight = null;
+    });
+
+  return refreshInFlight;
+}
+
+// Current access token, refreshed first if it has expired
+async function freshAccessToken() {
+  const token = getAccessToken();
+  if (token && !tokenExpired(token)) return token;
+  return (await refreshSession()) || null;
+}
+
+// Revoke this session (or every session with everywhere: true) and forget it
+async function logoutSession({ everywhere = false } = {}) {
+  try {
+    const token = await freshAccessToken();
+    if (token) {
+      await fetch(`${SESSION_API}/auth/${everywhere ? "logout-all" : "logout"}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+      });
+    }
+  } catch (err) {
+    console.warn("Logout request failed (ignoring):", err);
+  }
+  clearSession();
+}